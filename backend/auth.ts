@@ -0,0 +1,184 @@
+/**
+ * Client Authentication
+ *
+ * Two kinds of callers can use the backend:
+ * - Server-side clients send an API key in the `X-API-Key` header.
+ *   Keys are configured as `clientId:key` pairs in API_KEYS.
+ * - The browser app has no secret to hold, so it first gets a signed
+ *   session from POST /session and sends it as a Bearer token. Sessions
+ *   are HMAC-signed with SESSION_SECRET and expire after SESSION_TTL_SECONDS.
+ *   They are only issued to allow-listed origins (CORS_ORIGINS), at a few
+ *   per IP per window (see rateLimit.ts).
+ *
+ * Environment Variables:
+ * - API_KEYS            : Comma separated `clientId:key` pairs (optional)
+ * - SESSION_SECRET      : HMAC secret for browser sessions (recommended)
+ * - SESSION_TTL_SECONDS : Browser session lifetime (optional, defaults to 3600)
+ */
+
+import { NextFunction, Request, Response } from 'express';
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+
+/** Authenticated caller, stored on `res.locals.client` */
+export interface Client {
+  /** API key client id, or `session:<sid>` for browser sessions */
+  id: string;
+  type: 'apiKey' | 'session';
+  /** Id that usage is counted under: the client id, or `browser` for all sessions */
+  usageKey: string;
+}
+
+interface SessionPayload {
+  sid: string;
+  exp: number;
+}
+
+let sessionSecret: string | undefined;
+let apiKeys: Map<string, string> | undefined;
+
+/** Reads SESSION_SECRET once, falling back to a random per-process secret */
+const getSessionSecret = (): string => {
+  if (!sessionSecret) {
+    sessionSecret = process.env.SESSION_SECRET;
+    if (!sessionSecret) {
+      console.warn('SESSION_SECRET is not set; browser sessions will not survive a restart');
+      sessionSecret = randomBytes(32).toString('hex');
+    }
+  }
+  return sessionSecret;
+};
+
+/** Parses API_KEYS into a key -> clientId map */
+const getApiKeys = (): Map<string, string> => {
+  if (!apiKeys) {
+    apiKeys = new Map();
+    for (const entry of (process.env.API_KEYS || '').split(',')) {
+      const [clientId, key] = entry.trim().split(':');
+      if (clientId && key) apiKeys.set(key, clientId);
+    }
+  }
+  return apiKeys;
+};
+
+const sign = (data: string): string =>
+  createHmac('sha256', getSessionSecret()).update(data).digest('base64url');
+
+/**
+ * Issues a signed browser session
+ *
+ * @returns Session token and its expiry as a unix timestamp in seconds
+ */
+export const issueSession = (): { session: string; expiresAt: number } => {
+  const ttl = Number(process.env.SESSION_TTL_SECONDS) || 3600;
+  const payload: SessionPayload = {
+    sid: randomUUID(),
+    exp: Math.floor(Date.now() / 1000) + ttl
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { session: `${encoded}.${sign(encoded)}`, expiresAt: payload.exp };
+};
+
+/**
+ * Checks a session token's signature and expiry
+ *
+ * @returns The session payload, or null if the token is invalid or expired
+ */
+const verifySession = (token: string): SessionPayload | null => {
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload: SessionPayload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+    return payload.exp > Date.now() / 1000 ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Creates a middleware that only lets requests from the given browser origins through
+ * Stops other sites' pages from minting sessions. A script can send any
+ * Origin, so session issuance is rate limited per IP as well.
+ *
+ * @param origins - Allowed origins, e.g. CORS_ORIGINS
+ */
+export const requireAllowedOrigin = (origins: string[]) =>
+  (req: Request, res: Response, next: NextFunction) => {
+    const origin = req.get('Origin');
+    if (!origin || !origins.includes(origin)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Sessions are only issued to the app\'s allowed origins; server clients should use an API key'
+      });
+    }
+    return next();
+  };
+
+/**
+ * Resolves the caller from the request headers
+ * EventSource cannot set headers, so a session may also be sent as an
+ * `access_token` query parameter (sessions only, never API keys)
+ *
+ * @returns The authenticated client, or null if no valid credentials were sent
+ */
+const resolveClient = (req: Request): Client | null => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    const clientId = getApiKeys().get(apiKey);
+    return clientId ? { id: clientId, type: 'apiKey', usageKey: clientId } : null;
+  }
+
+  const authorization = req.get('Authorization');
+  const accessToken = req.query.access_token;
+  const token = authorization?.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : typeof accessToken === 'string' ? accessToken : null;
+
+  if (token) {
+    const payload = verifySession(token);
+    return payload ? { id: `session:${payload.sid}`, type: 'session', usageKey: 'browser' } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Express middleware that rejects requests without a valid API key or session
+ * The resolved client is stored on `res.locals.client`
+ */
+export const authenticate = (req: Request, res: Response, next: NextFunction) => {
+  const client = resolveClient(req);
+
+  if (!client) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Send an X-API-Key header or a Bearer session from POST /session'
+    });
+  }
+
+  res.locals.client = client;
+  return next();
+};
+
+/**
+ * Express middleware that only lets API key clients through
+ * Must run after `authenticate`
+ */
+export const requireApiKey = (_req: Request, res: Response, next: NextFunction) => {
+  if (getClient(res).type !== 'apiKey') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This route requires an API key'
+    });
+  }
+  return next();
+};
+
+/** Returns the client resolved by `authenticate` */
+export const getClient = (res: Response): Client => res.locals.client as Client;
@@ -0,0 +1,100 @@
+/**
+ * Proof Bundles
+ *
+ * A proof bundle packs everything needed to check a verification later
+ * without redoing the Instagram flow: the zkFetch proof, the provider
+ * proofs, the entered URL and the relevant timestamps. The payload is
+ * signed with the backend key (see keys.ts) over its canonical JSON form,
+ * so a verifier can tell the bundle was exported by us and not edited.
+ */
+
+import { canonicalize } from '../shared/canonicalJson';
+import { getPublicJwk, PublicJwk, signData } from './keys';
+import { ClaimId, DEFAULT_CLAIM } from '../shared/providers';
+
+/** Identifies the file format; bumped on breaking changes */
+export const BUNDLE_TYPE = 'instagram-proof-bundle';
+export const BUNDLE_VERSION = 1;
+
+/** Fields of a verification record that go into a bundle */
+export interface BundleSource {
+  /** Missing on records from before the provider registry (post claims) */
+  claim?: ClaimId;
+  verifiedAt: string;
+  inputUrl: string | null;
+  mediaCode: string | null;
+  proofs: any[];
+  zkFetchProof: any | null;
+}
+
+export interface ProofBundle {
+  type: typeof BUNDLE_TYPE;
+  version: typeof BUNDLE_VERSION;
+  payload: {
+    /** Claim the proofs were verified for; absent in older bundles (post) */
+    claim: ClaimId;
+    inputUrl: string | null;
+    mediaCode: string | null;
+    zkFetchProof: any | null;
+    proofs: any[];
+    timestamps: {
+      /** When the attestor signed the zkFetch claim */
+      zkFetchClaimedAt: string | null;
+      /** When the attestors signed each provider claim */
+      proofsClaimedAt: (string | null)[];
+      /** When the backend re-verified and stored the proofs */
+      verifiedAt: string;
+      exportedAt: string;
+    };
+  };
+  signature: {
+    alg: 'EdDSA';
+    kid: string;
+    /** Public key, so the file can be checked offline */
+    jwk: PublicJwk;
+    /** Base64url Ed25519 signature over `canonicalize(payload)` */
+    value: string;
+  };
+}
+
+/** Reads a claim's `timestampS` as an ISO date */
+const claimedAt = (proof: any): string | null => {
+  const seconds = Number(proof?.claimData?.timestampS);
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+};
+
+/**
+ * Builds and signs a proof bundle for a stored verification
+ *
+ * @param source - The verification record to export
+ * @returns The signed bundle, ready to be served as a JSON file
+ */
+export const createProofBundle = (source: BundleSource): ProofBundle => {
+  const payload: ProofBundle['payload'] = {
+    claim: source.claim ?? DEFAULT_CLAIM,
+    inputUrl: source.inputUrl,
+    mediaCode: source.mediaCode,
+    zkFetchProof: source.zkFetchProof,
+    proofs: source.proofs,
+    timestamps: {
+      zkFetchClaimedAt: claimedAt(source.zkFetchProof),
+      proofsClaimedAt: source.proofs.map(claimedAt),
+      verifiedAt: source.verifiedAt,
+      exportedAt: new Date().toISOString()
+    }
+  };
+
+  const jwk = getPublicJwk();
+
+  return {
+    type: BUNDLE_TYPE,
+    version: BUNDLE_VERSION,
+    payload,
+    signature: {
+      alg: 'EdDSA',
+      kid: jwk.kid,
+      jwk,
+      value: signData(canonicalize(payload))
+    }
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * Campaigns
+ *
+ * Brand-deal campaigns and their rules (see shared/campaignRules.js for
+ * the rule types). A verification record is evaluated against a campaign
+ * on request; reports are not stored, because the record and the rules
+ * they are computed from are.
+ */
+
+import { randomUUID } from 'crypto';
+import { JsonStore } from './store';
+import { VerificationRecord } from './verifications';
+import { CampaignRule, evaluateRules, parseCampaignRules, RuleOutcome } from '../shared/campaignRules';
+
+export interface Campaign {
+  id: string;
+  name: string;
+  rules: CampaignRule[];
+  createdAt: string;
+  /** API key client that created the campaign */
+  createdBy: string;
+}
+
+/** Pass/fail report of one verification against one campaign */
+export interface CampaignReport {
+  campaignId: string;
+  verificationId: string;
+  evaluatedAt: string;
+  /** True only if every rule passed */
+  passed: boolean;
+  rules: RuleOutcome[];
+}
+
+export const campaigns = new JsonStore<Campaign>('campaigns');
+
+/** Error for campaign fields other than the rules */
+export class CampaignError extends Error {
+  readonly code = 'CAMPAIGN_INVALID';
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'CampaignError';
+  }
+}
+
+/**
+ * Validates and stores a campaign
+ *
+ * @param input - `name` and `rules` as sent by the client
+ * @param clientId - API key client creating it
+ * @returns The stored campaign with normalized rules
+ * @throws {CampaignError} If the name is missing
+ * @throws {CampaignRuleError} If any rule is invalid
+ */
+export const createCampaign = (
+  { name, rules }: { name?: unknown; rules?: unknown },
+  clientId: string
+): Campaign => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new CampaignError('`name` must be a non-empty string');
+  }
+
+  return campaigns.put({
+    id: randomUUID(),
+    name: name.trim(),
+    rules: parseCampaignRules(rules),
+    createdAt: new Date().toISOString(),
+    createdBy: clientId
+  });
+};
+
+/**
+ * Evaluates a verification record against a campaign's rules
+ * Rules read the record's verified result, so they only see proven data
+ * (records from before the provider registry only have `post`)
+ */
+export const evaluateCampaign = (campaign: Campaign, record: VerificationRecord): CampaignReport => {
+  const { passed, rules } = evaluateRules(campaign.rules, record.result ?? record.post);
+
+  return {
+    campaignId: campaign.id,
+    verificationId: record.id,
+    evaluatedAt: new Date().toISOString(),
+    passed,
+    rules
+  };
+};
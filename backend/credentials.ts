@@ -0,0 +1,158 @@
+/**
+ * Verification Credentials
+ *
+ * Compact signed attestations of a stored verification, so other systems
+ * can trust a result without re-processing the raw Reclaim proofs. A
+ * credential is a JWT signed with the backend key (see keys.ts), whose
+ * public half is served at /.well-known/jwks.json. It states who the
+ * account or post belongs to, the verified metrics, and a SHA-256 hash of
+ * each proof, so a holder of the proofs can tie them to the credential.
+ *
+ * Issued credentials are recorded so their status can be checked and
+ * they can be revoked before they expire.
+ *
+ * Environment Variables:
+ * - PUBLIC_URL             : Issuer (`iss`) and base of the status URL (optional)
+ * - CREDENTIAL_TTL_SECONDS : Credential lifetime (optional, defaults to 2592000, 30 days)
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import { JsonStore } from './store';
+import { getPublicJwk, signData } from './keys';
+import { VerificationRecord } from './verifications';
+import { canonicalize } from '../shared/canonicalJson';
+import { DEFAULT_CLAIM } from '../shared/providers';
+
+/** `typ` header of credential JWTs */
+export const CREDENTIAL_TYPE = 'instagram-verification+jwt';
+
+/** Issuer used when PUBLIC_URL is not set */
+const DEFAULT_ISSUER = 'urn:instagram-zktls-demo';
+
+export type CredentialStatus = 'active' | 'revoked' | 'expired';
+
+/** What the backend keeps about each issued credential */
+export interface CredentialRecord {
+  /** The credential's `jti` */
+  id: string;
+  verificationId: string;
+  issuedAt: string;
+  expiresAt: string;
+  revokedAt: string | null;
+  revocationReason: string | null;
+}
+
+/** Payload of a credential JWT */
+export interface CredentialClaims {
+  iss: string;
+  /** Instagram username the credential is about */
+  sub: string;
+  jti: string;
+  iat: number;
+  exp: number;
+  claim: string;
+  username: string;
+  mediaCode: string | null;
+  /** Numeric fields of the verified result, e.g. likes and comments */
+  metrics: Record<string, number>;
+  /** Base64url SHA-256 of each provider proof's canonical JSON, in order */
+  proofHashes: string[];
+  /** Same hash of the zkFetch owner proof, if there was one */
+  ownerProofHash: string | null;
+  verificationId: string;
+  verifiedAt: string;
+  /** Where the credential's status can be checked */
+  status: string;
+}
+
+export const credentials = new JsonStore<CredentialRecord>('credentials');
+
+/** Read when issuing rather than at import time so dotenv has already run */
+const getIssuer = (): string => process.env.PUBLIC_URL?.replace(/\/$/, '') || DEFAULT_ISSUER;
+
+const getTtlSeconds = (): number => Number(process.env.CREDENTIAL_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+const base64UrlJson = (value: unknown): string => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/** Hash a proof holder can recompute: SHA-256 of the proof's canonical JSON */
+export const hashProof = (proof: unknown): string =>
+  createHash('sha256').update(canonicalize(proof)).digest('base64url');
+
+/** Picks the numeric fields of a verified result */
+const readMetrics = (result: Record<string, unknown> | null): Record<string, number> =>
+  Object.fromEntries(
+    Object.entries(result ?? {}).filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+  ) as Record<string, number>;
+
+/** Path of a credential's status route; absolute once PUBLIC_URL is set */
+const statusUrl = (id: string): string => {
+  const path = `/credentials/${encodeURIComponent(id)}/status`;
+  return process.env.PUBLIC_URL ? `${getIssuer()}${path}` : path;
+};
+
+/**
+ * Issues and records a credential for a stored verification
+ *
+ * @param record - Verification record to attest
+ * @returns The signed JWT and its stored record
+ */
+export const issueCredential = (record: VerificationRecord): { jwt: string; credential: CredentialRecord } => {
+  const jwk = getPublicJwk();
+  const result = (record.result ?? record.post) as Record<string, unknown> | null;
+  const now = Math.floor(Date.now() / 1000);
+  const id = randomUUID();
+
+  const claims: CredentialClaims = {
+    iss: getIssuer(),
+    sub: record.username ?? '',
+    jti: id,
+    iat: now,
+    exp: now + getTtlSeconds(),
+    claim: record.claim ?? DEFAULT_CLAIM,
+    username: record.username ?? '',
+    mediaCode: record.mediaCode,
+    metrics: readMetrics(result),
+    proofHashes: record.proofs.map(hashProof),
+    ownerProofHash: record.zkFetchProof ? hashProof(record.zkFetchProof) : null,
+    verificationId: record.id,
+    verifiedAt: record.verifiedAt,
+    status: statusUrl(id)
+  };
+
+  const signingInput = `${base64UrlJson({ alg: 'EdDSA', typ: CREDENTIAL_TYPE, kid: jwk.kid })}.${base64UrlJson(claims)}`;
+
+  const credential = credentials.put({
+    id,
+    verificationId: record.id,
+    issuedAt: new Date(claims.iat * 1000).toISOString(),
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+    revokedAt: null,
+    revocationReason: null
+  });
+
+  return { jwt: `${signingInput}.${signData(signingInput)}`, credential };
+};
+
+/** Current status of an issued credential; revocation wins over expiry */
+export const getCredentialStatus = (credential: CredentialRecord): CredentialStatus => {
+  if (credential.revokedAt) return 'revoked';
+  return Date.parse(credential.expiresAt) <= Date.now() ? 'expired' : 'active';
+};
+
+/**
+ * Revokes a credential
+ * Revoking twice keeps the first time and reason
+ *
+ * @param credential - The stored credential
+ * @param reason - Why it was revoked (optional)
+ * @returns The updated record
+ */
+export const revokeCredential = (credential: CredentialRecord, reason: string | null): CredentialRecord => {
+  if (credential.revokedAt) return credential;
+
+  return credentials.put({
+    ...credential,
+    revokedAt: new Date().toISOString(),
+    revocationReason: reason
+  });
+};
@@ -2,28 +2,107 @@
  * Instagram Verification Backend Server
  *
  * This Express server provides session signature generation for the
- * Reclaim Protocol zkFetch client. It acts as a secure intermediary
- * that signs requests without exposing the app secret to the frontend.
+ * Reclaim Protocol zkFetch client and builds ReclaimProofRequest configs
+ * for the JS SDK. It acts as a secure intermediary that signs requests
+ * without exposing the app secret to the frontend.
  *
  * Endpoints:
- * - GET /       : Health check endpoint
- * - GET /sign   : Generate session signature for zkFetch
+ * - GET /               : Health check endpoint
+ * - POST /session       : Issue a signed browser session
+ * - GET /sign           : Generate a session signature and proof nonce scoped to one post
+ * - POST /zkfetch       : Run the post owner zkFetch on the server
+ * - POST /proof-request : Build a serialized ReclaimProofRequest config and session for a claim
+ * - POST /callback/:sessionId : Receive proofs from Reclaim (app callback URL)
+ * - GET /.well-known/jwks.json : Public keys that sign verification credentials and proof bundles
+ * - GET /credentials/:id/status : Check whether a credential is active, revoked or expired
+ * - GET /sessions/:id   : Fetch a verification session's status
+ * - GET /sessions/:id/events : Stream a session's status (Server-Sent Events)
+ * - POST /verify        : Re-verify proofs and store a verification record
+ * - GET /verifications/:id : Fetch a stored verification record
+ * - GET /verifications/:id/bundle : Export a signed proof bundle
+ * - POST /verifications/:id/credentials : Issue a signed verification credential (JWT)
+ * - POST /credentials/:id/revoke : Revoke a credential (API key only)
+ * - GET /bundles/public-key : Public key that signs proof bundles
+ * - POST /campaigns     : Create a campaign with rules (API key only)
+ * - GET /campaigns      : List campaigns (API key only)
+ * - GET /campaigns/:id  : Fetch a campaign
+ * - DELETE /campaigns/:id : Delete a campaign (API key only)
+ * - GET /campaigns/:id/verifications/:verificationId : Evaluate a verification against a campaign
+ * - POST /verifications/:id/tracking : Start re-proving a verified post's likes and comments on a schedule (API key only)
+ * - GET /verifications/:id/tracking : Fetch a tracked post's engagement history
+ * - DELETE /verifications/:id/tracking : Stop tracking a post (API key only)
+ * - GET /engagement-proofs/:hash : Fetch the proof behind an engagement data point
+ * - GET /usage          : Request counts per client (API key only)
+ * - GET /proof-cache/stats : Post owner proof cache hits and misses (API key only)
+ *
+ * Every route except /, /session, /callback/:sessionId, /.well-known/jwks.json
+ * and /credentials/:id/status requires an X-API-Key header or a
+ * Bearer session, and is rate limited per IP and per client (see auth.ts
+ * and rateLimit.ts for their configuration). Sessions are only issued to
+ * CORS_ORIGINS, a few per IP per window.
  *
  * Environment Variables Required:
  * - APP_ID      : Reclaim Protocol Application ID
  * - APP_SECRET  : Reclaim Protocol Application Secret
  * - PORT        : Server port (optional, defaults to 8080)
+ * - SIGN_TOKEN_EXPIRY_SECONDS : Lifetime of /sign tokens (optional, defaults to 300)
+ * - NONCE_TTL_SECONDS : Lifetime of proof nonces (optional, defaults to 900, see nonces.ts)
+ * - VERIFICATION_SESSION_TTL_SECONDS : How long verification sessions are kept (optional, see sessions.ts)
+ * - CUSTOM_SHARE_PAGE_URL : Reclaim share page URL (optional)
+ * - RECLAIM_USE_APP_CLIP : 'true' to open verification links in the App Clip / Instant App (optional)
+ * - INSTAGRAM_POST_PROVIDER_ID, INSTAGRAM_REEL_STATS_PROVIDER_ID,
+ *   INSTAGRAM_PROFILE_PROVIDER_ID, INSTAGRAM_FOLLOWERS_PROVIDER_ID : Reclaim
+ *   provider ID per claim (optional for posts; other claims are unavailable
+ *   until set, see shared/providers.js)
+ * - PUBLIC_URL  : Public base URL of this server, used for Reclaim callbacks
+ * - DATA_DIR    : Directory for stored records (optional, defaults to ./data)
+ * - CORS_ORIGINS : Comma separated allowed origins (optional, defaults to http://localhost:3000)
+ * - TRUST_PROXY : Express `trust proxy` setting when behind a proxy (optional)
+ * - CREDENTIAL_TTL_SECONDS : Lifetime of verification credentials (optional, see credentials.ts)
+ * - PROOF_CACHE_TTL_SECONDS : How long verified owner proofs are reused (optional, see proofCache.ts)
+ * - TRACKING_INTERVAL_SECONDS : Default time between engagement checks (optional, see tracking.ts)
  *
  * @see https://dev.reclaimprotocol.org/ - Reclaim Developer Dashboard
  */
 
+// Load environment variables from .env file before any module reads them
+import 'dotenv/config';
 import express, { Request, Response } from 'express';
-import { generateSessionSignature } from '@reclaimprotocol/zk-fetch';
-import dotenv from 'dotenv';
+import { randomUUID } from 'crypto';
+import { ReclaimClient, generateSessionSignature } from '@reclaimprotocol/zk-fetch';
+import { ReclaimProofRequest, verifyProof } from '@reclaimprotocol/js-sdk';
 import cors from 'cors';
-
-// Load environment variables from .env file
-dotenv.config();
+import { JsonStore } from './store';
+import { createProofBundle } from './bundles';
+import { getPublicJwk } from './keys';
+import { authenticate, getClient, issueSession, requireAllowedOrigin, requireApiKey } from './auth';
+import { clientRateLimit, ipRateLimit, sessionRateLimit, trackUsage, UsageRecord } from './rateLimit';
+import { verifications, verifyAndStore, VerificationFailure } from './verifications';
+import { createSession, findSession, streamSession, updateSession } from './sessions';
+import { checkNonce, issueNonce, NonceError } from './nonces';
+import { cacheOwnerProof, findCachedProof, getCacheStats, lookupProof, storeProof } from './proofCache';
+import {
+  engagementProofs,
+  startTracking,
+  startTrackingScheduler,
+  stopTracking,
+  trackedPosts,
+  TrackingError
+} from './tracking';
+import { CampaignError, campaigns, createCampaign, evaluateCampaign } from './campaigns';
+import { credentials, getCredentialStatus, issueCredential, revokeCredential } from './credentials';
+import { CampaignRuleError } from '../shared/campaignRules';
+import { readZkFetchProof } from '../shared/proofBinding';
+import { buildOwnerFetchOptions, CONTEXT_ADDRESS_PATTERN } from '../shared/zkFetchRequest';
+import { classifyZkFetchError, ZkFetchError, ZKFETCH_ERROR_TYPES } from '../shared/zkFetchErrors';
+import { readProofNonce, toContextMessage } from '../shared/proofNonce';
+import { CLAIMS, DEFAULT_CLAIM, getProvider, ProviderEntry } from '../shared/providers';
+import {
+  InstagramUrlError,
+  MEDIA_CODE_PATTERN,
+  parseInstagramUrl,
+  toEmbedUrl
+} from '../shared/instagramUrl';
 
 const PORT = process.env.PORT || 8080;
 
@@ -31,18 +110,34 @@ const PORT = process.env.PORT || 8080;
 const APP_ID = process.env.APP_ID!;
 /** Reclaim Application Secret from environment */
 const APP_SECRET = process.env.APP_SECRET!;
+/** Custom Reclaim share page URL used by the verification flow (optional) */
+const CUSTOM_SHARE_PAGE_URL = process.env.CUSTOM_SHARE_PAGE_URL;
+/** Open verification links (and scanned QR codes) in the Reclaim App Clip / Instant App */
+const RECLAIM_USE_APP_CLIP = process.env.RECLAIM_USE_APP_CLIP === 'true';
+/** Public base URL Reclaim posts proofs back to (optional, disables callbacks if unset) */
+const PUBLIC_URL = process.env.PUBLIC_URL?.replace(/\/$/, '');
+
+/**
+ * Reclaim provider ID of a claim
+ * The environment overrides the registry's default
+ */
+const resolveProviderId = (provider: ProviderEntry): string | null =>
+  process.env[provider.providerIdEnv] || provider.providerId;
+
+/** Origins allowed to call the API from a browser */
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
 /**
- * Allowed URL patterns for zkFetch requests
- * These patterns determine which URLs the signed token can access
+ * Session token expiry time in seconds (5 minutes by default)
+ * Tokens only need to live long enough for a single zkFetch call
  */
-const ALLOWED_URLS = [
-  'https://www.instagram.com/p/*',    // Instagram posts
-  'https://www.instagram.com/reel/*'  // Instagram reels
-];
+const TOKEN_EXPIRY_SECONDS = Number(process.env.SIGN_TOKEN_EXPIRY_SECONDS) || 300;
 
-/** Session token expiry time in seconds (1 hour) */
-const TOKEN_EXPIRY_SECONDS = 3600;
+/** Usage changes on every request, so it is written at most every few seconds */
+const usage = new JsonStore<UsageRecord>('usage', { persistDelayMs: 5000 });
 
 // ============================================
 // EXPRESS APP SETUP
@@ -50,12 +145,19 @@ const TOKEN_EXPIRY_SECONDS = 3600;
 
 const app = express();
 
-// Enable CORS for frontend requests
-// In production, restrict this to your frontend domain
-app.use(cors());
+// Needed for per-IP rate limits when running behind a reverse proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
-// Parse JSON request bodies
-app.use(express.json());
+// Enable CORS for the allow-listed frontend origins only
+app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ['Retry-After'] }));
+
+// Parse JSON request bodies (proof arrays can exceed the 100kb default)
+app.use(express.json({ limit: '1mb' }));
+
+// Per-IP limit applies to every route, including unauthenticated ones
+app.use(ipRateLimit());
 
 // ============================================
 // ROUTES
@@ -75,36 +177,244 @@ app.get('/', (_req: Request, res: Response) => {
   res.send('gm gm! api is running');
 });
 
+/**
+ * Issue Browser Session
+ *
+ * The browser app cannot hold an API key, so it asks for a short-lived
+ * signed session instead and sends it as a Bearer token on every call.
+ * Only the allow-listed origins get one, and only a few per IP per window
+ * (RATE_LIMIT_SESSIONS_PER_IP).
+ *
+ * @route POST /session
+ * @returns {Object} JSON object containing the session token
+ * @returns {string} session - Signed session token
+ * @returns {number} expiresAt - Expiry as a unix timestamp in seconds
+ *
+ * @example
+ * curl -X POST -H 'Origin: http://localhost:3000' http://localhost:8080/session
+ * // Response: { "session": "eyJzaWQiOi...", "expiresAt": 1718000000 }
+ *
+ * @throws {403} If the Origin header is not in CORS_ORIGINS
+ * @throws {429} If the IP has been issued too many sessions this window
+ */
+app.post('/session', requireAllowedOrigin(CORS_ORIGINS), sessionRateLimit(), (_req: Request, res: Response) => {
+  return res.status(200).json(issueSession());
+});
+
+/**
+ * Reclaim Callback
+ *
+ * Set as the app callback URL of every proof request, so Reclaim posts the
+ * proofs here once the user finishes verifying, whether or not the tab that
+ * started the session is still open. The proofs are re-verified and stored,
+ * and the session status is pushed to subscribed browsers.
+ *
+ * Not authenticated: the session id is unguessable and the proofs are
+ * verified before anything is stored.
+ *
+ * @route POST /callback/:sessionId
+ * @param {Object|Array} req.body - Proof(s), as JSON or URL-encoded JSON
+ * @returns {Object} JSON object with the session's new status
+ *
+ * @throws {404} If the session does not exist or expired
+ * @throws {409} If the session already has a final status
+ * @throws {400|422} If the proofs are rejected (the session is marked failed)
+ */
+app.post(
+  '/callback/:sessionId',
+  express.text({ type: 'application/x-www-form-urlencoded', limit: '1mb' }),
+  async (req: Request, res: Response) => {
+    const session = findSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No session with id ${req.params.sessionId}`
+      });
+    }
+    if (session.status !== 'pending') {
+      return res.status(409).json({
+        error: 'Session already completed',
+        message: `Session ${session.id} is ${session.status}`
+      });
+    }
+
+    try {
+      // Without jsonProofResponse Reclaim sends the proof as a URL-encoded JSON string
+      const body = typeof req.body === 'string' ? JSON.parse(decodeURIComponent(req.body)) : req.body;
+      const proofs = Array.isArray(body) ? body : [body];
+
+      const record = await verifyAndStore({
+        claim: session.claim,
+        proofs,
+        zkFetchProof: session.zkFetchProof,
+        inputUrl: session.inputUrl,
+        clientId: session.clientId
+      });
+      updateSession(session.id, { status: 'verified', verificationId: record.id });
+
+      return res.status(200).json({ status: 'verified', verificationId: record.id });
+    } catch (error) {
+      const failure = error instanceof VerificationFailure
+        ? error
+        : new VerificationFailure(400, 'Invalid callback body', error instanceof Error ? error.message : 'Unknown error');
+      if (!(error instanceof VerificationFailure)) {
+        console.error('Error handling Reclaim callback:', error);
+      }
+
+      updateSession(session.id, { status: 'failed', error: failure.toJSON() });
+      return res.status(failure.status).json(failure);
+    }
+  }
+);
+
+/**
+ * JSON Web Key Set
+ *
+ * Public keys that sign verification credentials and proof bundles, so
+ * relying parties can check a credential with any JWT library, and auditors
+ * a bundle without logging in. Credentials name their key in the `kid`
+ * header, bundles in `signature.kid`.
+ *
+ * @route GET /.well-known/jwks.json
+ * @returns {Object} `{ keys: [Ed25519 JWK] }`
+ *
+ * @example
+ * curl http://localhost:8080/.well-known/jwks.json
+ * // Response: { "keys": [{ "kty": "OKP", "crv": "Ed25519", "x": "...", "kid": "...", "alg": "EdDSA", "use": "sig" }] }
+ */
+app.get('/.well-known/jwks.json', (_req: Request, res: Response) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  return res.status(200).json({ keys: [getPublicJwk()] });
+});
+
+/**
+ * Get Credential Status
+ *
+ * Relying parties check this before trusting a credential, since a valid
+ * signature alone does not show it was not revoked. Not authenticated:
+ * it only reveals the status of a credential whose id the caller holds.
+ *
+ * @route GET /credentials/:id/status
+ * @returns {Object} `{ id, status, issuedAt, expiresAt, revokedAt, revocationReason }`,
+ *   where status is `active`, `revoked` or `expired`
+ *
+ * @example
+ * curl http://localhost:8080/credentials/0d4e.../status
+ * // Response: { "id": "0d4e...", "status": "active", "issuedAt": "2024-...", "expiresAt": "2024-...", ... }
+ *
+ * @throws {404} If no credential was issued with that id
+ */
+app.get('/credentials/:id/status', (req: Request, res: Response) => {
+  const credential = credentials.get(req.params.id);
+
+  if (!credential) {
+    return res.status(404).json({
+      error: 'Credential not found',
+      message: `No credential with id ${req.params.id}`
+    });
+  }
+
+  const { verificationId, ...status } = credential;
+  return res.status(200).json({ ...status, status: getCredentialStatus(credential) });
+});
+
+// Every route below requires an API key or a session
+app.use(authenticate, clientRateLimit(), trackUsage(usage));
+
 /**
  * Generate Session Signature
  *
  * Creates a signed session token that the frontend can use with zkFetch.
- * The token is time-limited and restricted to specific URL patterns.
+ * The token is short-lived and restricted to the embed URL of the one post
+ * being verified, so a leaked token cannot be used to fetch other posts.
+ *
+ * Also issues a single-use nonce bound to the caller. The proofs must carry
+ * it in their context (see shared/proofNonce.js) to pass verification.
  *
  * This endpoint keeps the APP_SECRET secure on the backend while
  * allowing the frontend to make authenticated zkFetch requests.
  *
+ * If a verified owner proof of the post is cached (see proofCache.ts), it
+ * is returned instead, with no token or nonce: there is nothing to prove.
+ *
  * @route GET /sign
- * @returns {Object} JSON object containing the session token
+ * @param {string} [req.query.url] - Any Instagram post, reel or IGTV link (see shared/instagramUrl.js)
+ * @param {string} [req.query.mediaCode] - Media code of a post (used if no url is given)
+ * @param {string} [req.query.contextAddress] - Wallet address the proof will be bound to
+ * @param {string} [req.query.refresh] - 'true' to skip the cache and prove again
+ * @returns {Object} JSON object containing the session token, or `{cached: true, proof, url, cachedAt}` on a cache hit
  * @returns {string} token - Signed session signature for zkFetch
+ * @returns {string} url - The only URL the token may fetch
+ * @returns {number} expiresAt - Token expiry as a unix timestamp in seconds
+ * @returns {string} nonce - Nonce to put in the proof context
+ * @returns {number} nonceExpiresAt - Nonce expiry as a unix timestamp in seconds
  *
  * @example
- * curl http://localhost:8080/sign
- * // Response: { "token": "eyJhbGciOiJIUzI1NiIs..." }
+ * curl 'http://localhost:8080/sign?url=https://www.instagram.com/p/ABC123/'
+ * // Response: { "token": "eyJhbGciOiJIUzI1NiIs...",
+ * //             "url": "https://www.instagram.com/p/ABC123/embed/",
+ * //             "expiresAt": 1718000000,
+ * //             "nonce": "3f2a9c...", "nonceExpiresAt": 1718000600 }
  *
+ * @throws {400} If the URL is not a supported Instagram link (`code` says why)
+ *   or the context address is not a wallet address
  * @throws {500} If signature generation fails
  */
-app.get('/sign', async (_req: Request, res: Response) => {
+app.get('/sign', async (req: Request, res: Response) => {
+  const { url, mediaCode, contextAddress, refresh } = req.query;
+
+  let embedUrl: string;
+  let postCode: string;
+  try {
+    if (typeof url === 'string') {
+      ({ embedUrl, mediaCode: postCode } = parseInstagramUrl(url));
+    } else if (typeof mediaCode === 'string' && MEDIA_CODE_PATTERN.test(mediaCode)) {
+      embedUrl = toEmbedUrl('post', mediaCode);
+      postCode = mediaCode;
+    } else {
+      throw new InstagramUrlError('EMPTY_URL', 'Expected an Instagram post url or mediaCode query parameter');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid Instagram URL',
+      code: error instanceof InstagramUrlError ? error.code : undefined,
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  if (contextAddress !== undefined && !(typeof contextAddress === 'string' && CONTEXT_ADDRESS_PATTERN.test(contextAddress))) {
+    return res.status(400).json({
+      error: 'Invalid context address',
+      message: 'contextAddress must be a 0x-prefixed 20-byte hex address'
+    });
+  }
+
+  const cached = lookupProof(postCode, { contextAddress, refresh: refresh === 'true' });
+  if (cached) {
+    return res.status(200).json({ cached: true, proof: cached.proof, url: embedUrl, cachedAt: cached.cachedAt });
+  }
+
   try {
-    // Generate a time-limited session signature
+    const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_EXPIRY_SECONDS;
+
+    // Generate a session signature that can only fetch this embed URL
     const signature = await generateSessionSignature({
       applicationId: APP_ID,
       applicationSecret: APP_SECRET,
-      allowedUrls: ALLOWED_URLS,
-      expiresAt: Math.floor(Date.now() / 1000) + TOKEN_EXPIRY_SECONDS
+      allowedUrls: [embedUrl],
+      expiresAt
     });
 
-    return res.status(200).json({ token: signature });
+    const nonce = issueNonce(getClient(res).id, embedUrl);
+
+    return res.status(200).json({
+      token: signature,
+      url: embedUrl,
+      expiresAt,
+      nonce: nonce.id,
+      nonceExpiresAt: nonce.expiresAt
+    });
   } catch (error) {
     console.error('Error generating session signature:', error);
     return res.status(500).json({
@@ -114,6 +424,794 @@ app.get('/sign', async (_req: Request, res: Response) => {
   }
 });
 
+/**
+ * Run zkFetch on the Server
+ *
+ * Fetches the post's embed page with zkFetch and matches the UsernameText
+ * regex on the backend, using the same options as the in-browser mode.
+ * Lets low-end clients skip in-browser proving entirely. A nonce is issued
+ * to the caller and embedded in the proof context, as with /sign.
+ *
+ * New proofs are verified and cached per post (see proofCache.ts); while
+ * one is cached it is returned without proving, and without a nonce.
+ *
+ * @route POST /zkfetch
+ * @param {string} req.body.url - Instagram post or reel URL
+ * @param {string} [req.body.contextAddress] - Wallet address to bind the proof to
+ * @param {boolean} [req.body.refresh] - Skip the cache and prove again
+ * @returns {Object} JSON object containing the zkFetch proof
+ * @returns {Object} proof - Proof with the username in `claimData.context`
+ * @returns {string} url - Embed URL that was fetched
+ * @returns {string} [nonce] - Nonce embedded in the proof context (new proofs only)
+ * @returns {boolean} cached - Whether the proof came from the cache
+ * @returns {string} [cachedAt] - When the cached proof was stored
+ *
+ * @example
+ * curl -X POST http://localhost:8080/zkfetch \
+ *   -H 'Content-Type: application/json' \
+ *   -d '{"url":"https://www.instagram.com/p/ABC123/"}'
+ * // Response: { "proof": { "claimData": { ... }, ... },
+ * //             "url": "https://www.instagram.com/p/ABC123/embed/", "nonce": "3f2a9c...", "cached": false }
+ *
+ * @throws {400} If the URL is not a supported Instagram link (`code` says why)
+ *   or the context address is not a wallet address
+ * @throws {404|422|502|503|500} If zkFetch fails; `type` is one of ZKFETCH_ERROR_TYPES
+ *   (LOGIN_WALL, NOT_FOUND, RATE_LIMITED, ATTESTOR_UNREACHABLE, TOKEN_EXPIRED, PROOF_INVALID, UNKNOWN)
+ */
+app.post('/zkfetch', async (req: Request, res: Response) => {
+  let embedUrl: string;
+  let mediaCode: string;
+  try {
+    ({ embedUrl, mediaCode } = parseInstagramUrl(req.body?.url));
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid Instagram URL',
+      code: error instanceof InstagramUrlError ? error.code : undefined,
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  const { contextAddress, refresh } = req.body;
+  if (contextAddress !== undefined && !(typeof contextAddress === 'string' && CONTEXT_ADDRESS_PATTERN.test(contextAddress))) {
+    return res.status(400).json({
+      error: 'Invalid context address',
+      message: 'contextAddress must be a 0x-prefixed 20-byte hex address'
+    });
+  }
+
+  const cached = lookupProof(mediaCode, { contextAddress, refresh: refresh === true });
+  if (cached) {
+    return res.status(200).json({ proof: cached.proof, url: embedUrl, cached: true, cachedAt: cached.cachedAt });
+  }
+
+  try {
+    const nonce = issueNonce(getClient(res).id, embedUrl);
+    const reclaim = new ReclaimClient(APP_ID, APP_SECRET);
+    const { publicOptions, privateOptions } = buildOwnerFetchOptions({ contextAddress, nonce: nonce.id });
+    const proof = await reclaim.zkFetch(embedUrl, publicOptions, privateOptions);
+
+    // The UsernameText regex only misses when the embed has no public post
+    const { username } = readZkFetchProof(proof);
+    if (!username) {
+      throw new ZkFetchError(ZKFETCH_ERROR_TYPES.NOT_FOUND);
+    }
+
+    // Only proofs that verify are cached, so a hit never needs proving again
+    if (!(await verifyProof(proof))) {
+      throw new ZkFetchError(ZKFETCH_ERROR_TYPES.PROOF_INVALID);
+    }
+    storeProof(mediaCode, proof, username);
+
+    return res.status(200).json({ proof, url: embedUrl, nonce: nonce.id, cached: false });
+  } catch (error) {
+    const failure = classifyZkFetchError(error);
+    console.error(`Error running zkFetch (${failure.type}):`, error);
+    return res.status(failure.status).json(failure);
+  }
+});
+
+/**
+ * Build Proof Request
+ *
+ * Initializes a ReclaimProofRequest for the claim's provider (see
+ * shared/providers.js) with the parameters read from the entered URL or
+ * username, and returns its serialized config. The frontend rebuilds the
+ * request with `ReclaimProofRequest.fromJsonString`, so the app secret
+ * never has to be shipped in the browser bundle.
+ *
+ * The request's context carries a nonce, so the provider proofs can only
+ * be verified once. Claims with an owner proof reuse the nonce from /sign
+ * (or /zkfetch), which must still be usable by the caller and match the
+ * nonce in the zkFetch proof if one is sent. Claims without one, and owner
+ * proofs served from the proof cache, get a new nonce here. Other owner
+ * proofs are verified and cached in the background, so the next request
+ * for the same post can skip proving.
+ *
+ * Also opens a verification session. When PUBLIC_URL is set, the request's
+ * app callback URL points at /callback/:sessionId, so the result is stored
+ * server-side and pushed to /sessions/:id/events.
+ *
+ * @route POST /proof-request
+ * @param {string} [req.body.claim='post'] - post, reelStats, profile or followers
+ * @param {string} req.body.url - Instagram URL (or, for profile claims, username) the user entered
+ * @param {string} [req.body.mediaCode] - Media code of the post, for post claims sent without a url
+ * @param {string} [req.body.nonce] - Nonce issued by /sign or /zkfetch (claims with an owner proof)
+ * @param {Object} [req.body.zkFetchProof] - Owner proof the callback proofs must match
+ * @returns {Object} JSON object containing the serialized request
+ * @returns {string} config - Output of `ReclaimProofRequest.toJsonString()`
+ * @returns {string} sessionId - Id of the verification session
+ * @returns {string} nonce - Nonce the provider proofs will carry
+ *
+ * @example
+ * curl -X POST http://localhost:8080/proof-request \
+ *   -H 'Content-Type: application/json' -d '{"mediaCode":"ABC123","nonce":"3f2a9c..."}'
+ * // Response: { "config": "{\"applicationId\":\"0x...\",...}", "sessionId": "9b2e...", "nonce": "3f2a9c..." }
+ *
+ * curl -X POST http://localhost:8080/proof-request \
+ *   -H 'Content-Type: application/json' -d '{"claim":"followers","url":"@natgeo"}'
+ *
+ * @throws {400} If the claim is unknown or the input does not fit it (`code` says why)
+ * @throws {422} If the nonce is missing, unknown, expired, used, or not the
+ *   zkFetch proof's nonce (`code` says why)
+ * @throws {503} If no Reclaim provider ID is configured for the claim
+ * @throws {500} If the proof request cannot be initialized
+ */
+app.post('/proof-request', async (req: Request, res: Response) => {
+  const { claim = DEFAULT_CLAIM, url, mediaCode, zkFetchProof, nonce } = req.body ?? {};
+
+  const provider = getProvider(claim);
+  if (!provider) {
+    return res.status(400).json({
+      error: 'Invalid claim',
+      message: `Unknown claim ${JSON.stringify(claim)}, expected one of ${Object.values(CLAIMS).join(', ')}`
+    });
+  }
+
+  const providerId = resolveProviderId(provider);
+  if (!providerId) {
+    return res.status(503).json({
+      error: 'Claim unavailable',
+      message: `No Reclaim provider is configured for ${provider.label} claims (set ${provider.providerIdEnv})`
+    });
+  }
+
+  // Post claims may send only the media code
+  const input = typeof url !== 'string' && provider.id === CLAIMS.POST && typeof mediaCode === 'string'
+    ? toEmbedUrl('post', mediaCode)
+    : url;
+
+  let target: any;
+  try {
+    target = provider.parseInput(input);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid Instagram URL',
+      code: error instanceof InstagramUrlError ? error.code : undefined,
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+
+  // A cached proof carries the nonce of whoever first proved the post
+  const isCachedOwnerProof = Boolean(zkFetchProof && findCachedProof(zkFetchProof, target.mediaCode));
+
+  let nonceId: string;
+  try {
+    if (provider.ownerProof && !isCachedOwnerProof) {
+      checkNonce(typeof nonce === 'string' ? nonce : null, getClient(res).id);
+      if (zkFetchProof && readProofNonce(zkFetchProof) !== nonce) {
+        throw new NonceError('NONCE_MISMATCH', 'The nonce is not the one the post owner proof was made with');
+      }
+      nonceId = nonce;
+    } else {
+      nonceId = issueNonce(getClient(res).id, provider.targetUrl(target)).id;
+    }
+  } catch (error) {
+    const nonceError = error as NonceError;
+    return res.status(422).json({ error: 'Invalid nonce', code: nonceError.code, message: nonceError.message });
+  }
+
+  if (zkFetchProof && !isCachedOwnerProof && target.mediaCode) {
+    void cacheOwnerProof(zkFetchProof, target.mediaCode);
+  }
+
+  try {
+    const proofRequest = await ReclaimProofRequest.init(
+      APP_ID,
+      APP_SECRET,
+      providerId,
+      {
+        useAppClip: RECLAIM_USE_APP_CLIP,
+        log: true,
+        customSharePageUrl: CUSTOM_SHARE_PAGE_URL,
+      }
+    );
+
+    // Set the claim's parameters for the provider, e.g. the media code
+    proofRequest.setParams(provider.buildParams(target));
+
+    // The provider proofs carry the nonce in their context, like the zkFetch proof
+    proofRequest.setContext('0x0', toContextMessage(nonceId));
+
+    const session = createSession({
+      id: randomUUID(),
+      clientId: getClient(res).id,
+      claim: provider.id,
+      mediaCode: target.mediaCode ?? null,
+      username: target.username ?? null,
+      inputUrl: typeof input === 'string' ? input : null,
+      zkFetchProof: zkFetchProof ?? null
+    });
+
+    // Have Reclaim post the proofs to us as JSON
+    if (PUBLIC_URL) {
+      proofRequest.setAppCallbackUrl(`${PUBLIC_URL}/callback/${session.id}`, true);
+    }
+
+    return res.status(200).json({ config: proofRequest.toJsonString(), sessionId: session.id, nonce: nonceId });
+  } catch (error) {
+    console.error('Error initializing proof request:', error);
+    return res.status(500).json({
+      error: 'Failed to initialize proof request',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * Verify Proofs
+ *
+ * Re-verifies the JS SDK provider proofs (and the zkFetch proof, if sent)
+ * on the server, extracts the claim's result with the same provider entry
+ * the frontend uses (see shared/providers.js), and stores it as a
+ * verification record.
+ * The proofs' nonce must have been issued to the caller, and is used up.
+ *
+ * @route POST /verify
+ * @param {string} [req.body.claim='post'] - Claim the proofs were made for
+ * @param {Array} req.body.proofs - Proofs returned by the Reclaim JS SDK
+ * @param {Object} [req.body.zkFetchProof] - Proof returned by zkFetch
+ * @param {string} [req.body.url] - Instagram URL (or username) the user entered; the proofs must match it
+ * @returns {Object} JSON object with the stored record's id, time, claim and
+ *   result (`post` repeats the result of post claims), and a signed
+ *   `credential` for it (see POST /verifications/:id/credentials)
+ *
+ * @example
+ * curl -X POST http://localhost:8080/verify \
+ *   -H 'Content-Type: application/json' -d '{"proofs":[...]}'
+ * // Response: { "id": "6f1c...", "verifiedAt": "2024-...", "claim": "post", "result": { ... }, "post": { ... }, "credential": "eyJhbGciOi..." }
+ *
+ * @throws {400} If the claim is unknown or no proofs are sent
+ * @throws {422} If any proof fails verification, has publicData in no known
+ *   schema (`PUBLIC_DATA_INVALID`), holds no post data, has a missing,
+ *   expired or used nonce, the zkFetch proof and provider proofs
+ *   describe different posts or accounts, or the provider proofs disagree
+ *   on a field (`POST_DATA_CONFLICT`)
+ * @throws {500} If verification cannot be completed
+ */
+app.post('/verify', async (req: Request, res: Response) => {
+  const { claim, proofs, zkFetchProof, url } = req.body ?? {};
+
+  try {
+    const record = await verifyAndStore({ claim, proofs, zkFetchProof, inputUrl: url, clientId: getClient(res).id });
+    return res.status(201).json({
+      id: record.id,
+      verifiedAt: record.verifiedAt,
+      claim: record.claim,
+      result: record.result,
+      post: record.post,
+      credential: issueCredential(record).jwt
+    });
+  } catch (error) {
+    if (error instanceof VerificationFailure) {
+      return res.status(error.status).json(error);
+    }
+
+    console.error('Error verifying proofs:', error);
+    return res.status(500).json({
+      error: 'Failed to verify proofs',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+});
+
+/**
+ * Get Verification Record
+ *
+ * @route GET /verifications/:id
+ * @returns {Object} The stored verification record, including its proofs
+ *
+ * @example
+ * curl http://localhost:8080/verifications/6f1c...
+ *
+ * @throws {404} If no record exists with that id
+ */
+app.get('/verifications/:id', (req: Request, res: Response) => {
+  const record = verifications.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      error: 'Verification not found',
+      message: `No verification with id ${req.params.id}`
+    });
+  }
+
+  return res.status(200).json(record);
+});
+
+/**
+ * Export Proof Bundle
+ *
+ * Returns a signed bundle of a stored verification's proofs, entered URL
+ * and timestamps. Auditors can re-check it offline on the frontend's
+ * "Verify a proof file" screen instead of redoing the Instagram flow.
+ *
+ * @route GET /verifications/:id/bundle
+ * @returns {Object} Signed proof bundle (see bundles.ts for the format)
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/verifications/6f1c.../bundle > bundle.json
+ *
+ * @throws {404} If no record exists with that id
+ */
+app.get('/verifications/:id/bundle', (req: Request, res: Response) => {
+  const record = verifications.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      error: 'Verification not found',
+      message: `No verification with id ${req.params.id}`
+    });
+  }
+
+  return res.status(200).json(createProofBundle(record));
+});
+
+/**
+ * Issue Verification Credential
+ *
+ * Signs a compact JWT attesting a stored verification: the claim, the
+ * username and media code, the verified metrics and a hash of each proof
+ * (see credentials.ts for the claims). Check it with the keys at
+ * /.well-known/jwks.json and its status at the `status` URL it carries.
+ *
+ * @route POST /verifications/:id/credentials
+ * @returns {Object} `{ credential, id, expiresAt }`: the JWT, its `jti` and expiry
+ *
+ * @example
+ * curl -X POST -H 'X-API-Key: <key>' http://localhost:8080/verifications/6f1c.../credentials
+ * // Response: { "credential": "eyJhbGciOi...", "id": "0d4e...", "expiresAt": "2024-..." }
+ *
+ * @throws {404} If no record exists with that id
+ */
+app.post('/verifications/:id/credentials', (req: Request, res: Response) => {
+  const record = verifications.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      error: 'Verification not found',
+      message: `No verification with id ${req.params.id}`
+    });
+  }
+
+  const { jwt, credential } = issueCredential(record);
+  return res.status(201).json({ credential: jwt, id: credential.id, expiresAt: credential.expiresAt });
+});
+
+/**
+ * Revoke Credential
+ *
+ * Marks a credential revoked, e.g. when the post was deleted or the deal
+ * fell through. Its status route reports `revoked` from then on.
+ *
+ * @route POST /credentials/:id/revoke
+ * @param {string} [req.body.reason] - Why it was revoked
+ * @returns {Object} The credential's status
+ *
+ * @example
+ * curl -X POST -H 'X-API-Key: <key>' -H 'Content-Type: application/json' \
+ *   http://localhost:8080/credentials/0d4e.../revoke -d '{"reason":"Post deleted"}'
+ *
+ * @throws {403} If called with a browser session instead of an API key
+ * @throws {404} If no credential was issued with that id
+ */
+app.post('/credentials/:id/revoke', requireApiKey, (req: Request, res: Response) => {
+  const credential = credentials.get(req.params.id);
+
+  if (!credential) {
+    return res.status(404).json({
+      error: 'Credential not found',
+      message: `No credential with id ${req.params.id}`
+    });
+  }
+
+  const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+  const revoked = revokeCredential(credential, reason);
+  const { verificationId, ...status } = revoked;
+  return res.status(200).json({ ...status, status: getCredentialStatus(revoked) });
+});
+
+/**
+ * Get Bundle Public Key
+ *
+ * @route GET /bundles/public-key
+ * @returns {Object} Ed25519 public key (JWK) that signs proof bundles
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/bundles/public-key
+ * // Response: { "kty": "OKP", "crv": "Ed25519", "x": "...", "kid": "...", ... }
+ */
+app.get('/bundles/public-key', (_req: Request, res: Response) => {
+  return res.status(200).json(getPublicJwk());
+});
+
+/**
+ * Get Verification Session
+ *
+ * Only the client that requested the proof request can read its session.
+ *
+ * @route GET /sessions/:id
+ * @returns {Object} Session status, and the verification id once verified
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/sessions/9b2e...
+ * // Response: { "id": "9b2e...", "status": "verified", "verificationId": "6f1c...", ... }
+ *
+ * @throws {404} If the session does not exist, expired or belongs to another client
+ */
+app.get('/sessions/:id', (req: Request, res: Response) => {
+  const session = findSession(req.params.id, getClient(res).id);
+
+  if (!session) {
+    return res.status(404).json({
+      error: 'Session not found',
+      message: `No session with id ${req.params.id}`
+    });
+  }
+
+  const { zkFetchProof, ...status } = session;
+  return res.status(200).json(status);
+});
+
+/**
+ * Stream Verification Session Status
+ *
+ * Server-Sent Events stream of `status` events for a session. Sends the
+ * current status immediately and closes once the session is verified or
+ * failed. EventSource cannot set headers, so browsers authenticate with
+ * an `access_token` query parameter holding their session token. Only the
+ * client that requested the proof request can follow its session.
+ *
+ * @route GET /sessions/:id/events
+ *
+ * @example
+ * curl -N 'http://localhost:8080/sessions/9b2e.../events?access_token=<session>'
+ * // event: status
+ * // data: {"id":"9b2e...","status":"pending",...}
+ *
+ * @throws {404} If the session does not exist, expired or belongs to another client
+ */
+app.get('/sessions/:id/events', (req: Request, res: Response) => {
+  const session = findSession(req.params.id, getClient(res).id);
+
+  if (!session) {
+    return res.status(404).json({
+      error: 'Session not found',
+      message: `No session with id ${req.params.id}`
+    });
+  }
+
+  return streamSession(res, session);
+});
+
+// ============================================
+// CAMPAIGNS
+// ============================================
+
+/**
+ * Create Campaign
+ *
+ * Stores a brand-deal campaign. Rules are validated and normalized on the
+ * way in (see shared/campaignRules.js for the rule types).
+ *
+ * @route POST /campaigns
+ * @param {string} req.body.name - Campaign name
+ * @param {Array} req.body.rules - Rule objects, e.g. `{ "type": "minLikes", "value": 1000 }`
+ * @returns {Object} The stored campaign
+ *
+ * @example
+ * curl -X POST -H 'X-API-Key: <key>' -H 'Content-Type: application/json' http://localhost:8080/campaigns \
+ *   -d '{"name":"Summer launch","rules":[{"type":"captionContains","value":"#ad"},{"type":"minLikes","value":1000}]}'
+ * // Response: { "id": "3a7d...", "name": "Summer launch", "rules": [...], "createdAt": "2024-...", "createdBy": "ci" }
+ *
+ * @throws {400} If the name is missing (`CAMPAIGN_INVALID`) or a rule is invalid
+ *   (`CAMPAIGN_RULES_INVALID`, with one entry per problem in `errors`)
+ * @throws {403} If called with a browser session instead of an API key
+ */
+app.post('/campaigns', requireApiKey, (req: Request, res: Response) => {
+  try {
+    const campaign = createCampaign(req.body ?? {}, getClient(res).id);
+    return res.status(201).json(campaign);
+  } catch (error) {
+    if (error instanceof CampaignError) {
+      return res.status(400).json({ error: 'Invalid campaign', code: error.code, message: error.message });
+    }
+    if (error instanceof CampaignRuleError) {
+      return res.status(400).json({
+        error: 'Invalid campaign',
+        code: error.code,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    throw error;
+  }
+});
+
+/**
+ * List Campaigns
+ *
+ * @route GET /campaigns
+ * @returns {Array} Every stored campaign
+ *
+ * @throws {403} If called with a browser session instead of an API key
+ */
+app.get('/campaigns', requireApiKey, (_req: Request, res: Response) => {
+  return res.status(200).json(campaigns.list());
+});
+
+/**
+ * Get Campaign
+ *
+ * Browser sessions may read a campaign, so creators can see its terms.
+ *
+ * @route GET /campaigns/:id
+ * @returns {Object} The stored campaign
+ *
+ * @throws {404} If no campaign exists with that id
+ */
+app.get('/campaigns/:id', (req: Request, res: Response) => {
+  const campaign = campaigns.get(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({
+      error: 'Campaign not found',
+      message: `No campaign with id ${req.params.id}`
+    });
+  }
+
+  return res.status(200).json(campaign);
+});
+
+/**
+ * Delete Campaign
+ *
+ * @route DELETE /campaigns/:id
+ *
+ * @throws {403} If called with a browser session instead of an API key
+ * @throws {404} If no campaign exists with that id
+ */
+app.delete('/campaigns/:id', requireApiKey, (req: Request, res: Response) => {
+  if (!campaigns.delete(req.params.id)) {
+    return res.status(404).json({
+      error: 'Campaign not found',
+      message: `No campaign with id ${req.params.id}`
+    });
+  }
+
+  return res.status(204).end();
+});
+
+/**
+ * Evaluate Verification Against Campaign
+ *
+ * Checks a stored verification against every rule of a campaign. Rules
+ * only see the verified result, never data sent by the client.
+ *
+ * @route GET /campaigns/:id/verifications/:verificationId
+ * @returns {Object} Report with `passed` and one outcome per rule
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/campaigns/3a7d.../verifications/6f1c...
+ * // Response: { "campaignId": "3a7d...", "verificationId": "6f1c...", "passed": false, "rules": [
+ * //   { "type": "minLikes", "value": 1000, "passed": false, "actual": 640, "message": "640 likes, fewer than 1000" }, ...] }
+ *
+ * @throws {404} If the campaign or the verification does not exist
+ */
+app.get('/campaigns/:id/verifications/:verificationId', (req: Request, res: Response) => {
+  const campaign = campaigns.get(req.params.id);
+  if (!campaign) {
+    return res.status(404).json({
+      error: 'Campaign not found',
+      message: `No campaign with id ${req.params.id}`
+    });
+  }
+
+  const record = verifications.get(req.params.verificationId);
+  if (!record) {
+    return res.status(404).json({
+      error: 'Verification not found',
+      message: `No verification with id ${req.params.verificationId}`
+    });
+  }
+
+  return res.status(200).json(evaluateCampaign(campaign, record));
+});
+
+/**
+ * Start Engagement Tracking
+ *
+ * Registers the post of a verification for tracking: the backend proves
+ * its like and comment counts again every interval with zkFetch and keeps
+ * the history (see tracking.ts). A post is tracked once; registering it
+ * again returns the existing tracking with status 200. API keys only: every
+ * tracked post keeps the attestor busy on a schedule, so browser sessions,
+ * which anyone can get, cannot add them.
+ *
+ * @route POST /verifications/:id/tracking
+ * @param {number} [req.body.intervalSeconds] - Time between checks, at least 900
+ *   (defaults to TRACKING_INTERVAL_SECONDS)
+ * @returns {Object} The tracked post, with its data points
+ *
+ * @example
+ * curl -X POST -H 'X-API-Key: <key>' -H 'Content-Type: application/json' \
+ *   http://localhost:8080/verifications/6f1c.../tracking -d '{"intervalSeconds":3600}'
+ * // Response: { "id": "ABC123", "status": "active", "intervalSeconds": 3600,
+ * //             "points": [{ "provenAt": "2024-...", "likes": 1200, "comments": 45, "proofHash": "q3v...", "source": "verification" }], ... }
+ *
+ * @throws {400} If the verification has no counts to track or the interval is invalid
+ * @throws {403} If called with a browser session instead of an API key
+ * @throws {404} If no record exists with that id
+ */
+app.post('/verifications/:id/tracking', requireApiKey, (req: Request, res: Response) => {
+  const record = verifications.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      error: 'Verification not found',
+      message: `No verification with id ${req.params.id}`
+    });
+  }
+
+  try {
+    const { tracked, created } = startTracking(record, req.body ?? {}, getClient(res).id);
+    return res.status(created ? 201 : 200).json(tracked);
+  } catch (error) {
+    if (!(error instanceof TrackingError)) throw error;
+    return res.status(400).json({ error: 'Invalid tracking request', code: error.code, message: error.message });
+  }
+});
+
+/**
+ * Get Engagement History
+ *
+ * Returns the tracking of a verification's post, whichever verification
+ * started it: status, data points oldest first, and the last check's error.
+ * `status` is `unavailable` while the post is deleted or private.
+ *
+ * @route GET /verifications/:id/tracking
+ * @returns {Object} The tracked post, with its data points
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/verifications/6f1c.../tracking
+ *
+ * @throws {404} If no record exists with that id, or its post is not tracked
+ */
+app.get('/verifications/:id/tracking', (req: Request, res: Response) => {
+  const record = verifications.get(req.params.id);
+  const tracked = record?.mediaCode ? trackedPosts.get(record.mediaCode) : undefined;
+
+  if (!tracked) {
+    return res.status(404).json({
+      error: 'Tracking not found',
+      message: record ? `The post of verification ${req.params.id} is not tracked` : `No verification with id ${req.params.id}`
+    });
+  }
+
+  return res.status(200).json(tracked);
+});
+
+/**
+ * Stop Engagement Tracking
+ *
+ * Stops checking the verification's post and deletes its history.
+ *
+ * @route DELETE /verifications/:id/tracking
+ * @returns {204} No content
+ *
+ * @example
+ * curl -X DELETE -H 'X-API-Key: <key>' http://localhost:8080/verifications/6f1c.../tracking
+ *
+ * @throws {403} If called with a browser session instead of an API key
+ * @throws {404} If no record exists with that id, or its post is not tracked
+ */
+app.delete('/verifications/:id/tracking', requireApiKey, (req: Request, res: Response) => {
+  const record = verifications.get(req.params.id);
+  const tracked = record?.mediaCode ? trackedPosts.get(record.mediaCode) : undefined;
+
+  if (!tracked) {
+    return res.status(404).json({
+      error: 'Tracking not found',
+      message: record ? `The post of verification ${req.params.id} is not tracked` : `No verification with id ${req.params.id}`
+    });
+  }
+
+  stopTracking(tracked);
+  return res.status(204).end();
+});
+
+/**
+ * Get Engagement Proof
+ *
+ * Returns the proof behind a data point of an engagement history, so its
+ * counts can be checked with `verifyProof` and its hash recomputed.
+ *
+ * @route GET /engagement-proofs/:hash
+ * @returns {Object} `{ id, mediaCode, proof }`, where `id` is the proof hash
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/engagement-proofs/q3v...
+ *
+ * @throws {404} If no stored data point has that proof hash
+ */
+app.get('/engagement-proofs/:hash', (req: Request, res: Response) => {
+  const stored = engagementProofs.get(req.params.hash);
+
+  if (!stored) {
+    return res.status(404).json({
+      error: 'Proof not found',
+      message: `No engagement proof with hash ${req.params.hash}`
+    });
+  }
+
+  return res.status(200).json(stored);
+});
+
+/**
+ * Get Usage
+ *
+ * Returns request counts per client and route. Browser sessions are
+ * counted together under `browser`; API key clients under their id.
+ *
+ * @route GET /usage
+ * @returns {Array} Usage records, one per client
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/usage
+ * // Response: [{ "id": "browser", "requests": 42, "routes": { "GET /sign": 20, ... } }]
+ *
+ * @throws {403} If called with a browser session instead of an API key
+ */
+app.get('/usage', requireApiKey, (_req: Request, res: Response) => {
+  return res.status(200).json(usage.list());
+});
+
+/**
+ * Get Proof Cache Stats
+ *
+ * Returns how often /sign and /zkfetch answered from the post owner proof
+ * cache (see proofCache.ts) instead of proving.
+ *
+ * @route GET /proof-cache/stats
+ * @returns {Object} Lookup counts since `since`, the hit rate, live entries and TTL
+ *
+ * @example
+ * curl -H 'X-API-Key: <key>' http://localhost:8080/proof-cache/stats
+ * // Response: { "hits": 12, "misses": 4, "refreshes": 1, "stored": 5, "since": "2024-...",
+ * //             "hitRate": 0.705, "entries": 3, "ttlSeconds": 3600 }
+ *
+ * @throws {403} If called with a browser session instead of an API key
+ */
+app.get('/proof-cache/stats', requireApiKey, (_req: Request, res: Response) => {
+  return res.status(200).json(getCacheStats());
+});
+
+// Proves tracked posts again when they are due
+startTrackingScheduler((url, publicOptions, privateOptions) =>
+  new ReclaimClient(APP_ID, APP_SECRET).zkFetch(url, publicOptions, privateOptions));
+
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
+  if (!PUBLIC_URL) {
+    console.warn('PUBLIC_URL is not set; Reclaim callbacks are disabled and results only reach the open tab');
+  }
 });
@@ -0,0 +1,88 @@
+/**
+ * Backend Signing Key
+ *
+ * Ed25519 key pair used to sign what the backend attests to, such as
+ * exported proof bundles and verification credentials. The key is generated
+ * on first use and kept in `<DATA_DIR>/signing-key.json` so signatures stay
+ * checkable across restarts.
+ *
+ * Environment Variables:
+ * - DATA_DIR : Directory for the key file (optional, defaults to ./data)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  KeyObject,
+  sign
+} from 'crypto';
+
+/** Public key in JWK form, with the key id signatures refer to */
+export interface PublicJwk {
+  kty: 'OKP';
+  crv: 'Ed25519';
+  x: string;
+  kid: string;
+  alg: 'EdDSA';
+  use: 'sig';
+}
+
+interface SigningKey {
+  privateKey: KeyObject;
+  publicJwk: PublicJwk;
+}
+
+let signingKey: SigningKey | undefined;
+
+/**
+ * Loads the key pair from disk, generating and saving it on first use
+ */
+const getSigningKey = (): SigningKey => {
+  if (signingKey) return signingKey;
+
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+  const file = path.join(dataDir, 'signing-key.json');
+
+  let privateKey: KeyObject;
+  if (fs.existsSync(file)) {
+    const { privateKeyPem } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    privateKey = createPrivateKey(privateKeyPem);
+  } else {
+    privateKey = generateKeyPairSync('ed25519').privateKey;
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) }),
+      { mode: 0o600 }
+    );
+  }
+
+  const { x } = createPublicKey(privateKey).export({ format: 'jwk' });
+
+  // RFC 7638 thumbprint of the required OKP members, in lexicographic order
+  const kid = createHash('sha256')
+    .update(JSON.stringify({ crv: 'Ed25519', kty: 'OKP', x }))
+    .digest('base64url');
+
+  signingKey = {
+    privateKey,
+    publicJwk: { kty: 'OKP', crv: 'Ed25519', x: x as string, kid, alg: 'EdDSA', use: 'sig' }
+  };
+  return signingKey;
+};
+
+/** Returns the public half of the signing key */
+export const getPublicJwk = (): PublicJwk => getSigningKey().publicJwk;
+
+/**
+ * Signs data with the backend key
+ *
+ * @param data - Bytes or UTF-8 string to sign
+ * @returns Base64url encoded Ed25519 signature
+ */
+export const signData = (data: string | Buffer): string =>
+  sign(null, Buffer.from(data), getSigningKey().privateKey).toString('base64url');
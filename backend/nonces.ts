@@ -0,0 +1,115 @@
+/**
+ * Proof Nonces
+ *
+ * Single-use nonces that stop a captured proof from being replayed. One is
+ * issued with every /sign token (and every server-side zkFetch), bound to
+ * the client that asked for it. The frontend puts it in the zkFetch proof
+ * context and the Reclaim proof request context (see shared/proofNonce.js),
+ * and verification consumes it, so each proof is accepted once, only for
+ * that client, and only before the nonce expires.
+ *
+ * Environment Variables:
+ * - NONCE_TTL_SECONDS : Time to finish verifying after /sign (optional, defaults to 900)
+ */
+
+import { randomBytes } from 'crypto';
+import { JsonStore } from './store';
+import { NonceErrorCode } from '../shared/proofNonce';
+
+/** Issued nonce; the nonce itself is the id */
+export interface ProofNonce {
+  id: string;
+  /** Client the nonce was issued to (see auth.ts) */
+  clientId: string;
+  /** Embed URL the /sign token was scoped to */
+  url: string;
+  issuedAt: string;
+  /** Expiry as a unix timestamp in seconds */
+  expiresAt: number;
+  /** Set once a verification used the nonce */
+  usedAt: string | null;
+}
+
+/** Rejected nonce; `code` is one of NONCE_ERROR_CODES (shared/proofNonce.js) */
+export class NonceError extends Error {
+  constructor(readonly code: NonceErrorCode, message: string) {
+    super(message);
+    this.name = 'NonceError';
+  }
+}
+
+/**
+ * Nonce lifetime in seconds (15 minutes by default)
+ * Covers proving plus the user finishing the Reclaim verification
+ */
+const NONCE_TTL_SECONDS = Number(process.env.NONCE_TTL_SECONDS) || 900;
+
+export const nonces = new JsonStore<ProofNonce>('nonces');
+
+const nowSeconds = () => Date.now() / 1000;
+
+/** Drops nonces that can no longer be used, so the store does not grow forever */
+const pruneExpired = () => {
+  const now = nowSeconds();
+  nonces.list()
+    .filter((nonce) => nonce.expiresAt <= now)
+    .forEach((nonce) => nonces.delete(nonce.id));
+};
+
+/**
+ * Issues a nonce for one proof
+ *
+ * @param clientId - Client the nonce is bound to
+ * @param url - Embed URL being proven
+ * @returns The stored nonce
+ */
+export const issueNonce = (clientId: string, url: string): ProofNonce => {
+  pruneExpired();
+  return nonces.put({
+    id: randomBytes(16).toString('hex'),
+    clientId,
+    url,
+    issuedAt: new Date().toISOString(),
+    expiresAt: Math.floor(nowSeconds()) + NONCE_TTL_SECONDS,
+    usedAt: null
+  });
+};
+
+/**
+ * Checks that a nonce can still be used by a client, without using it up
+ *
+ * @param nonce - Nonce read from a proof, or null if it carried none
+ * @param clientId - Client the proof is submitted for
+ * @returns The stored nonce
+ * @throws {NonceError} If the nonce is missing, unknown, issued to another
+ *   client, expired or already used
+ */
+export const checkNonce = (nonce: string | null, clientId: string): ProofNonce => {
+  if (!nonce) {
+    throw new NonceError('NONCE_MISSING', 'The proof was not made with a nonce from /sign');
+  }
+
+  const record = nonces.get(nonce);
+  // Nonces of other clients are reported as unknown so they cannot be probed
+  if (!record || record.clientId !== clientId) {
+    throw new NonceError('NONCE_UNKNOWN', 'The proof nonce was not issued to this session');
+  }
+  if (record.usedAt) {
+    throw new NonceError('NONCE_USED', 'This proof was already used');
+  }
+  if (record.expiresAt <= nowSeconds()) {
+    throw new NonceError('NONCE_EXPIRED', 'The proof nonce expired; please start the verification again');
+  }
+
+  return record;
+};
+
+/**
+ * Marks a nonce as used; later verifications with it fail with NONCE_USED
+ * Call right after `checkNonce`, with no await in between
+ *
+ * @param nonce - Nonce returned by `checkNonce`
+ */
+export const consumeNonce = (nonce: ProofNonce) => {
+  nonces.put({ ...nonce, usedAt: new Date().toISOString() });
+};
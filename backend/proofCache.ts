@@ -0,0 +1,210 @@
+/**
+ * Post Owner Proof Cache
+ *
+ * A zkFetch proof of who owns a post takes seconds to minutes to make,
+ * and the answer rarely changes. Verified owner proofs are kept per
+ * canonical media code (and the wallet address they are bound to), so a
+ * later /sign or /zkfetch for the same post returns the stored proof
+ * instead of proving again. Callers can force a fresh proof with `refresh`.
+ *
+ * A cached proof carries the nonce of the session that made it, so it
+ * cannot pass the usual nonce checks for anyone else. Instead, a proof
+ * found in this cache is trusted as an owner proof (it is public data and
+ * still re-verified), and /proof-request issues a fresh nonce for the
+ * provider proofs, which are what prove the user controls the account.
+ *
+ * Environment Variables:
+ * - PROOF_CACHE_TTL_SECONDS : How long a proof is served from the cache
+ *   (optional, defaults to 3600; 0 disables the cache)
+ */
+
+import { verifyProof } from '@reclaimprotocol/js-sdk';
+import { JsonStore } from './store';
+import { parseInstagramUrl } from '../shared/instagramUrl';
+import { readZkFetchProof } from '../shared/proofBinding';
+
+export interface CachedProof {
+  /** `<mediaCode>:<contextAddress>` */
+  id: string;
+  mediaCode: string;
+  /** Wallet address in the proof context, lowercase; 0x0 if unbound */
+  contextAddress: string;
+  username: string;
+  proof: any;
+  cachedAt: string;
+  /** Served until this unix timestamp in seconds */
+  expiresAt: number;
+}
+
+/** Counters since the cache was first used */
+interface CacheCounters {
+  id: 'totals';
+  /** Lookups answered from the cache, i.e. proofs not made */
+  hits: number;
+  /** Lookups that had to prove */
+  misses: number;
+  /** Lookups that skipped the cache on request */
+  refreshes: number;
+  /** Proofs added to the cache */
+  stored: number;
+  since: string;
+}
+
+export interface CacheStats extends Omit<CacheCounters, 'id'> {
+  /** hits / (hits + misses + refreshes), null before the first lookup */
+  hitRate: number | null;
+  /** Proofs currently served from the cache */
+  entries: number;
+  ttlSeconds: number;
+}
+
+/** Expired entries are kept this long, so flows that started from them can still finish */
+const EXPIRED_GRACE_SECONDS = 24 * 60 * 60;
+
+export const proofCache = new JsonStore<CachedProof>('proof-cache');
+const counters = new JsonStore<CacheCounters>('proof-cache-stats');
+
+const nowSeconds = () => Date.now() / 1000;
+
+/** Read per call so dotenv has already run; an empty value keeps the default */
+const getTtlSeconds = (): number => {
+  const configured = process.env.PROOF_CACHE_TTL_SECONDS;
+  return configured === undefined || configured === '' ? 3600 : Math.max(0, Number(configured) || 0);
+};
+
+const cacheKey = (mediaCode: string, contextAddress = '0x0') => `${mediaCode}:${contextAddress.toLowerCase()}`;
+
+/** Adds to the counters */
+const count = (field: 'hits' | 'misses' | 'refreshes' | 'stored') => {
+  const totals = counters.get('totals')
+    ?? { id: 'totals', hits: 0, misses: 0, refreshes: 0, stored: 0, since: new Date().toISOString() };
+  counters.put({ ...totals, [field]: totals[field] + 1 });
+};
+
+/** Reads the wallet address a proof is bound to */
+const readContextAddress = (proof: any): string => {
+  let context = proof?.claimData?.context;
+  if (typeof context === 'string') {
+    try {
+      context = JSON.parse(context);
+    } catch (e) {
+      context = null;
+    }
+  }
+  return typeof context?.contextAddress === 'string' ? context.contextAddress.toLowerCase() : '0x0';
+};
+
+/** Drops entries past their grace period, so the store does not grow forever */
+const pruneExpired = () => {
+  const cutoff = nowSeconds() - EXPIRED_GRACE_SECONDS;
+  proofCache.list()
+    .filter((entry) => entry.expiresAt <= cutoff)
+    .forEach((entry) => proofCache.delete(entry.id));
+};
+
+/**
+ * Looks up the owner proof of a post and counts the lookup
+ *
+ * @param mediaCode - Canonical media code
+ * @param options.contextAddress - Wallet address the proof must be bound to (defaults to 0x0)
+ * @param options.refresh - Skip the cache and make a new proof
+ * @returns The cached entry, or null if the caller has to prove
+ */
+export const lookupProof = (
+  mediaCode: string,
+  { contextAddress, refresh = false }: { contextAddress?: string; refresh?: boolean } = {}
+): CachedProof | null => {
+  if (getTtlSeconds() === 0) return null;
+
+  if (refresh) {
+    count('refreshes');
+    return null;
+  }
+
+  const entry = proofCache.get(cacheKey(mediaCode, contextAddress));
+  if (entry && entry.expiresAt > nowSeconds()) {
+    count('hits');
+    return entry;
+  }
+
+  count('misses');
+  return null;
+};
+
+/**
+ * Stores a verified owner proof for its post
+ * The caller must have checked the proof with `verifyProof`
+ *
+ * @param mediaCode - Canonical media code the proof fetched
+ * @param proof - The zkFetch proof
+ * @param username - Owner read from the proof
+ */
+export const storeProof = (mediaCode: string, proof: any, username: string): CachedProof | null => {
+  const ttlSeconds = getTtlSeconds();
+  if (ttlSeconds === 0) return null;
+
+  pruneExpired();
+  const contextAddress = readContextAddress(proof);
+  const entry = proofCache.put({
+    id: cacheKey(mediaCode, contextAddress),
+    mediaCode,
+    contextAddress,
+    username,
+    proof,
+    cachedAt: new Date().toISOString(),
+    expiresAt: Math.floor(nowSeconds()) + ttlSeconds
+  });
+  count('stored');
+  return entry;
+};
+
+/**
+ * Verifies an owner proof made in a browser and caches it
+ * Never throws: a proof that cannot be cached is simply not cached
+ *
+ * @param proof - zkFetch proof sent to /proof-request
+ * @param mediaCode - Media code of the post the request is for
+ */
+export const cacheOwnerProof = async (proof: any, mediaCode: string): Promise<void> => {
+  try {
+    const { url, username } = readZkFetchProof(proof);
+    if (!url || !username || parseInstagramUrl(url).mediaCode !== mediaCode) return;
+    if (!(await verifyProof(proof))) return;
+
+    storeProof(mediaCode, proof, username);
+  } catch (error) {
+    console.warn('Could not cache owner proof:', error instanceof Error ? error.message : error);
+  }
+};
+
+/**
+ * Finds the entry a proof was served from or stored as
+ * Expired entries still count until pruned, so a flow that started from
+ * a cached proof can finish after the entry stops being served
+ *
+ * @param proof - zkFetch proof sent by a client
+ * @param mediaCode - Media code it must be for
+ * @returns The entry, or null if the proof did not come from this cache
+ */
+export const findCachedProof = (proof: any, mediaCode?: string | null): CachedProof | null => {
+  if (!proof?.identifier) return null;
+
+  const entry = proofCache.list().find((candidate) => candidate.proof?.identifier === proof.identifier);
+  if (!entry || (mediaCode && entry.mediaCode !== mediaCode)) return null;
+  return entry;
+};
+
+/** Hit and miss counts, and the share of lookups that skipped proving */
+export const getCacheStats = (): CacheStats => {
+  const { id, ...totals } = counters.get('totals')
+    ?? { id: 'totals', hits: 0, misses: 0, refreshes: 0, stored: 0, since: new Date().toISOString() };
+  const lookups = totals.hits + totals.misses + totals.refreshes;
+  const now = nowSeconds();
+
+  return {
+    ...totals,
+    hitRate: lookups === 0 ? null : totals.hits / lookups,
+    entries: proofCache.list().filter((entry) => entry.expiresAt > now).length,
+    ttlSeconds: getTtlSeconds()
+  };
+};
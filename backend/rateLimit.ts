@@ -0,0 +1,134 @@
+/**
+ * Rate Limiting and Usage Accounting
+ *
+ * Fixed-window rate limits per IP (applied before authentication) and per
+ * client (applied after it). Browser sessions are free to mint, so they are
+ * limited per IP rather than per session, and POST /session has its own
+ * tighter per-IP limit. Limited requests get a 429 with a Retry-After
+ * header. Every authenticated request is also counted per usage key and
+ * route, so we can see which clients spend our Reclaim quota.
+ *
+ * Environment Variables:
+ * - RATE_LIMIT_WINDOW_SECONDS : Window length (optional, defaults to 60)
+ * - RATE_LIMIT_PER_IP         : Requests per window per IP (optional, defaults to 60)
+ * - RATE_LIMIT_PER_CLIENT     : Requests per window per client (optional, defaults to 30)
+ * - RATE_LIMIT_SESSIONS_PER_IP : Sessions issued per window per IP (optional, defaults to 5)
+ */
+
+import { NextFunction, Request, Response } from 'express';
+import { JsonStore } from './store';
+import { getClient } from './auth';
+
+/** Request count for one usage key */
+export interface UsageRecord {
+  id: string;
+  requests: number;
+  /** Requests per route, keyed like `GET /sign` */
+  routes: Record<string, number>;
+  firstSeenAt: string;
+  lastSeenAt: string;
+}
+
+interface RateWindow {
+  count: number;
+  resetAt: number;
+}
+
+/**
+ * Creates a fixed-window rate limiting middleware
+ *
+ * @param name - Label used in the 429 message, e.g. 'IP'
+ * @param limit - Requests allowed per window
+ * @param keyOf - Returns the key requests are counted under
+ */
+const createRateLimiter = (
+  name: string,
+  limit: number,
+  keyOf: (req: Request, res: Response) => string
+) => {
+  const windowMs = (Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+  const windows = new Map<string, RateWindow>();
+
+  // Drop expired windows so the map does not grow with every IP ever seen
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  }, windowMs).unref();
+
+  return (req: Request, res: Response, next: NextFunction) => {
+    const key = keyOf(req, res);
+    const now = Date.now();
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count += 1;
+
+    if (window.count > limit) {
+      const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `${name} rate limit exceeded, retry in ${retryAfter}s`
+      });
+    }
+
+    return next();
+  };
+};
+
+/** Per-IP limit, applied to every route before authentication */
+export const ipRateLimit = () =>
+  createRateLimiter('IP', Number(process.env.RATE_LIMIT_PER_IP) || 60, (req) => req.ip ?? 'unknown');
+
+/** Per-IP limit on issuing browser sessions, applied to POST /session */
+export const sessionRateLimit = () =>
+  createRateLimiter('Session', Number(process.env.RATE_LIMIT_SESSIONS_PER_IP) || 5, (req) => req.ip ?? 'unknown');
+
+/**
+ * Per-client limit, applied after `authenticate`
+ * A new session is a new client id, so sessions are counted per IP
+ */
+export const clientRateLimit = () =>
+  createRateLimiter('Client', Number(process.env.RATE_LIMIT_PER_CLIENT) || 30, (req, res) => {
+    const client = getClient(res);
+    return client.type === 'session' ? `browser:${req.ip ?? 'unknown'}` : client.id;
+  });
+
+/**
+ * Creates a middleware that counts each authenticated request per usage key
+ * Counted once the response finishes so the matched route path is known.
+ * Requests that match no route share one counter per method, so made-up
+ * paths cannot add keys without end.
+ *
+ * @param usage - Store the counters are persisted in
+ */
+export const trackUsage = (usage: JsonStore<UsageRecord>) =>
+  (req: Request, res: Response, next: NextFunction) => {
+    res.on('finish', () => {
+      const client = getClient(res);
+      if (!client) return;
+
+      const now = new Date().toISOString();
+      const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} <unmatched>`;
+      const record = usage.get(client.usageKey) ?? {
+        id: client.usageKey,
+        requests: 0,
+        routes: {},
+        firstSeenAt: now,
+        lastSeenAt: now
+      };
+
+      record.requests += 1;
+      record.routes[route] = (record.routes[route] ?? 0) + 1;
+      record.lastSeenAt = now;
+      usage.put(record);
+    });
+
+    next();
+  };
@@ -0,0 +1,176 @@
+/**
+ * Verification Sessions
+ *
+ * Every proof request built by POST /proof-request gets a session record.
+ * Reclaim posts the proofs to the session's callback URL, so the result is
+ * kept on the server even if the user closes the tab or switches devices.
+ * Status changes are pushed to subscribed browsers over Server-Sent Events.
+ *
+ * A session is only visible to the client that created it, and is dropped
+ * once it is older than VERIFICATION_SESSION_TTL_SECONDS.
+ *
+ * Environment Variables:
+ * - VERIFICATION_SESSION_TTL_SECONDS : How long session records are kept (optional, defaults to 86400)
+ */
+
+import { Response } from 'express';
+import { JsonStore } from './store';
+import { ClaimId } from '../shared/providers';
+
+export type SessionStatus = 'pending' | 'verified' | 'failed';
+
+/** Server-side record of one Reclaim verification session */
+export interface VerificationSession {
+  id: string;
+  status: SessionStatus;
+  createdAt: string;
+  updatedAt: string;
+  /** Client that requested the proof request */
+  clientId: string;
+  /** Claim being verified (see shared/providers.js); post if unset */
+  claim?: ClaimId;
+  /** Media code of post claims, null for profile claims */
+  mediaCode: string | null;
+  /** Username of profile claims, null for post claims */
+  username?: string | null;
+  /** Instagram URL the user entered, if sent */
+  inputUrl: string | null;
+  /** zkFetch owner proof to bind the callback proofs to, if sent */
+  zkFetchProof: any | null;
+  /** Set once the callback proofs were verified and stored */
+  verificationId: string | null;
+  /** Set when the callback proofs were rejected */
+  error: { error: string; type?: string; code?: string; message: string } | null;
+}
+
+/** Interval of SSE comments that keep proxies from closing idle streams */
+const HEARTBEAT_MS = 25_000;
+
+/**
+ * Session record lifetime in seconds (1 day by default)
+ * Long enough to finish on another device or come back after a reload
+ */
+const SESSION_RECORD_TTL_SECONDS = Number(process.env.VERIFICATION_SESSION_TTL_SECONDS) || 24 * 60 * 60;
+
+export const sessions = new JsonStore<VerificationSession>('sessions');
+
+/** Open SSE responses per session id */
+const subscribers = new Map<string, Set<Response>>();
+
+const isExpired = (session: VerificationSession, now = Date.now()): boolean =>
+  Date.parse(session.createdAt) + SESSION_RECORD_TTL_SECONDS * 1000 <= now;
+
+/** Drops expired sessions, so the store does not grow forever */
+const pruneExpired = () => {
+  const now = Date.now();
+  sessions.list()
+    .filter((session) => isExpired(session, now))
+    .forEach((session) => {
+      subscribers.get(session.id)?.forEach((res) => res.end());
+      subscribers.delete(session.id);
+      sessions.delete(session.id);
+    });
+};
+
+/**
+ * Stores a new pending session
+ *
+ * @param fields - Session fields other than the status and timestamps
+ * @returns The stored session
+ */
+export const createSession = (
+  fields: Omit<VerificationSession, 'status' | 'createdAt' | 'updatedAt' | 'verificationId' | 'error'>
+): VerificationSession => {
+  pruneExpired();
+  const now = new Date().toISOString();
+  return sessions.put({ ...fields, status: 'pending', createdAt: now, updatedAt: now, verificationId: null, error: null });
+};
+
+/**
+ * Looks up a session that has not expired
+ *
+ * @param id - Session id
+ * @param clientId - If given, sessions of other clients are not found either,
+ *   so their ids cannot be probed
+ */
+export const findSession = (id: string, clientId?: string): VerificationSession | undefined => {
+  const session = sessions.get(id);
+  if (!session || isExpired(session)) return undefined;
+  if (clientId !== undefined && session.clientId !== clientId) return undefined;
+  return session;
+};
+
+/** Fields of a session that are safe to push to the browser */
+const toEvent = (session: VerificationSession) => ({
+  id: session.id,
+  status: session.status,
+  updatedAt: session.updatedAt,
+  verificationId: session.verificationId,
+  error: session.error
+});
+
+const send = (res: Response, session: VerificationSession) => {
+  res.write(`event: status\ndata: ${JSON.stringify(toEvent(session))}\n\n`);
+};
+
+/**
+ * Updates a session and pushes the new status to its subscribers
+ * Subscribers are disconnected once the session reaches a final status
+ *
+ * @param id - Session id
+ * @param changes - Fields to update
+ * @returns The updated session
+ */
+export const updateSession = (
+  id: string,
+  changes: Partial<Omit<VerificationSession, 'id'>>
+): VerificationSession => {
+  const session = sessions.put({
+    ...sessions.get(id)!,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+
+  const listeners = subscribers.get(id);
+  listeners?.forEach((res) => {
+    send(res, session);
+    if (session.status !== 'pending') res.end();
+  });
+  if (session.status !== 'pending') subscribers.delete(id);
+
+  return session;
+};
+
+/**
+ * Streams a session's status to the response as Server-Sent Events
+ * Sends the current status right away, then every change until it is final
+ *
+ * @param res - Response to stream to
+ * @param session - Session to follow
+ */
+export const streamSession = (res: Response, session: VerificationSession) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  send(res, session);
+  if (session.status !== 'pending') {
+    res.end();
+    return;
+  }
+
+  const listeners = subscribers.get(session.id) ?? new Set<Response>();
+  listeners.add(res);
+  subscribers.set(session.id, listeners);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    listeners.delete(res);
+    if (listeners.size === 0) subscribers.delete(session.id);
+  });
+};
@@ -0,0 +1,100 @@
+/**
+ * JSON File Store
+ *
+ * Minimal persistence for backend records. Each collection is held in
+ * memory and written to `<DATA_DIR>/<name>.json` whenever it changes,
+ * which is enough for a single-instance demo server without a database.
+ * Collections that change on every request can batch their writes instead
+ * (`persistDelayMs`); changes not yet written are lost if the process is
+ * killed, and written when it exits normally.
+ *
+ * Environment Variables:
+ * - DATA_DIR : Directory for the JSON files (optional, defaults to ./data)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/** Any record kept in a store must have a unique id */
+export interface StoredRecord {
+  id: string;
+}
+
+export interface JsonStoreOptions {
+  /** Write at most once per this many milliseconds instead of on every change */
+  persistDelayMs?: number;
+}
+
+export class JsonStore<T extends StoredRecord> {
+  private readonly file: string;
+  private readonly records = new Map<string, T>();
+  private readonly persistDelayMs: number;
+  private persistTimer: NodeJS.Timeout | null = null;
+
+  /**
+   * @param name - Collection name, used as the file name
+   * @param options.persistDelayMs - Batch writes (defaults to writing on every change)
+   */
+  constructor(name: string, { persistDelayMs = 0 }: JsonStoreOptions = {}) {
+    this.persistDelayMs = persistDelayMs;
+    // A batch still waiting is written when the process exits normally
+    if (persistDelayMs) process.once('exit', () => this.flush());
+
+    // Resolved here rather than at import time so dotenv has already run
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+    this.file = path.join(dataDir, `${name}.json`);
+
+    if (fs.existsSync(this.file)) {
+      const stored: T[] = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      stored.forEach((record) => this.records.set(record.id, record));
+    }
+  }
+
+  get(id: string): T | undefined {
+    return this.records.get(id);
+  }
+
+  list(): T[] {
+    return Array.from(this.records.values());
+  }
+
+  put(record: T): T {
+    this.records.set(record.id, record);
+    this.schedulePersist();
+    return record;
+  }
+
+  delete(id: string): boolean {
+    const deleted = this.records.delete(id);
+    if (deleted) this.schedulePersist();
+    return deleted;
+  }
+
+  /** Writes now, or once per `persistDelayMs` with the changes made meanwhile */
+  private schedulePersist(): void {
+    if (!this.persistDelayMs) {
+      this.persist();
+      return;
+    }
+    if (this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => this.flush(), this.persistDelayMs);
+    this.persistTimer.unref();
+  }
+
+  /** Writes changes that are waiting for their batch */
+  flush(): void {
+    if (!this.persistTimer) return;
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.persist();
+  }
+
+  /** Writes to a temp file first so a crash never leaves half a JSON file */
+  private persist(): void {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * Engagement Tracking
+ *
+ * A verified post can be registered for tracking. The scheduler then
+ * proves it again every interval with zkFetch on the captioned embed page
+ * (see shared/engagement.js), and stores each proven like and comment count
+ * as a data point with the hash of its proof. A check whose proof cannot be
+ * made because the username is gone from the page marks the post
+ * unavailable: it was deleted or made private. Checks continue, so a post made public again recovers.
+ *
+ * The proofs behind the data points are kept in their own store, keyed by
+ * the same hash, so anyone can fetch a point's proof and verify it.
+ *
+ * Environment Variables:
+ * - TRACKING_INTERVAL_SECONDS : Default time between checks of a post
+ *   (optional, defaults to 21600, 6 hours; at least 900)
+ */
+
+import { verifyProof } from '@reclaimprotocol/js-sdk';
+import { JsonStore } from './store';
+import { hashProof } from './credentials';
+import { VerificationRecord } from './verifications';
+import { CLAIMS } from '../shared/providers';
+import { readZkFetchProof } from '../shared/proofBinding';
+import { MediaType, parseInstagramUrl } from '../shared/instagramUrl';
+import {
+  buildEngagementFetchOptions,
+  isPostUnavailable,
+  POINT_SOURCES,
+  PointSource,
+  readEngagement,
+  toEngagementUrl,
+  TRACKING_STATUSES,
+  TrackingStatus
+} from '../shared/engagement';
+import { classifyZkFetchError, withRetry, ZkFetchError, ZKFETCH_ERROR_TYPES } from '../shared/zkFetchErrors';
+
+/** Shortest allowed time between checks, so one post cannot keep the attestor busy */
+export const MIN_INTERVAL_SECONDS = 15 * 60;
+
+/** Oldest points are dropped past this many, with their proofs */
+const MAX_POINTS = 1000;
+
+/** How often the scheduler looks for posts that are due */
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+/** Claims whose result has like and comment counts */
+const TRACKABLE_CLAIMS: string[] = [CLAIMS.POST, CLAIMS.REEL_STATS];
+
+/** One proven reading of a post's counts */
+export interface EngagementPoint {
+  provenAt: string;
+  likes: number | null;
+  comments: number | null;
+  /** Base64url SHA-256 of the proof's canonical JSON (see credentials.ts) */
+  proofHash: string;
+  source: PointSource;
+}
+
+export interface TrackedPost {
+  /** The media code; a post is tracked at most once */
+  id: string;
+  mediaCode: string;
+  /** Picks the embed page to prove; posts tracked before it was stored are `post` */
+  mediaType?: MediaType;
+  username: string | null;
+  /** Verification the tracking was started from */
+  verificationId: string;
+  createdAt: string;
+  /** API key client or `browser` that started it */
+  createdBy: string;
+  intervalSeconds: number;
+  status: TrackingStatus;
+  /** First check that found the post gone, while it still is */
+  unavailableSince: string | null;
+  lastCheckedAt: string | null;
+  nextCheckAt: string;
+  /** Why the last check made no data point, if it did not */
+  lastError: { type: string; message: string } | null;
+  /** Oldest first */
+  points: EngagementPoint[];
+}
+
+/** A proof behind a data point */
+export interface EngagementProof {
+  /** The proof hash */
+  id: string;
+  mediaCode: string;
+  proof: any;
+}
+
+/** Runs zkFetch with the app credentials; supplied by the server */
+export type ZkFetchRunner = (url: string, publicOptions: any, privateOptions: any) => Promise<any>;
+
+export const trackedPosts = new JsonStore<TrackedPost>('tracked-posts');
+export const engagementProofs = new JsonStore<EngagementProof>('engagement-proofs');
+
+/** Error for tracking requests that cannot be accepted */
+export class TrackingError extends Error {
+  readonly code = 'TRACKING_INVALID';
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'TrackingError';
+  }
+}
+
+/** Read per call so dotenv has already run */
+const getDefaultInterval = (): number =>
+  Math.max(MIN_INTERVAL_SECONDS, Number(process.env.TRACKING_INTERVAL_SECONDS) || 6 * 60 * 60);
+
+const secondsFromNow = (seconds: number): string => new Date(Date.now() + seconds * 1000).toISOString();
+
+/**
+ * Media type of a verification's post, read from the URL it was verified with
+ * Records without a URL for that post are treated as posts
+ */
+const readMediaType = (record: VerificationRecord): MediaType => {
+  try {
+    const { type, mediaCode } = parseInstagramUrl(record.inputUrl ?? '');
+    return mediaCode === record.mediaCode ? type : 'post';
+  } catch {
+    return 'post';
+  }
+};
+
+/** Stores a proof and returns the point for it */
+const addPoint = (
+  tracked: TrackedPost,
+  proof: any,
+  { likes, comments, source }: { likes: number | null; comments: number | null; source: PointSource }
+): EngagementPoint[] => {
+  const proofHash = hashProof(proof);
+  engagementProofs.put({ id: proofHash, mediaCode: tracked.mediaCode, proof });
+
+  const points = [...tracked.points, { provenAt: new Date().toISOString(), likes, comments, proofHash, source }];
+  const dropped = points.splice(0, Math.max(0, points.length - MAX_POINTS));
+  dropped.forEach((point) => engagementProofs.delete(point.proofHash));
+  return points;
+};
+
+/**
+ * Starts tracking the post of a verification
+ * The verification's own counts are the first point; the first check runs
+ * on the scheduler's next tick. A post already tracked is returned as is.
+ *
+ * @param record - Verification of a post or reel stats claim
+ * @param options.intervalSeconds - Time between checks (defaults to TRACKING_INTERVAL_SECONDS)
+ * @param clientId - Client starting it
+ * @returns The tracked post, and whether it was created by this call
+ * @throws {TrackingError} If the claim has no counts or the interval is too short
+ */
+export const startTracking = (
+  record: VerificationRecord,
+  { intervalSeconds }: { intervalSeconds?: unknown },
+  clientId: string
+): { tracked: TrackedPost; created: boolean } => {
+  if (!TRACKABLE_CLAIMS.includes(record.claim) || !record.mediaCode) {
+    throw new TrackingError(`Only post and reel stats verifications can be tracked, not ${record.claim}`);
+  }
+  if (intervalSeconds !== undefined
+    && !(typeof intervalSeconds === 'number' && Number.isInteger(intervalSeconds) && intervalSeconds >= MIN_INTERVAL_SECONDS)) {
+    throw new TrackingError(`intervalSeconds must be a whole number of at least ${MIN_INTERVAL_SECONDS}`);
+  }
+
+  const existing = trackedPosts.get(record.mediaCode);
+  if (existing) return { tracked: existing, created: false };
+
+  const now = new Date().toISOString();
+  const tracked: TrackedPost = {
+    id: record.mediaCode,
+    mediaCode: record.mediaCode,
+    mediaType: readMediaType(record),
+    username: record.username,
+    verificationId: record.id,
+    createdAt: now,
+    createdBy: clientId,
+    intervalSeconds: (intervalSeconds as number | undefined) ?? getDefaultInterval(),
+    status: TRACKING_STATUSES.ACTIVE,
+    unavailableSince: null,
+    lastCheckedAt: null,
+    nextCheckAt: now,
+    lastError: null,
+    points: []
+  };
+
+  const result = record.result as { likes?: number | null; comments?: number | null } | null;
+  tracked.points = addPoint(tracked, record.proofs[0], {
+    likes: result?.likes ?? null,
+    comments: result?.comments ?? null,
+    source: POINT_SOURCES.VERIFICATION
+  });
+  tracked.points[0].provenAt = record.verifiedAt;
+
+  return { tracked: trackedPosts.put(tracked), created: true };
+};
+
+/** Deletes a tracked post and the proofs of its points */
+export const stopTracking = (tracked: TrackedPost): void => {
+  tracked.points.forEach((point) => engagementProofs.delete(point.proofHash));
+  trackedPosts.delete(tracked.id);
+};
+
+/**
+ * Proves a tracked post's counts again and records the outcome
+ * Never throws: failures are stored as `lastError`, and a missing username
+ * marks the post unavailable (see isPostUnavailable)
+ *
+ * @param tracked - Post to check
+ * @param zkFetch - Runs zkFetch with the app credentials
+ * @returns The updated tracked post, or null if it was stopped meanwhile
+ */
+export const checkTrackedPost = async (tracked: TrackedPost, zkFetch: ZkFetchRunner): Promise<TrackedPost | null> => {
+  const checkedAt = new Date().toISOString();
+
+  let update: Partial<TrackedPost>;
+  let proof: any = null;
+  try {
+    proof = await withRetry(async () => {
+      const { publicOptions, privateOptions } = buildEngagementFetchOptions();
+      const made = await zkFetch(toEngagementUrl(tracked.mediaType ?? 'post', tracked.mediaCode), publicOptions, privateOptions);
+
+      // The UsernameText regex only misses when the embed has no public post
+      if (!readZkFetchProof(made).username) {
+        throw new ZkFetchError(ZKFETCH_ERROR_TYPES.NOT_FOUND);
+      }
+      if (!(await verifyProof(made))) {
+        throw new ZkFetchError(ZKFETCH_ERROR_TYPES.PROOF_INVALID);
+      }
+      return made;
+    });
+    update = { status: TRACKING_STATUSES.ACTIVE, unavailableSince: null, lastError: null };
+  } catch (error) {
+    const failure = classifyZkFetchError(error);
+    update = isPostUnavailable(failure)
+      ? { status: TRACKING_STATUSES.UNAVAILABLE, unavailableSince: tracked.unavailableSince ?? checkedAt }
+      : {};
+    update.lastError = { type: failure.type, message: failure.message };
+  }
+
+  // The post may have been stopped while proving
+  const current = trackedPosts.get(tracked.id);
+  if (!current) return null;
+
+  const next: TrackedPost = {
+    ...current,
+    ...update,
+    lastCheckedAt: checkedAt,
+    nextCheckAt: secondsFromNow(current.intervalSeconds)
+  };
+  if (proof) {
+    next.points = addPoint(current, proof, { ...readEngagement(proof), source: POINT_SOURCES.ZKFETCH });
+  }
+  return trackedPosts.put(next);
+};
+
+/**
+ * Checks every tracked post that is due, one at a time
+ * A tick that finds the previous one still running does nothing
+ *
+ * @param zkFetch - Runs zkFetch with the app credentials
+ * @returns The interval timer, for tests and shutdown
+ */
+export const startTrackingScheduler = (zkFetch: ZkFetchRunner): NodeJS.Timeout => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const due = trackedPosts.list().filter((tracked) => Date.parse(tracked.nextCheckAt) <= Date.now());
+      for (const tracked of due) {
+        await checkTrackedPost(tracked, zkFetch);
+      }
+    } catch (error) {
+      console.error('Error checking tracked posts:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(() => {
+    void tick();
+  }, SCHEDULER_TICK_MS);
+  // Tracking alone should not keep the process alive
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,207 @@
+/**
+ * Verification Records
+ *
+ * Server-side re-verification of Reclaim proofs and the records it
+ * produces. Used by POST /verify (proofs sent by the browser) and by the
+ * Reclaim callback route (proofs posted by Reclaim directly). Downstream
+ * services should trust these records, not the browser's own check.
+ *
+ * What is checked and extracted depends on the claim (see shared/providers.js).
+ */
+
+import { randomUUID } from 'crypto';
+import { verifyProof, Proof } from '@reclaimprotocol/js-sdk';
+import { JsonStore } from './store';
+import { PostData } from '../shared/postData';
+import { InstagramUrlError } from '../shared/instagramUrl';
+import { ProofBindingError, readZkFetchProof } from '../shared/proofBinding';
+import { CLAIMS, ClaimId, ClaimResult, DEFAULT_CLAIM, getProvider } from '../shared/providers';
+import { ZKFETCH_ERROR_TYPES, ZkFetchErrorType } from '../shared/zkFetchErrors';
+import { readProofNonce } from '../shared/proofNonce';
+import { assertValidPublicData, PublicDataError } from '../shared/publicDataSchema';
+import { checkNonce, consumeNonce, NonceError, ProofNonce } from './nonces';
+import { findCachedProof } from './proofCache';
+
+/** Verification record stored after the backend re-verifies a set of proofs */
+export interface VerificationRecord {
+  id: string;
+  verifiedAt: string;
+  /** Instagram URL the user entered, if sent */
+  inputUrl: string | null;
+  /** Claim that was verified; records from before the registry are post claims */
+  claim: ClaimId;
+  mediaCode: string | null;
+  username: string | null;
+  /** What the claim's provider extracted from the proofs */
+  result: ClaimResult | PostData;
+  /** Same as `result` for post claims, null otherwise */
+  post: PostData | null;
+  proofs: Proof[];
+  zkFetchProof: Proof | null;
+}
+
+/** What a caller hands in to be verified */
+export interface VerificationInput {
+  /** CLAIMS value, defaults to post ownership */
+  claim?: unknown;
+  proofs: unknown;
+  zkFetchProof?: any;
+  inputUrl?: unknown;
+  /** Client the proofs are submitted for; their nonce must have been issued to it */
+  clientId: string;
+}
+
+/**
+ * Rejection with the HTTP status and JSON body fields routes should answer with
+ * `type` is set for failures that map to the shared error taxonomy
+ */
+export class VerificationFailure extends Error {
+  constructor(
+    readonly status: number,
+    readonly error: string,
+    message: string,
+    readonly code?: string,
+    readonly type?: ZkFetchErrorType
+  ) {
+    super(message);
+    this.name = 'VerificationFailure';
+  }
+
+  /** JSON body for the error response */
+  toJSON() {
+    return { error: this.error, type: this.type, code: this.code, message: this.message };
+  }
+}
+
+export const verifications = new JsonStore<VerificationRecord>('verifications');
+
+/**
+ * Reads the nonce all proofs were made with
+ *
+ * @returns The shared nonce, or null if any proof carries none
+ * @throws {NonceError} NONCE_MISMATCH if the proofs carry different nonces
+ */
+const readSharedNonce = (proofs: any[]): string | null => {
+  const found = proofs.map(readProofNonce);
+  if (found.some((nonce) => !nonce)) return null;
+
+  if (new Set(found).size > 1) {
+    throw new NonceError('NONCE_MISMATCH', 'The proofs were made with different nonces');
+  }
+  return found[0];
+};
+
+/**
+ * Re-verifies proofs, checks they belong together and stores the record
+ *
+ * Every proof must carry the same nonce (see nonces.ts), issued to the
+ * client and not yet used or expired. An owner proof from the proof cache
+ * (see proofCache.ts) is exempt, since it was made for an earlier session.
+ * The nonce is used up once the record is stored, so the same proofs
+ * cannot be verified again.
+ *
+ * @param input - Claim, provider proofs, optional zkFetch proof, entered URL and client
+ * @returns The stored verification record
+ * @throws {VerificationFailure} 400 if the claim is unknown or no proofs are given; 422 if a proof is
+ *   invalid, its publicData matches no known schema, it holds no post data,
+ *   has a missing, expired or used nonce, the proofs describe different posts
+ *   or accounts, or they disagree on a field
+ */
+export const verifyAndStore = async ({
+  claim = DEFAULT_CLAIM,
+  proofs,
+  zkFetchProof,
+  inputUrl,
+  clientId
+}: VerificationInput): Promise<VerificationRecord> => {
+  const provider = getProvider(claim);
+  if (!provider) {
+    throw new VerificationFailure(400, 'Invalid claim', `Unknown claim ${JSON.stringify(claim)}`);
+  }
+  if (!Array.isArray(proofs) || proofs.length === 0) {
+    throw new VerificationFailure(400, 'Invalid proofs', 'Expected a non-empty array of proofs');
+  }
+
+  for (const proof of [...proofs, ...(zkFetchProof ? [zkFetchProof] : [])]) {
+    if (!(await verifyProof(proof))) {
+      throw new VerificationFailure(
+        422,
+        'Proof verification failed',
+        `Proof ${proof?.identifier ?? '(no identifier)'} is not valid`,
+        undefined,
+        ZKFETCH_ERROR_TYPES.PROOF_INVALID
+      );
+    }
+  }
+
+  // Provider output must match a known publicData schema before it is read
+  try {
+    assertValidPublicData(proofs, provider.validatePublicData);
+  } catch (error) {
+    if (!(error instanceof PublicDataError)) throw error;
+    throw new VerificationFailure(422, 'Invalid proof data', error.message, error.code);
+  }
+
+  // An owner proof served from the proof cache carries an older session's
+  // nonce; the provider proofs still carry this session's
+  const nonceProofs = zkFetchProof && !findCachedProof(zkFetchProof) ? [...proofs, zkFetchProof] : proofs;
+
+  // No awaits from here on, so the nonce cannot be used twice concurrently
+  let nonce: ProofNonce;
+  try {
+    nonce = checkNonce(readSharedNonce(nonceProofs), clientId);
+  } catch (error) {
+    if (!(error instanceof NonceError)) throw error;
+    throw new VerificationFailure(422, 'Invalid nonce', error.message, error.code);
+  }
+
+  const url = typeof inputUrl === 'string' ? inputUrl : null;
+  const result = provider.extract(proofs);
+
+  // Post claims bind the owner proof to the provider proofs; profile claims
+  // bind the provider proofs to the entered account
+  if (provider.ownerProof ? zkFetchProof : url) {
+    try {
+      provider.bind({
+        inputUrl: url ?? readZkFetchProof(zkFetchProof).url ?? '',
+        zkFetchProof,
+        proofs,
+        result
+      });
+    } catch (error) {
+      if (!(error instanceof ProofBindingError || error instanceof InstagramUrlError)) throw error;
+      throw new VerificationFailure(422, 'Proofs do not match', error.message, error.code);
+    }
+  }
+
+  if (!result || (!result.username && !result.mediaCode)) {
+    throw new VerificationFailure(
+      422,
+      `Missing ${provider.label.toLowerCase()} data`,
+      `The proofs do not contain the ${provider.label.toLowerCase()} data`
+    );
+  }
+  if (result.conflicts.length > 0) {
+    throw new VerificationFailure(
+      422,
+      'Proofs disagree',
+      `The proofs disagree on ${result.conflicts.map(({ field }) => field).join(', ')}`,
+      'POST_DATA_CONFLICT'
+    );
+  }
+
+  consumeNonce(nonce);
+
+  return verifications.put({
+    id: randomUUID(),
+    verifiedAt: new Date().toISOString(),
+    inputUrl: url,
+    claim: provider.id,
+    mediaCode: result.mediaCode ?? null,
+    username: result.username,
+    result,
+    post: provider.id === CLAIMS.POST ? (result as PostData) : null,
+    proofs,
+    zkFetchProof: zkFetchProof ?? null
+  });
+};
@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+/*
+ * Headless CLI for proving and verifying Instagram posts
+ *
+ * Scripts and CI jobs use this instead of the React app. `prove` runs the
+ * same embed page zkFetch and UsernameText match as the app (see
+ * shared/zkFetchRequest.js) and writes the proof JSON. `verify` checks a
+ * proof file (see shared/proofFile.js) and prints what it proves.
+ *
+ * Usage:
+ *   instagram-zktls prove <post-url> [--out proof.json] [--context-address 0x...] [--backend URL] [--refresh]
+ *   instagram-zktls verify <file> [--json] [--public-key key.json] [--backend URL]
+ *
+ * The exit code tells a pipeline what happened (see EXIT_CODES).
+ *
+ * Environment Variables:
+ * - APP_ID      : Reclaim Protocol Application ID (prove)
+ * - APP_SECRET  : Signs the zkFetch token locally when no backend is used
+ * - BACKEND_URL : Get the token and a proof nonce from this backend's /sign route instead,
+ *   and the keys bundles may be signed with from its /.well-known/jwks.json route (verify)
+ * - API_KEY     : X-API-Key sent to the backend (see backend/auth.ts)
+ */
+
+require('dotenv/config');
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { verifyProof } = require('@reclaimprotocol/js-sdk');
+const { canonicalize } = require('../shared/canonicalJson');
+const { InstagramUrlError, parseInstagramUrl } = require('../shared/instagramUrl');
+const { readZkFetchProof } = require('../shared/proofBinding');
+const { ProofFileError, readProofFile } = require('../shared/proofFile');
+const { getProvider } = require('../shared/providers');
+const { assertValidPublicData } = require('../shared/publicDataSchema');
+const { buildOwnerFetchOptions, CONTEXT_ADDRESS_PATTERN } = require('../shared/zkFetchRequest');
+const { withRetry, ZkFetchError, ZKFETCH_ERROR_TYPES } = require('../shared/zkFetchErrors');
+
+const EXIT_CODES = {
+  OK: 0,
+  /** `verify`: a proof, the bundle signature or a cross-check failed */
+  VERIFICATION_FAILED: 1,
+  /** Bad arguments or configuration */
+  USAGE: 2,
+  /** `prove`: the proof could not be made, and trying again will not help */
+  PROVE_FAILED: 3,
+  /** `verify`: the file is missing, not JSON or holds no proof */
+  INPUT: 4,
+  /** A transient failure (rate limit, attestor, expired token, backend unreachable); try again later */
+  TRANSIENT: 5
+};
+
+/** Token lifetime when signing locally, as SIGN_TOKEN_EXPIRY_SECONDS defaults to on the backend */
+const TOKEN_EXPIRY_SECONDS = 300;
+
+const USAGE = `Usage:
+  instagram-zktls prove <post-url> [--out proof.json] [--context-address 0x...] [--backend URL] [--refresh]
+  instagram-zktls verify <file> [--json] [--public-key key.json] [--backend URL]`;
+
+/** Failure with the exit code to end with */
+class CliError extends Error {
+  constructor(exitCode, message) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/** Progress goes to stderr, so stdout can be piped */
+const log = (message) => process.stderr.write(`${message}\n`);
+
+/**
+ * Calls a backend route with API_KEY
+ * Failures that are not the route's own are CliErrors: retrying our own
+ * rate limit would only use up more of it
+ *
+ * @returns {Promise<{response: Response, data: Object}>}
+ */
+const callBackend = async (backendUrl, path) => {
+  let response;
+  try {
+    response = await fetch(`${backendUrl.replace(/\/$/, '')}${path}`, {
+      headers: process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {}
+    });
+  } catch (error) {
+    throw new CliError(EXIT_CODES.TRANSIENT, `Cannot reach the backend at ${backendUrl}: ${error.cause?.code || error.message}`);
+  }
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status === 401 || response.status === 403) {
+    throw new CliError(EXIT_CODES.USAGE, `The backend refused the request: ${data.message || response.status}. Check API_KEY.`);
+  }
+  if (response.status === 429) {
+    // Typed so withRetry gives up at once instead of reading "rate limit" as Instagram's
+    throw Object.assign(
+      new CliError(EXIT_CODES.TRANSIENT, `The backend is rate limiting this client, retry in ${response.headers.get('Retry-After') || 'a few'}s`),
+      { type: ZKFETCH_ERROR_TYPES.BACKEND_RATE_LIMITED }
+    );
+  }
+  return { response, data };
+};
+
+/**
+ * Gets a token for one post from the backend's /sign route
+ * The backend may answer with a cached proof of the post instead
+ *
+ * @returns {Promise<Object>} `{token, url, nonce}` or `{cached: true, proof}`
+ */
+const signWithBackend = async (backendUrl, instagramUrl, { contextAddress, refresh }) => {
+  const query = new URLSearchParams({ url: instagramUrl });
+  if (contextAddress) query.set('contextAddress', contextAddress);
+  if (refresh) query.set('refresh', 'true');
+
+  const { response, data } = await callBackend(backendUrl, `/sign?${query}`);
+  if (!response.ok) {
+    // `type` lets withRetry classify zkFetch failures the backend already sorted
+    throw Object.assign(new Error(data.message || data.error || `/sign failed with status ${response.status}`), { type: data.type });
+  }
+  return data;
+};
+
+/**
+ * Signs a token for one post with the app secret, as /sign does
+ * Without a backend there is no nonce, so the proof cannot be submitted to one
+ *
+ * @returns {Promise<Object>} `{token, url}`
+ */
+const signLocally = async (embedUrl) => {
+  const { generateSessionSignature } = require('@reclaimprotocol/zk-fetch');
+  const token = await generateSessionSignature({
+    applicationId: process.env.APP_ID,
+    applicationSecret: process.env.APP_SECRET,
+    allowedUrls: [embedUrl],
+    expiresAt: Math.floor(Date.now() / 1000) + TOKEN_EXPIRY_SECONDS
+  });
+  return { token, url: embedUrl };
+};
+
+/**
+ * `prove`: proves who owns a post and writes the zkFetch proof
+ *
+ * @param {string} input - Instagram post or reel URL
+ * @param {Object} options - Parsed flags
+ * @returns {Promise<number>} Exit code
+ */
+const prove = async (input, options) => {
+  let target;
+  try {
+    target = parseInstagramUrl(input);
+  } catch (error) {
+    if (!(error instanceof InstagramUrlError)) throw error;
+    throw new CliError(EXIT_CODES.USAGE, error.message);
+  }
+
+  const contextAddress = options['context-address'];
+  if (contextAddress !== undefined && !CONTEXT_ADDRESS_PATTERN.test(contextAddress)) {
+    throw new CliError(EXIT_CODES.USAGE, '--context-address must be a 0x-prefixed 20-byte hex address');
+  }
+
+  const backendUrl = options.backend || process.env.BACKEND_URL;
+  if (!process.env.APP_ID || (!backendUrl && !process.env.APP_SECRET)) {
+    throw new CliError(EXIT_CODES.USAGE, 'Set APP_ID, and either APP_SECRET or BACKEND_URL (with API_KEY)');
+  }
+
+  log(`Proving the owner of ${target.mediaCode}${backendUrl ? ` with a token from ${backendUrl}` : ''}...`);
+
+  // A token can expire while retrying, so each try signs again
+  const { proof, cached } = await withRetry(async () => {
+    const session = backendUrl
+      ? await signWithBackend(backendUrl, input, { contextAddress, refresh: options.refresh })
+      : await signLocally(target.embedUrl);
+    if (session.cached) return { proof: session.proof, cached: true };
+
+    const { ReclaimClient } = require('@reclaimprotocol/zk-fetch');
+    const reclaim = new ReclaimClient(process.env.APP_ID, session.token);
+    const { publicOptions, privateOptions } = buildOwnerFetchOptions({ contextAddress, nonce: session.nonce });
+    return { proof: await reclaim.zkFetch(session.url, publicOptions, privateOptions), cached: false };
+  }, {
+    onRetry: (error, delayMs) => log(`${error.message} Retrying in ${Math.round(delayMs / 1000)}s...`)
+  });
+
+  // The UsernameText regex only misses when the embed has no public post
+  const { username } = readZkFetchProof(proof);
+  if (!username) {
+    throw new ZkFetchError(ZKFETCH_ERROR_TYPES.NOT_FOUND);
+  }
+  if (!(await verifyProof(proof))) {
+    throw new ZkFetchError(ZKFETCH_ERROR_TYPES.PROOF_INVALID);
+  }
+
+  const json = JSON.stringify(proof, null, 2);
+  if (options.out) {
+    fs.writeFileSync(options.out, `${json}\n`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+
+  log(`Proved that @${username} owns ${target.mediaCode}${cached ? ' (cached proof from the backend)' : ''}${options.out ? `, wrote ${options.out}` : ''}`);
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Reads the keys bundles may be signed with
+ * From `--public-key` (a JWK, as served by GET /bundles/public-key, or a
+ * JWK set that also lists retired keys), else from the backend's public
+ * /.well-known/jwks.json route, which needs no API key
+ *
+ * @returns {Promise<Array<Object>|null>} Ed25519 public JWKs, or null if neither is given
+ */
+const loadTrustedKeys = async (options) => {
+  if (options['public-key']) {
+    try {
+      const file = JSON.parse(fs.readFileSync(options['public-key'], 'utf8'));
+      return Array.isArray(file.keys) ? file.keys : [file];
+    } catch (error) {
+      throw new CliError(EXIT_CODES.USAGE, `--public-key ${options['public-key']}: ${error.message}`);
+    }
+  }
+
+  const backendUrl = options.backend || process.env.BACKEND_URL;
+  if (!backendUrl) return null;
+
+  const { response, data } = await callBackend(backendUrl, '/.well-known/jwks.json');
+  if (!response.ok || !Array.isArray(data.keys)) {
+    throw new CliError(EXIT_CODES.TRANSIENT, `Could not get the signing keys from ${backendUrl}: ${data.message || response.status}`);
+  }
+  return data.keys;
+};
+
+/**
+ * Checks a bundle's Ed25519 signature against the trusted keys
+ * The key inside the bundle is only used to pick one of them: anyone can
+ * edit a bundle and sign it again with their own key
+ *
+ * @param {Object} bundle - Signed proof bundle
+ * @param {Array<Object>|null} trustedKeys - From loadTrustedKeys
+ * @returns {{name: string, passed: boolean, detail?: string}} The check
+ */
+const checkBundleSignature = (bundle, trustedKeys) => {
+  const name = 'Bundle signature';
+  if (!trustedKeys) {
+    return { name, passed: false, detail: 'no trusted key; pass --public-key or --backend' };
+  }
+  const trustedKey = trustedKeys.find((key) => key.x === bundle.signature.jwk?.x);
+  if (!trustedKey) {
+    return { name, passed: false, detail: `signed by key ${bundle.signature.kid ?? 'unknown'}, which is not trusted` };
+  }
+
+  try {
+    const key = crypto.createPublicKey({ key: { kty: trustedKey.kty, crv: trustedKey.crv, x: trustedKey.x }, format: 'jwk' });
+    const passed = crypto.verify(null, Buffer.from(canonicalize(bundle.payload)), key, Buffer.from(bundle.signature.value, 'base64url'));
+    return passed ? { name, passed } : { name, passed, detail: 'the file was modified' };
+  } catch (error) {
+    return { name, passed: false, detail: error.message };
+  }
+};
+
+/**
+ * `verify`: checks every proof in a file and the data they prove
+ *
+ * @param {string} path - Proof file
+ * @param {Object} options - Parsed flags
+ * @returns {Promise<number>} Exit code
+ */
+const verify = async (path, options) => {
+  let file;
+  try {
+    file = readProofFile(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    if (error instanceof ProofFileError || error.code === 'ENOENT' || error.code === 'EISDIR') {
+      throw new CliError(EXIT_CODES.INPUT, `${path}: ${error.message}`);
+    }
+    throw error;
+  }
+
+  const provider = getProvider(file.claim);
+  if (!provider) {
+    throw new CliError(EXIT_CODES.INPUT, `${path}: unknown claim ${JSON.stringify(file.claim)}`);
+  }
+
+  /** @type {Array<{name: string, passed: boolean, detail?: string}>} */
+  const checks = [];
+  if (file.bundle) {
+    checks.push(checkBundleSignature(file.bundle, await loadTrustedKeys(options)));
+  }
+  if (file.zkFetchProof) {
+    checks.push({ name: 'Post owner proof (zkFetch)', passed: await verifyProof(file.zkFetchProof).catch(() => false) });
+  }
+  for (const [index, proof] of file.proofs.entries()) {
+    checks.push({ name: `Provider proof ${index + 1}`, passed: await verifyProof(proof).catch(() => false) });
+  }
+
+  let owner = null;
+  if (file.zkFetchProof) {
+    const { url, username } = readZkFetchProof(file.zkFetchProof);
+    let mediaCode = null;
+    try {
+      mediaCode = url ? parseInstagramUrl(url).mediaCode : null;
+    } catch (error) {
+      // Reported by the binding check when there are provider proofs
+    }
+    owner = { username, url, mediaCode };
+  }
+
+  let result = null;
+  if (file.proofs.length > 0) {
+    try {
+      assertValidPublicData(file.proofs, provider.validatePublicData);
+      result = provider.extract(file.proofs);
+      checks.push({
+        name: 'Provider proofs agree',
+        passed: result.conflicts.length === 0,
+        detail: result.conflicts.map(({ field }) => field).join(', ') || undefined
+      });
+    } catch (error) {
+      checks.push({ name: 'Provider data', passed: false, detail: error.message });
+    }
+
+    // Same cross-check as the backend's verifyAndStore
+    const inputUrl = file.inputUrl ?? owner?.url ?? null;
+    if (result && (provider.ownerProof ? file.zkFetchProof : inputUrl)) {
+      try {
+        provider.bind({ inputUrl: inputUrl ?? '', zkFetchProof: file.zkFetchProof, proofs: file.proofs, result });
+        checks.push({ name: 'Proofs describe the same post and owner', passed: true });
+      } catch (error) {
+        checks.push({ name: 'Proofs describe the same post and owner', passed: false, detail: error.message });
+      }
+    }
+  }
+
+  const valid = checks.every(({ passed }) => passed);
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({ valid, kind: file.kind, claim: provider.id, checks, owner, result }, null, 2)}\n`);
+  } else {
+    checks.forEach(({ name, passed, detail }) => {
+      process.stdout.write(`${passed ? 'PASS' : 'FAIL'}  ${name}${detail ? ` (${detail})` : ''}\n`);
+    });
+    if (owner) {
+      process.stdout.write(`\nOwner: @${owner.username ?? '?'} (${owner.mediaCode ?? owner.url ?? 'unknown post'})\n`);
+    }
+    if (result) {
+      const { conflicts, ...data } = result;
+      process.stdout.write(`\n${provider.label}:\n${JSON.stringify(data, null, 2)}\n`);
+    }
+    process.stdout.write(`\n${valid ? 'VERIFIED' : 'NOT VERIFIED'}\n`);
+  }
+
+  return valid ? EXIT_CODES.OK : EXIT_CODES.VERIFICATION_FAILED;
+};
+
+const COMMANDS = { prove, verify };
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        'context-address': { type: 'string' },
+        backend: { type: 'string' },
+        refresh: { type: 'boolean' },
+        json: { type: 'boolean' },
+        'public-key': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new CliError(EXIT_CODES.USAGE, `${error.message}\n\n${USAGE}`);
+  }
+
+  const [command, target, ...extra] = parsed.positionals;
+  if (parsed.values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+  if (!COMMANDS[command] || !target || extra.length > 0) {
+    throw new CliError(EXIT_CODES.USAGE, USAGE);
+  }
+
+  return COMMANDS[command](target, parsed.values);
+};
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    // withRetry wraps everything it catches; configuration errors keep their exit code
+    const failure = error instanceof ZkFetchError && error.cause instanceof CliError ? error.cause : error;
+
+    if (failure instanceof CliError) {
+      log(failure.message);
+      process.exitCode = failure.exitCode;
+    } else if (failure instanceof ZkFetchError) {
+      log(`${failure.type}: ${failure.message}`);
+      process.exitCode = failure.transient ? EXIT_CODES.TRANSIENT : EXIT_CODES.PROVE_FAILED;
+    } else {
+      log(failure?.stack || String(failure));
+      process.exitCode = EXIT_CODES.PROVE_FAILED;
+    }
+  });
@@ -1,5 +1,7 @@
+const path = require("path");
 const webpack = require("webpack");
 const NodePolyfillPlugin = require('node-polyfill-webpack-plugin');
+const ModuleScopePlugin = require('react-dev-utils/ModuleScopePlugin');
 
 module.exports = function override(config) {
   // Add polyfills for Node.js core modules
@@ -36,6 +38,11 @@ module.exports = function override(config) {
   // Ensure fallback is applied
   config.resolve.fallback = fallback;
 
+  // Allow imports from ../shared (modules shared with the backend)
+  config.resolve.plugins
+    .filter((plugin) => plugin instanceof ModuleScopePlugin)
+    .forEach((plugin) => plugin.appSrcs.push(path.resolve(__dirname, "../shared")));
+
   // Add plugins
   config.plugins = (config.plugins || []).concat([
     new NodePolyfillPlugin(),
@@ -0,0 +1,219 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title InstagramVerifier
+ * @notice Records who owns an Instagram post, based on a zkFetch owner proof.
+ *
+ * The proof is the output of `transformForOnchain` from the Reclaim JS SDK.
+ * A submission is accepted when:
+ * - the claim identifier matches its provider, parameters and context,
+ * - every signature comes from a trusted attestor (at least one signature),
+ * - the context's `contextAddress` is the sender, so a proof cannot be
+ *   replayed by another wallet,
+ * - the fetched `url` is the post's canonical embed page and the extracted
+ *   username is the one being recorded. Both are matched as JSON key/value
+ *   pairs, so text inside other (escaped) string values cannot satisfy them.
+ *
+ * Signatures are checked the same way as Reclaim's own verifier contract:
+ * an EIP-191 personal signature over "identifier\nowner\ntimestampS\nepoch".
+ */
+contract InstagramVerifier {
+    struct ClaimInfo {
+        string provider;
+        string parameters;
+        string context;
+    }
+
+    struct Claim {
+        bytes32 identifier;
+        address owner;
+        uint32 timestampS;
+        uint32 epoch;
+    }
+
+    struct SignedClaim {
+        Claim claim;
+        bytes[] signatures;
+    }
+
+    struct Proof {
+        ClaimInfo claimInfo;
+        SignedClaim signedClaim;
+    }
+
+    struct Ownership {
+        address account;
+        string mediaCode;
+        string username;
+        uint256 verifiedAt;
+    }
+
+    address public admin;
+
+    /// @notice Attestor addresses whose signatures are accepted
+    mapping(address => bool) public attestors;
+
+    /// @notice Claim identifiers that were already used
+    mapping(bytes32 => bool) public usedClaims;
+
+    /// @dev keccak256(mediaCode) => latest recorded owner of the post
+    mapping(bytes32 => Ownership) private ownerships;
+
+    event AttestorUpdated(address indexed attestor, bool trusted);
+    event OwnershipVerified(address indexed account, string mediaCode, string username, bytes32 claimIdentifier);
+
+    error NotAdmin();
+    error IdentifierMismatch();
+    error NoSignatures();
+    error UntrustedAttestor(address signer);
+    error InvalidSignature();
+    error ClaimAlreadyUsed();
+    error ContextAddressMismatch();
+    error MediaCodeMismatch();
+    error UsernameMismatch();
+
+    modifier onlyAdmin() {
+        if (msg.sender != admin) revert NotAdmin();
+        _;
+    }
+
+    constructor(address[] memory initialAttestors) {
+        admin = msg.sender;
+        for (uint256 i = 0; i < initialAttestors.length; i++) {
+            attestors[initialAttestors[i]] = true;
+            emit AttestorUpdated(initialAttestors[i], true);
+        }
+    }
+
+    /// @notice Adds or removes a trusted attestor
+    function setAttestor(address attestor, bool trusted) external onlyAdmin {
+        attestors[attestor] = trusted;
+        emit AttestorUpdated(attestor, trusted);
+    }
+
+    /**
+     * @notice Verifies an owner proof and records (sender, mediaCode, username)
+     * @param proof Output of `transformForOnchain(zkFetchProof)`
+     * @param mediaCode Media code of the post (as in /p/<mediaCode>/)
+     * @param username Username extracted by the proof
+     */
+    function submitProof(Proof calldata proof, string calldata mediaCode, string calldata username) external {
+        ClaimInfo calldata info = proof.claimInfo;
+        Claim calldata claim = proof.signedClaim.claim;
+
+        if (hashClaimInfo(info) != claim.identifier) revert IdentifierMismatch();
+        if (usedClaims[claim.identifier]) revert ClaimAlreadyUsed();
+        _checkSignatures(proof.signedClaim);
+
+        bytes memory context = bytes(info.context);
+        if (!_contains(context, abi.encodePacked('"contextAddress":"', _toHex(abi.encodePacked(msg.sender)), '"'))) {
+            revert ContextAddressMismatch();
+        }
+        if (!_fetchedEmbedOf(bytes(info.parameters), mediaCode)) {
+            revert MediaCodeMismatch();
+        }
+        if (!_contains(context, abi.encodePacked('"username":"', username, '"'))) {
+            revert UsernameMismatch();
+        }
+
+        usedClaims[claim.identifier] = true;
+        ownerships[keccak256(bytes(mediaCode))] = Ownership(msg.sender, mediaCode, username, block.timestamp);
+
+        emit OwnershipVerified(msg.sender, mediaCode, username, claim.identifier);
+    }
+
+    /// @notice Latest recorded owner of a post; `account` is zero if none
+    function getOwnership(string calldata mediaCode) external view returns (Ownership memory) {
+        return ownerships[keccak256(bytes(mediaCode))];
+    }
+
+    /// @notice Claim identifier as computed by Reclaim
+    function hashClaimInfo(ClaimInfo calldata info) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(info.provider, "\n", info.parameters, "\n", info.context));
+    }
+
+    function _checkSignatures(SignedClaim calldata signedClaim) private view {
+        if (signedClaim.signatures.length == 0) revert NoSignatures();
+
+        Claim calldata claim = signedClaim.claim;
+        bytes memory message = abi.encodePacked(
+            _toHex(abi.encodePacked(claim.identifier)), "\n",
+            _toHex(abi.encodePacked(claim.owner)), "\n",
+            _toString(claim.timestampS), "\n",
+            _toString(claim.epoch)
+        );
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19Ethereum Signed Message:\n", _toString(message.length), message)
+        );
+
+        for (uint256 i = 0; i < signedClaim.signatures.length; i++) {
+            address signer = _recover(digest, signedClaim.signatures[i]);
+            if (!attestors[signer]) revert UntrustedAttestor(signer);
+        }
+    }
+
+    /// @dev True if the fetched `url` is the post's canonical embed page (see shared/instagramUrl.js)
+    function _fetchedEmbedOf(bytes memory parameters, string calldata mediaCode) private pure returns (bool) {
+        string[3] memory kinds = ["p", "reel", "tv"];
+        for (uint256 i = 0; i < kinds.length; i++) {
+            bytes memory url = abi.encodePacked(
+                '"url":"https://www.instagram.com/', kinds[i], "/", mediaCode, '/embed/"'
+            );
+            if (_contains(parameters, url)) return true;
+        }
+        return false;
+    }
+
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        if (signature.length != 65) revert InvalidSignature();
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (v < 27) v += 27;
+
+        address signer = ecrecover(digest, v, r, s);
+        if (signer == address(0)) revert InvalidSignature();
+        return signer;
+    }
+
+    /// @dev Lowercase 0x-prefixed hex, as Reclaim serializes addresses and identifiers
+    function _toHex(bytes memory data) private pure returns (bytes memory) {
+        bytes memory alphabet = "0123456789abcdef";
+        bytes memory out = new bytes(2 + data.length * 2);
+        out[0] = "0";
+        out[1] = "x";
+        for (uint256 i = 0; i < data.length; i++) {
+            out[2 + i * 2] = alphabet[uint8(data[i] >> 4)];
+            out[3 + i * 2] = alphabet[uint8(data[i] & 0x0f)];
+        }
+        return out;
+    }
+
+    function _toString(uint256 value) private pure returns (bytes memory) {
+        if (value == 0) return "0";
+        uint256 digits;
+        for (uint256 v = value; v != 0; v /= 10) digits++;
+        bytes memory out = new bytes(digits);
+        for (; value != 0; value /= 10) {
+            out[--digits] = bytes1(uint8(48 + (value % 10)));
+        }
+        return out;
+    }
+
+    function _contains(bytes memory haystack, bytes memory needle) private pure returns (bool) {
+        if (needle.length > haystack.length) return false;
+        for (uint256 i = 0; i <= haystack.length - needle.length; i++) {
+            bool found = true;
+            for (uint256 j = 0; j < needle.length; j++) {
+                if (haystack[i + j] != needle[j]) {
+                    found = false;
+                    break;
+                }
+            }
+            if (found) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,24 @@
+/*
+ * Hardhat setup for the on-chain verifier (contracts/InstagramVerifier.sol)
+ *
+ * npm run contracts:test    - compile and run test/ on the in-process network
+ * npm run contracts:node    - start a local node on http://127.0.0.1:8545
+ * npm run contracts:deploy  - deploy to that node (see scripts/deploy.js)
+ */
+
+require("@nomicfoundation/hardhat-toolbox");
+
+/** @type {import('hardhat/config').HardhatUserConfig} */
+module.exports = {
+  solidity: {
+    version: "0.8.24",
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
+  networks: {
+    localhost: {
+      url: "http://127.0.0.1:8545",
+    },
+  },
+};
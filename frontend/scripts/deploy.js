@@ -0,0 +1,32 @@
+/*
+ * Deploys InstagramVerifier
+ *
+ * Trusted attestors come from ATTESTOR_ADDRESSES (comma separated) and
+ * default to Reclaim's hosted attestor, which signs zkFetch proofs.
+ *
+ * Usage: npx hardhat run scripts/deploy.js --network localhost
+ * Put the printed address in REACT_APP_VERIFIER_ADDRESS.
+ */
+
+const hre = require("hardhat");
+
+/** Attestor that signs proofs made through Reclaim's hosted attestor */
+const RECLAIM_ATTESTOR = "0x244897572368eadf65bfbc5aec98d8e5443a9072";
+
+async function main() {
+  const attestors = (process.env.ATTESTOR_ADDRESSES || RECLAIM_ATTESTOR)
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  const verifier = await hre.ethers.deployContract("InstagramVerifier", [attestors]);
+  await verifier.waitForDeployment();
+
+  console.log(`InstagramVerifier deployed to ${await verifier.getAddress()}`);
+  console.log(`Trusted attestors: ${attestors.join(", ")}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
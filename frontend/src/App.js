@@ -1,306 +1,535 @@
 /*
  * Environment Variables Required:
  * - REACT_APP_RECLAIM_APP_ID: Reclaim Protocol Application ID
- * - REACT_APP_RECLAIM_APP_SECRET: Reclaim Protocol Application Secret
+ * - REACT_APP_API_URL: Backend URL that signs zkFetch sessions and builds proof requests
+ * - REACT_APP_ZKFETCH_MODE: 'browser' (default), 'server' or 'auto' - where the zkFetch proof is generated
+ * - REACT_APP_FLOW_TIMEOUTS: Optional `state:seconds` pairs, e.g. 'proving:300,awaitingUser:900'
+ *
+ * The Reclaim app secret lives on the backend only.
  *
  * @see https://dev.reclaimprotocol.org/ - Reclaim Developer Dashboard
  */
 
-import { ReclaimClient } from "@reclaimprotocol/zk-fetch";
 import { ReclaimProofRequest, verifyProof } from "@reclaimprotocol/js-sdk";
 import "./App.css";
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useRef } from "react";
 import { Toaster, toast } from "react-hot-toast";
+import { Link } from "react-router-dom";
+import { apiRequest, subscribeToSession } from "./api";
+import { downloadProofBundle } from "./bundle";
+import { proveVerifiedOwner } from "./zkFetch";
+import { useVerificationFlow } from "./useVerificationFlow";
+import { connectWallet } from "./wallet";
+import { parseInstagramUrl } from "../../shared/instagramUrl";
+import { ProofBindingError } from "../../shared/proofBinding";
+import { NONCE_ERROR_CODES, readProofNonce } from "../../shared/proofNonce";
+import { getProvider, listProviders } from "../../shared/providers";
+import { assertValidPublicData, PublicDataError } from "../../shared/publicDataSchema";
+import { FLOW_STATES, retryNeedsOwnerProof, VERIFY_MODES } from "../../shared/verificationFlow";
+import { ZkFetchError, ZKFETCH_ERROR_TYPES } from "../../shared/zkFetchErrors";
+import ClaimResult from "./components/ClaimResult";
+import RequestQrCode from "./components/RequestQrCode";
+import OnchainSubmit from "./components/OnchainSubmit";
+
+/** States in which a Reclaim session is open and followed */
+const RECLAIM_STATES = [FLOW_STATES.AWAITING_USER, FLOW_STATES.VERIFYING];
+
+/** localStorage key of the preferred verify mode */
+const MODE_STORAGE_KEY = 'instagram-verify-mode';
+
+/** Labels for the verify mode picker */
+const MODE_LABELS = {
+  [VERIFY_MODES.POPUP]: 'Popup',
+  [VERIFY_MODES.QR]: 'QR code',
+  [VERIFY_MODES.SAME_TAB]: 'This tab',
+};
+
+/** Phones cannot scan their own screen, so they fall back to this tab */
+const isMobileDevice = () => /Android|iPhone|iPad|iPod/i.test(window.navigator.userAgent);
+
+/** Mode used when the popup is blocked */
+const popupFallbackMode = () => (isMobileDevice() ? VERIFY_MODES.SAME_TAB : VERIFY_MODES.QR);
+
+/** Reads the mode the user picked last time */
+const loadVerifyMode = () => {
+  const saved = window.localStorage.getItem(MODE_STORAGE_KEY);
+  return Object.values(VERIFY_MODES).includes(saved) ? saved : VERIFY_MODES.POPUP;
+};
+
+/**
+ * Short description of what a flow verifies, e.g. "@natgeo"
+ *
+ * @param {Object} flow - Current flow state
+ * @returns {string}
+ */
+const describeFlowTarget = (flow) => {
+  const provider = getProvider(flow.claim);
+  try {
+    return provider.describeTarget(provider.parseInput(flow.url));
+  } catch (e) {
+    return flow.url;
+  }
+};
+
+/**
+ * Closes the verification popup if it is still open
+ *
+ * @param {Object} windowRef - Ref holding the popup window
+ */
+const closeProofWindow = (windowRef) => {
+  const proofWindow = windowRef.current;
+  windowRef.current = null;
+  if (proofWindow && !proofWindow.closed) {
+    try {
+      proofWindow.close();
+    } catch (e) {
+      console.log("Could not close popup window");
+    }
+  }
+};
 
-/** Backend API URL for signing requests */
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
+function App() {
+  /** Verification flow state machine (see shared/verificationFlow.js) */
+  const [flow, dispatch] = useVerificationFlow();
 
-/** Reclaim Provider ID for Instagram post ownership verification */
-const INSTAGRAM_PROVIDER_ID = 'd5de1224-00b3-410b-916e-a1177b17f130';
+  /** @type {[string, Function]} User-entered Instagram URL or username */
+  const [instagramUrl, setInstagramUrl] = useState(flow.url);
 
-function App() {
-  /** @type {[Object|null, Function]} zkFetch proof data containing extracted username */
-  const [proofData, setProofData] = useState(null);
+  /** @type {[string, Function]} Claim picked for the next run (see shared/providers.js) */
+  const [claim, setClaim] = useState(flow.claim);
 
-  /** @type {[boolean, Function]} Loading state for initial post fetch */
-  const [isFetching, setIsFetching] = useState(false);
+  /** @type {[string, Function]} Where the user wants the Reclaim page opened (VERIFY_MODES) */
+  const [verifyMode, setVerifyMode] = useState(loadVerifyMode);
 
-  /** @type {[string, Function]} User-entered Instagram post URL */
-  const [instagramUrl, setInstagramUrl] = useState("");
+  /** @type {[string|null, Function]} Request URL shown as a QR code in QR mode */
+  const [qrUrl, setQrUrl] = useState(null);
 
-  /** @type {[string|null, Function]} Extracted username from the Instagram post */
-  const [username, setUsername] = useState(null);
+  /** @type {[{address: string, signer: Object}|null, Function]} Wallet the owner proof is bound to */
+  const [wallet, setWallet] = useState(null);
 
-  /** @type {[boolean, Function]} Loading state for ownership verification */
-  const [isVerifying, setIsVerifying] = useState(false);
+  /** Popup window showing the Reclaim verification page */
+  const proofWindowRef = useRef(null);
 
-  /** @type {[Array|null, Function]} Verification proof from Reclaim JS SDK */
-  const [verificationProof, setVerificationProof] = useState(null);
+  /** Stops listening to the backend session's status stream */
+  const unsubscribeRef = useRef(null);
 
-  /** @type {[Object|null, Function]} ReclaimProofRequest instance for verification */
-  const [reclaimProofRequest, setReclaimProofRequest] = useState(null);
+  /** Attempt whose Reclaim session is currently followed */
+  const followedAttemptRef = useRef(null);
 
-  /** @type {[string|null, Function]} Error message from verification process */
-  const [verificationError, setVerificationError] = useState(null);
+  /** Current flow attempt, read by async work to notice it was cancelled */
+  const attemptRef = useRef(flow.attempt);
+  attemptRef.current = flow.attempt;
+
+  /** Stops the in-browser prover of the current attempt */
+  const proverAbortRef = useRef(null);
+
+  const { status } = flow;
+  /** Provider of the claim being verified, and of the one picked for the next run */
+  const flowProvider = getProvider(flow.claim);
+  const pickedProvider = getProvider(claim);
+  const isProvingOwner = status === FLOW_STATES.SIGNING || status === FLOW_STATES.PROVING;
+  /** `start` only applies when idle or failed; other states have to be cancelled or reset first */
+  const canStart = status === FLOW_STATES.IDLE || status === FLOW_STATES.FAILED;
+  const isInReclaim = RECLAIM_STATES.includes(status);
 
   // ============================================
-  // UTILITY FUNCTIONS
+  // ZKFETCH FUNCTIONS
   // ============================================
 
   /**
-   * Extracts the media code from an Instagram URL
-   * Supports both /p/ (posts) and /reel/ URL formats
+   * Generates a ZK proof by fetching Instagram post data
+   *
+   * Uses zkFetch (in the browser or on the backend) to:
+   * 1. Fetch the Instagram embed page (URL canonicalized by the backend)
+   * 2. Extract the username using regex
+   * 3. Generate a ZK proof of the data
    *
-   * @param {string} url - Instagram post URL
-   * @returns {string|null} Media code or null if not found
+   * The proof can be verified on-chain or off-chain
    *
-   * @example
-   * extractMediaCode('https://instagram.com/p/ABC123/') // 'ABC123'
-   * extractMediaCode('https://instagram.com/reel/XYZ789/') // 'XYZ789'
+   * @param {string} url - Instagram post URL to prove
+   * @param {number} attempt - Flow attempt the results belong to
    */
-  const extractMediaCode = (url) => {
-    const match = url.match(/instagram\.com\/(?:p|reel)\/([A-Za-z0-9_-]+)/);
-    return match ? match[1] : null;
+  const proveOwner = async (url, attempt) => {
+    const controller = new AbortController();
+    proverAbortRef.current = controller;
+
+    try {
+      const { proof, username, cachedAt } = await proveVerifiedOwner(url, {
+        onSigned: () => dispatch({ type: 'signed', attempt }),
+        // Binds the proof to the wallet so it can be recorded on-chain
+        contextAddress: wallet?.address,
+        isCancelled: () => attemptRef.current !== attempt,
+        signal: controller.signal,
+        onRetry: (error, delayMs) => toast(
+          `${error.message} Retrying in ${Math.round(delayMs / 1000)}s...`,
+          { id: 'zkfetch-retry' }
+        ),
+      });
+
+      console.log("zkFetch response:", proof);
+
+      dispatch({ type: 'ownerFound', attempt, ownerProof: proof, username });
+      toast.success(cachedAt ? "Post owner proof reused and verified!" : "Post owner fetched and proof verified!");
+    } catch (error) {
+      console.error("zkFetch error:", error);
+      dispatch({ type: 'fail', attempt, error: { message: error.message, type: error.type } });
+    }
+  };
+
+  /** Connects a browser wallet whose address goes into the owner proof */
+  const onConnectWallet = async () => {
+    try {
+      setWallet(await connectWallet());
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  /** Starts a new flow for the entered URL or username and the picked claim */
+  const generateProof = () => {
+    // The reducer would ignore `start`, but zkFetch would still run
+    if (!canStart) return;
+
+    // Reject input the claim cannot use before asking the backend to sign anything
+    try {
+      pickedProvider.parseInput(instagramUrl);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    // `start` begins the next attempt; claims without an owner proof skip zkFetch
+    const attempt = flow.attempt + 1;
+    dispatch({ type: 'start', url: instagramUrl, claim });
+    if (pickedProvider.ownerProof) {
+      proveOwner(instagramUrl, attempt);
+    }
   };
 
+  // ============================================
+  // RECLAIM VERIFICATION FUNCTIONS
+  // ============================================
+
   /**
-   * Extracts and parses post data from verification proofs
-   * Combines data from multiple proof objects into a single post object
+   * Initializes the ReclaimProofRequest for the claim
+   * Runs whenever the owner is known (or not needed) and no request is prepared yet
    *
-   * @param {Array} proofs - Array of verification proof objects from Reclaim SDK
-   * @returns {Object|null} Parsed post data or null if no proofs
+   * The request is built on the backend (which holds the app secret) for
+   * the claim's provider and kept as its serialized config, so it can be
+   * rebuilt with `ReclaimProofRequest.fromJsonString` - also after a reload.
+   * The backend also opens a session that Reclaim reports the proofs to.
    */
-  const extractPostData = (proofs) => {
-    if (!proofs || proofs.length === 0) return null;
-
-    let postData = {
-      username: null,
-      userProfilePic: null,
-      postId: null,
-      caption: null,
-      image: null,
-      video: null,
-      likes: 0,
-      comments: 0,
-      createdAt: null,
-      mediaCode: null
-    };
+  useEffect(() => {
+    if (status !== FLOW_STATES.OWNER_FOUND || flow.requestConfig) return undefined;
 
-    for (const proof of proofs) {
-      // Extract from publicData (new format)
-      if (proof.publicData) {
-        postData.username = proof.publicData.username || postData.username;
-        postData.userProfilePic = proof.publicData.userProfilePic || postData.userProfilePic;
-        postData.postId = proof.publicData.postId || postData.postId;
-        postData.caption = proof.publicData.caption || postData.caption;
-        postData.image = proof.publicData.imageUrl || proof.publicData.image || postData.image;
-        postData.video = proof.publicData.videoUrl || proof.publicData.video || postData.video;
-        postData.likes = proof.publicData.likesCount ?? postData.likes;
-        postData.comments = proof.publicData.commentsCount ?? postData.comments;
-        postData.createdAt = proof.publicData.createdAt || postData.createdAt;
-      }
+    let cancelled = false;
 
-      // Parse the context JSON to get extracted parameters (fallback)
+    (async () => {
       try {
-        const context = typeof proof.claimData?.context === 'string'
-          ? JSON.parse(proof.claimData.context)
-          : proof.claimData?.context;
-
-        const params = context?.extractedParameters;
-        if (params) {
-          postData.username = postData.username || params.username;
-          postData.mediaCode = params.media_code || postData.mediaCode;
+        // Backend initializes the request and sets the claim's parameters
+        const { config, sessionId } = await apiRequest('/proof-request', {
+          method: 'POST',
+          // The provider proofs carry the owner proof's nonce, so both are used up together;
+          // claims without an owner proof, or with a cached one, get a nonce from the backend
+          body: {
+            claim: flow.claim,
+            url: flow.url,
+            zkFetchProof: flow.ownerProof,
+            nonce: flow.ownerProof ? readProofNonce(flow.ownerProof) : undefined,
+          },
+        });
+
+        if (!cancelled) {
+          dispatch({ type: 'requestReady', attempt: flow.attempt, requestConfig: config, sessionId });
+        }
+      } catch (error) {
+        console.error("Error initializing ReclaimProofRequest:", error);
+        if (!cancelled) {
+          // An expired or used nonce needs a new owner proof; retry makes one
+          const isNonceError = Object.prototype.hasOwnProperty.call(NONCE_ERROR_CODES, error.code);
+          dispatch({
+            type: 'fail',
+            attempt: flow.attempt,
+            error: isNonceError
+              ? { message: error.message, code: error.code }
+              : { message: "Failed to initialize verification. Please try again." },
+          });
         }
-      } catch (e) {
-        console.error("Error parsing proof context:", e);
       }
-    }
+    })();
 
-    return postData;
-  };
-
-  /**
-   * Formats a date string to a relative time (e.g., "3 days ago")
-   */
-  const formatRelativeTime = (dateString) => {
-    if (!dateString) return null;
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return '1 day ago';
-    if (diffDays < 7) return `${diffDays} days ago`;
-    if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks ago`;
-    if (diffDays < 365) return `${Math.floor(diffDays / 30)} months ago`;
-    return `${Math.floor(diffDays / 365)} years ago`;
-  };
+    return () => {
+      cancelled = true;
+    };
+  }, [status, flow.requestConfig, flow.attempt, flow.url, flow.claim, flow.ownerProof, dispatch]);
 
   /**
-   * Normalizes Instagram URL to embed format for zkFetch
-   * Converts standard post URLs to embed format required by the API
+   * Applies a status pushed by the backend session
+   * Once verified, the stored record is loaded so the result survives the
+   * popup closing or the proof being submitted from another device
    *
-   * @param {string} url - Raw Instagram post URL
-   * @returns {string} Normalized URL with /embed/ suffix
-   *
-   * @example
-   * normalizeInstagramUrl('https://instagram.com/p/ABC123')
-   * // 'https://instagram.com/p/ABC123/embed/'
+   * @param {Object} update - `{status, verificationId, error}` from the stream
+   * @param {number} attempt - Flow attempt the session belongs to
+   * @param {Object} run - `{url, claim, ownerProof, sessionId}` of that attempt
    */
-  const normalizeInstagramUrl = (url) => {
-    let normalizedUrl = url.trim();
-
-    // Remove trailing slash if present
-    if (normalizedUrl.endsWith("/")) {
-      normalizedUrl = normalizedUrl.slice(0, -1);
+  const onSessionStatus = async (update, attempt, run) => {
+    if (update.status === 'failed') {
+      dispatch({ type: 'fail', attempt, error: update.error || { message: "Proof verification failed." } });
+      return;
     }
+    if (update.status !== 'verified') return;
 
-    // Add /embed/ suffix for Instagram's embed API
-    if (!normalizedUrl.includes("/embed")) {
-      normalizedUrl = normalizedUrl + "/embed/";
-    } else if (!normalizedUrl.endsWith("/")) {
-      normalizedUrl = normalizedUrl + "/";
+    try {
+      const record = await apiRequest(`/verifications/${encodeURIComponent(update.verificationId)}`);
+      dispatch({ type: 'verified', attempt, verificationId: record.id, proofs: record.proofs });
+      toast.success(`${getProvider(run.claim).label} verified successfully!`);
+    } catch (error) {
+      dispatch({ type: 'fail', attempt, error: { message: `Could not load the verification: ${error.message}` } });
     }
-
-    return normalizedUrl;
   };
 
-  // ============================================
-  // RECLAIM VERIFICATION FUNCTIONS
-  // ============================================
-
   /**
-   * Initializes the ReclaimProofRequest for post ownership verification
-   * Called automatically when username is extracted from zkFetch
+   * Handles proofs delivered to this tab by the Reclaim SDK
    *
-   * Uses the Instagram provider to verify the user owns the post
-   * by having them authenticate through Instagram in a popup
+   * @param {Object|Array|string} proof - Proof(s), or a message if they went to the callback URL
+   * @param {number} attempt - Flow attempt the session belongs to
+   * @param {Object} run - `{url, claim, ownerProof, sessionId}` of that attempt
    */
-  const initializeReclaimProofRequest = useCallback(async () => {
-    const mediaCode = extractMediaCode(instagramUrl);
-    if (!mediaCode) {
-      setVerificationError("Could not extract media code from URL.");
+  const onReclaimSuccess = async (proof, attempt, run) => {
+    closeProofWindow(proofWindowRef);
+
+    if (!proof || typeof proof === "string") {
+      if (run.sessionId) {
+        // With a callback URL the SDK only reports that the proofs were submitted;
+        // the result arrives on the session stream
+        dispatch({ type: 'submitted', attempt });
+      } else {
+        dispatch({ type: 'fail', attempt, error: { message: "Received invalid proof response." } });
+      }
       return;
     }
 
+    const proofArray = Array.isArray(proof) ? proof : [proof];
+    dispatch({ type: 'submitted', attempt });
+
     try {
-      // Initialize proof request with Reclaim credentials
-      const proofRequest = await ReclaimProofRequest.init(
-        process.env.REACT_APP_RECLAIM_APP_ID,
-        process.env.REACT_APP_RECLAIM_APP_SECRET,
-        INSTAGRAM_PROVIDER_ID,
-        {
-          useAppClip: false,
-          log: true,
-          customSharePageUrl: process.env.REACT_APP_CUSTOM_SHARE_PAGE_URL,
+      // Verify each proof in the array
+      for (const p of proofArray) {
+        const isProofValid = await verifyProof(p);
+        console.log("JS SDK proof verification:", isProofValid);
+
+        if (!isProofValid) {
+          throw new ZkFetchError(ZKFETCH_ERROR_TYPES.PROOF_INVALID, "The verification proof did not verify.");
         }
-      );
+      }
+
+      const provider = getProvider(run.claim);
+
+      // The provider output must be in a format we know how to read
+      assertValidPublicData(proofArray, provider.validatePublicData);
+
+      // The proofs must describe the entered post or account (and its owner)
+      provider.bind({
+        inputUrl: run.url,
+        zkFetchProof: run.ownerProof,
+        proofs: proofArray,
+        result: provider.extract(proofArray),
+      });
 
-      // Set the media code parameter for the provider
-      proofRequest.setParams({ media_code: mediaCode });
-      setReclaimProofRequest(proofRequest);
+      // Have the backend re-verify and store the trusted record
+      const record = await apiRequest('/verify', {
+        method: 'POST',
+        body: { claim: run.claim, proofs: proofArray, zkFetchProof: run.ownerProof, url: run.url },
+      });
+
+      dispatch({ type: 'verified', attempt, verificationId: record.id, proofs: proofArray });
+      toast.success(`${provider.label} verified successfully!`);
     } catch (error) {
-      console.error("Error initializing ReclaimProofRequest:", error);
-      setVerificationError("Failed to initialize verification. Please try again.");
+      dispatch({
+        type: 'fail',
+        attempt,
+        error: {
+          message: error instanceof ProofBindingError
+            || error instanceof PublicDataError
+            || error instanceof ZkFetchError
+            ? error.message
+            : `Proof verification failed: ${error.message}`,
+          type: error.type,
+          code: error.code,
+        },
+      });
     }
-  }, [instagramUrl]);
+  };
 
-  // Auto-initialize verification when username is fetched
-  useEffect(() => {
-    if (username) {
-      initializeReclaimProofRequest();
+  /**
+   * Listens for the result of a Reclaim session
+   * Both the SDK (proofs sent to this tab) and the backend session stream
+   * (proofs sent to the callback URL) can deliver it; whichever comes first wins
+   *
+   * @param {Object} proofRequest - Rebuilt ReclaimProofRequest
+   * @param {number} attempt - Flow attempt the session belongs to
+   * @param {Object} run - `{url, claim, ownerProof, sessionId}` of that attempt
+   */
+  const followReclaimSession = async (proofRequest, attempt, run) => {
+    followedAttemptRef.current = attempt;
+
+    if (run.sessionId) {
+      unsubscribeRef.current?.();
+      unsubscribeRef.current = await subscribeToSession(run.sessionId, (update) => onSessionStatus(update, attempt, run));
+    }
+
+    await proofRequest.startSession({
+      onSuccess: (proof) => onReclaimSuccess(proof, attempt, run),
+      onError: (error) => {
+        closeProofWindow(proofWindowRef);
+        dispatch({ type: 'fail', attempt, error: { message: `Verification error: ${error.message}` } });
+      },
+    });
+  };
+
+  /**
+   * Rebuilds the proof request from its serialized config
+   * In same-tab mode Reclaim sends the user back to this page when done
+   *
+   * @param {string} requestConfig - Serialized ReclaimProofRequest
+   * @param {string} mode - VERIFY_MODES value
+   * @returns {Promise<Object>} ReclaimProofRequest
+   */
+  const buildProofRequest = async (requestConfig, mode) => {
+    const proofRequest = await ReclaimProofRequest.fromJsonString(requestConfig);
+    if (mode === VERIFY_MODES.SAME_TAB) {
+      proofRequest.setRedirectUrl(`${window.location.origin}${window.location.pathname}`);
     }
-  }, [username, initializeReclaimProofRequest]);
+    return proofRequest;
+  };
+
+  /** Remembers the mode picked by the user */
+  const pickVerifyMode = (mode) => {
+    setVerifyMode(mode);
+    window.localStorage.setItem(MODE_STORAGE_KEY, mode);
+  };
 
   /**
-   * Starts the verification flow in a popup window
-   * Opens a new tab with the Reclaim verification page
+   * Opens the Reclaim verification page in the picked mode
+   * - popup: a new tab (falls back to QR code / this tab when blocked)
+   * - qr: a QR code to scan with a phone
+   * - sameTab: this tab, redirected back here when done
    *
    * Handles popup blockers and Safari compatibility issues
    */
   const startVerification = async () => {
-    if (!reclaimProofRequest) {
-      setVerificationError("Verification not initialized. Please refresh the page.");
+    if (status !== FLOW_STATES.OWNER_FOUND || !flow.requestConfig) {
       return;
     }
 
-    setIsVerifying(true);
-    setVerificationError(null);
-
+    let mode = verifyMode;
     let proofWindow = null;
 
-    try {
+    if (mode === VERIFY_MODES.POPUP) {
       // Pre-emptively open a blank tab for iOS Safari + localhost compatibility
       // This prevents popup blockers from blocking the verification page
       proofWindow = window.open("about:blank", "_blank");
 
       if (!proofWindow || proofWindow.closed) {
-        setIsVerifying(false);
-        setVerificationError("Popup was blocked. Please allow popups for this site and try again.");
-        return;
+        mode = popupFallbackMode();
+        proofWindow = null;
+        toast(mode === VERIFY_MODES.QR
+          ? "Popup was blocked. Scan the QR code instead."
+          : "Popup was blocked. Continuing in this tab.");
       }
+    }
+
+    // `open` begins the next attempt
+    const attempt = flow.attempt + 1;
+    const run = { url: flow.url, claim: flow.claim, ownerProof: flow.ownerProof, sessionId: flow.sessionId };
+    followedAttemptRef.current = attempt;
+    proofWindowRef.current = proofWindow;
+    dispatch({ type: 'open', mode });
+
+    try {
+      const proofRequest = await buildProofRequest(flow.requestConfig, mode);
 
       // Get the verification URL from Reclaim
-      const requestUrlLink = await reclaimProofRequest.getRequestUrl();
+      const requestUrlLink = await proofRequest.getRequestUrl();
 
-      if (!proofWindow || proofWindow.closed) {
-        setIsVerifying(false);
-        setVerificationError("Popup window was closed before loading. Please try again.");
+      if (mode === VERIFY_MODES.SAME_TAB) {
+        // Progress is in sessionStorage; the flow resumes when Reclaim redirects back
+        window.location.assign(requestUrlLink);
         return;
       }
 
-      // Navigate the popup to the verification URL
-      proofWindow.location.href = requestUrlLink;
-
-      // Start the Reclaim session and listen for callbacks
-      await reclaimProofRequest.startSession({
-        onSuccess: async (proof) => {
-          if (proof && typeof proof !== "string") {
-            // Verify the JS SDK proof
-            const proofArray = Array.isArray(proof) ? proof : [proof];
-
-            try {
-              // Verify each proof in the array
-              for (const p of proofArray) {
-                const isProofValid = await verifyProof(p);
-                console.log("JS SDK proof verification:", isProofValid);
-
-                if (!isProofValid) {
-                  throw new Error("JS SDK proof verification failed");
-                }
-              }
-
-              setIsVerifying(false);
-              setVerificationProof(proofArray);
-              toast.success("Post verified successfully!");
-            } catch (error) {
-              setIsVerifying(false);
-              setVerificationError(`Proof verification failed: ${error.message}`);
-            }
-          } else {
-            setIsVerifying(false);
-            setVerificationError("Received invalid proof response.");
-          }
-        },
-        onError: (error) => {
-          setIsVerifying(false);
-          setVerificationError(`Verification error: ${error.message}`);
-          if (proofWindow && !proofWindow.closed) {
-            proofWindow.close();
-          }
-        },
-      });
+      if (mode === VERIFY_MODES.QR) {
+        setQrUrl(requestUrlLink);
+      } else if (proofWindow.closed) {
+        dispatch({ type: 'fail', attempt, error: { message: "Popup window was closed before loading. Please try again." } });
+        return;
+      } else {
+        // Navigate the popup to the verification URL
+        proofWindow.location.href = requestUrlLink;
+      }
+
+      await followReclaimSession(proofRequest, attempt, run);
     } catch (error) {
-      setIsVerifying(false);
-      setVerificationError("Failed to start verification. Please try again.");
-      if (proofWindow && !proofWindow.closed) {
-        try {
-          proofWindow.close();
-        } catch (e) {
-          console.log("Could not close popup window");
+      closeProofWindow(proofWindowRef);
+      dispatch({ type: 'fail', attempt, error: { message: "Failed to start verification. Please try again." } });
+    }
+  };
+
+  // Pick a pending Reclaim session up again after a reload or a same-tab redirect
+  useEffect(() => {
+    if (!isInReclaim || followedAttemptRef.current === flow.attempt) return;
+
+    const { attempt, url, claim: runClaim, ownerProof, sessionId, mode } = flow;
+    followedAttemptRef.current = attempt;
+
+    buildProofRequest(flow.requestConfig, mode)
+      .then(async (proofRequest) => {
+        if (mode === VERIFY_MODES.QR) {
+          setQrUrl(await proofRequest.getRequestUrl());
         }
-      }
+        await followReclaimSession(proofRequest, attempt, { url, claim: runClaim, ownerProof, sessionId });
+      })
+      .catch((error) => {
+        console.error("Could not resume verification:", error);
+        dispatch({ type: 'fail', attempt, error: { message: "Could not resume the verification. Please try again." } });
+      });
+    // buildProofRequest and followReclaimSession only read refs and dispatch
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isInReclaim, flow]);
+
+  // Stop following the Reclaim session once the flow leaves it
+  useEffect(() => {
+    if (isInReclaim) return;
+    setQrUrl(null);
+    closeProofWindow(proofWindowRef);
+    unsubscribeRef.current?.();
+    unsubscribeRef.current = null;
+    followedAttemptRef.current = null;
+  }, [isInReclaim]);
+
+  // Close the session stream when leaving the page
+  useEffect(() => () => unsubscribeRef.current?.(), []);
+
+  // ============================================
+  // FLOW CONTROLS
+  // ============================================
+
+  /** Cancels whatever is in flight; late results of it are ignored */
+  const cancel = () => {
+    closeProofWindow(proofWindowRef);
+    dispatch({ type: 'cancel' });
+  };
+
+  /** Retries the step that failed */
+  const retry = () => {
+    // `retry` begins the next attempt. The flow restarts from zkFetch without
+    // an owner proof, and also when the backend rejected the proof's nonce
+    const attempt = flow.attempt + 1;
+    const restartsZkFetch = retryNeedsOwnerProof(flow);
+    dispatch({ type: 'retry' });
+
+    if (restartsZkFetch) {
+      proveOwner(flow.url, attempt);
     }
   };
 
@@ -309,101 +538,21 @@ function App() {
    * Used when starting a new post verification
    */
   const resetAll = () => {
-    setProofData(null);
-    setUsername(null);
-    setVerificationProof(null);
-    setVerificationError(null);
-    setReclaimProofRequest(null);
+    closeProofWindow(proofWindowRef);
+    proverAbortRef.current?.abort();
+    dispatch({ type: 'reset' });
     setInstagramUrl("");
   };
 
-  // ============================================
-  // ZKFETCH FUNCTIONS
-  // ============================================
-
   /**
-   * Generates a ZK proof by fetching Instagram post data
-   *
-   * Uses zkFetch to:
-   * 1. Fetch the Instagram embed page
-   * 2. Extract the username using regex
-   * 3. Generate a ZK proof of the data
-   *
-   * The proof can be verified on-chain or off-chain
+   * Downloads the signed proof bundle of the stored verification
+   * The file can be checked later on the "Verify a proof file" screen
    */
-  const generateProof = async () => {
-    if (!instagramUrl) {
-      toast.error("Please enter an Instagram URL");
-      return;
-    }
-
-    setIsFetching(true);
-    setUsername(null);
-
+  const downloadBundle = async () => {
     try {
-      // Get session signature from backend
-      const getToken = await fetch(`${API_URL}/sign`);
-      const tokenData = await getToken.json();
-
-      // Initialize zkFetch client with app credentials
-      const reclaim = new ReclaimClient(
-        process.env.REACT_APP_RECLAIM_APP_ID,
-        tokenData.token
-      );
-
-      const url = normalizeInstagramUrl(instagramUrl);
-      console.log("Fetching URL:", url);
-
-      // Fetch Instagram embed page with ZK proof generation
-      const data = await reclaim.zkFetch(url, {
-        method: 'GET',
-        headers: {
-          "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-          "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
-          "Accept-Language": "en-US,en;q=0.9",
-          "Sec-Fetch-Dest": "document",
-          "Sec-Fetch-Mode": "navigate",
-          "Sec-Fetch-Site": "none",
-          "Upgrade-Insecure-Requests": "1"
-        },
-        context: {
-          contextAddress: "0x0",
-          contextMessage: "instagram_verification"
-        },
-      }, {
-        // Extract username from the HTML response using regex
-        responseMatches: [
-          {
-            type: 'regex',
-            value: "span class=\\\"UsernameText\\\">(?<username>[^/]+?)</span>"
-          }
-        ]
-      });
-
-      console.log("zkFetch response:", data);
-
-      // Verify the zkFetch proof
-      const isZkFetchProofValid = await verifyProof(data);
-      console.log("zkFetch proof verification:", isZkFetchProofValid);
-
-      if (!isZkFetchProofValid) {
-        throw new Error("zkFetch proof verification failed");
-      }
-
-      setProofData(data);
-
-      // Extract username from the proof's extracted values
-      if (data?.extractedParameterValues?.username) {
-        setUsername(data.extractedParameterValues.username);
-        toast.success("Post owner fetched and proof verified!");
-      }
-
-      setIsFetching(false);
-      return data;
+      await downloadProofBundle(flow.verificationId);
     } catch (error) {
-      setIsFetching(false);
-      toast.error(`${error?.message}`);
-      console.error("zkFetch error:", error);
+      toast.error(`Could not export proof bundle: ${error.message}`);
     }
   };
 
@@ -420,176 +569,201 @@ function App() {
           <header className="header">
             <h1 className="logo">Instagram Demo</h1>
             <p className="subtitle">
-              Verify Instagram post ownership using zkTLS (Reclaim Protocol)
+              Verify Instagram posts, accounts and stats using zkTLS (Reclaim Protocol)
             </p>
           </header>
 
           {/* URL Input Card */}
           <div className="card">
+            {/* Claim picker - one entry per provider in shared/providers.js */}
+            <div className="claim-picker" role="radiogroup" aria-label="Claim to verify">
+              {listProviders().map((entry) => (
+                <button
+                  key={entry.id}
+                  className={`btn ${entry.id === claim ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setClaim(entry.id)}
+                  disabled={isProvingOwner}
+                  role="radio"
+                  aria-checked={entry.id === claim}
+                  title={entry.description}
+                >
+                  {entry.label}
+                </button>
+              ))}
+            </div>
+            <p className="status-text">{pickedProvider.description}</p>
+
             <div className="input-group">
               <input
                 type="text"
                 value={instagramUrl}
                 onChange={(e) => setInstagramUrl(e.target.value)}
-                placeholder="Paste Instagram post URL"
+                placeholder={pickedProvider.inputPlaceholder}
                 className="input"
+                disabled={isProvingOwner}
               />
             </div>
 
             <button
               className="btn btn-primary"
               onClick={generateProof}
-              disabled={isFetching || !instagramUrl}
+              disabled={!canStart || !instagramUrl}
             >
-              {isFetching ? (
+              {isProvingOwner ? (
                 <>
                   <span className="spinner"></span>
-                  Fetching...
+                  {status === FLOW_STATES.SIGNING ? "Signing..." : "Fetching..."}
                 </>
               ) : (
-                "Get Post Owner"
+                pickedProvider.ownerProof ? "Get Post Owner" : "Continue"
               )}
             </button>
+
+            {isProvingOwner && (
+              <button className="btn btn-text" onClick={cancel}>
+                Cancel
+              </button>
+            )}
+
+            {wallet ? (
+              <p className="status-text">Proofs are bound to wallet {wallet.address}</p>
+            ) : (
+              <button className="btn btn-text" onClick={onConnectWallet} disabled={isProvingOwner}>
+                Connect Wallet (optional, for on-chain submission)
+              </button>
+            )}
           </div>
 
-          {/* Username Result Card - Shows after zkFetch */}
-          {username && !isFetching && !verificationProof && (
+          <Link to="/verify-file" className="btn btn-text">
+            Have a proof file? Verify it here
+          </Link>
+          <Link to="/batch" className="btn btn-text">
+            Checking many posts? Use batch mode
+          </Link>
+
+          {/* Owner / Target Card - Shows after zkFetch, or right away for claims without an owner proof */}
+          {(status === FLOW_STATES.OWNER_FOUND || isInReclaim) && (
             <div className="card result-card">
-              <p className="result-label">Post Owner</p>
-              <p className="username">@{username}</p>
+              <p className="result-label">{flow.username ? "Post Owner" : flowProvider.label}</p>
+              <p className="username">{flow.username ? `@${flow.username}` : describeFlowTarget(flow)}</p>
+
+              {status === FLOW_STATES.OWNER_FOUND && (
+                <div className="mode-picker">
+                  {Object.values(VERIFY_MODES).map((mode) => (
+                    <button
+                      key={mode}
+                      className={`btn ${mode === verifyMode ? 'btn-primary' : 'btn-secondary'}`}
+                      onClick={() => pickVerifyMode(mode)}
+                    >
+                      {MODE_LABELS[mode]}
+                    </button>
+                  ))}
+                </div>
+              )}
 
               <button
                 className="btn btn-primary"
                 onClick={startVerification}
-                disabled={isVerifying || !reclaimProofRequest}
+                disabled={isInReclaim || !flow.requestConfig}
               >
-                {isVerifying ? (
+                {isInReclaim ? (
                   <>
                     <span className="spinner"></span>
                     Verifying...
                   </>
                 ) : (
-                  "Verify Post"
+                  `Verify ${flowProvider.label}`
                 )}
               </button>
 
-              {!reclaimProofRequest && !verificationError && (
+              {!flow.requestConfig && (
                 <p className="status-text">Initializing verification...</p>
               )}
+
+              {status === FLOW_STATES.AWAITING_USER && flow.mode !== VERIFY_MODES.QR && (
+                <p className="status-text">Complete the verification in the Reclaim window.</p>
+              )}
+
+              {status === FLOW_STATES.AWAITING_USER && qrUrl && (
+                <RequestQrCode url={qrUrl} />
+              )}
+
+              {status === FLOW_STATES.VERIFYING && (
+                <p className="status-text">Proof submitted. Waiting for the backend to verify it...</p>
+              )}
+
+              {isInReclaim && (
+                <button className="btn btn-text" onClick={cancel}>
+                  Cancel
+                </button>
+              )}
+
+              {status === FLOW_STATES.OWNER_FOUND && (
+                <button className="btn btn-text" onClick={resetAll}>
+                  Start Over
+                </button>
+              )}
             </div>
           )}
 
           {/* Error Display */}
-          {verificationError && (
+          {status === FLOW_STATES.FAILED && (
             <div className="card error-card">
-              <p className="error-text">{verificationError}</p>
+              <p className="error-text">{flow.error?.message}</p>
+              <button className="btn btn-secondary" onClick={retry} style={{ marginTop: '16px' }}>
+                Try Again
+              </button>
+              <button className="btn btn-text" onClick={resetAll}>
+                Start Over
+              </button>
             </div>
           )}
 
-          {/* Verified Post Embed - Instagram-style card */}
-          {verificationProof && verificationProof.length > 0 && (() => {
-            const postData = extractPostData(verificationProof);
-            return (
-              <div className="embed">
-                {/* Post Header */}
-                <div className="embed-header">
-                  {postData?.userProfilePic ? (
-                    <img
-                      src={postData.userProfilePic}
-                      alt={postData?.username || username}
-                      className="embed-avatar-img"
-                    />
-                  ) : (
-                    <div className="embed-avatar">
-                      {(postData?.username || username)?.charAt(0).toUpperCase()}
-                    </div>
-                  )}
-                  <div className="embed-user-info">
-                    <span className="embed-username">{postData?.username || username}</span>
-                    {postData?.createdAt && (
-                      <span className="embed-time">{formatRelativeTime(postData.createdAt)}</span>
-                    )}
-                  </div>
-                </div>
-
-                {/* Post Media - Video or Image */}
-                {postData?.video ? (
-                  <div className="embed-media">
-                    <video
-                      src={postData.video}
-                      poster={postData.image}
-                      controls
-                      playsInline
-                      className="embed-video"
-                    />
-                  </div>
-                ) : postData?.image && (
-                  <div className="embed-media">
-                    <img src={postData.image} alt="Post" className="embed-img" />
-                  </div>
-                )}
-
-                {/* Action Icons */}
-                <div className="embed-actions">
-                  <div className="embed-action">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
-                    </svg>
-                  </div>
-                  <div className="embed-action">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
-                    </svg>
-                  </div>
-                </div>
-
-                {/* Engagement Stats */}
-                <div className="embed-stats">
-                  <span className="embed-likes">{postData?.likes || 0} likes</span>
-                  <span className="embed-comments">{postData?.comments || 0} comments</span>
-                </div>
-
-                {/* Caption */}
-                {postData?.caption && (
-                  <div className="embed-caption">
-                    <span className="embed-caption-user">{postData?.username || username}</span>
-                    {' '}{postData.caption}
-                  </div>
-                )}
-
-                {/* Verification Badge */}
-                <div className="embed-footer">
-                  <div className="embed-verified-banner">
-                    <svg viewBox="0 0 24 24" fill="currentColor">
-                      <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-                    </svg>
-                    Verified with ZK Proof
-                  </div>
-                </div>
-
-                <button className="btn btn-secondary" onClick={resetAll} style={{ marginTop: '16px' }}>
-                  Verify Another Post
+          {/* Verified result - Instagram-style card, rendered per claim */}
+          {status === FLOW_STATES.VERIFIED && flow.proofs.length > 0 && (
+            <ClaimResult claim={flow.claim} proofs={flow.proofs} fallbackUsername={flow.username}>
+              {flow.verificationId && (
+                <p className="status-text">
+                  Share this verification:{' '}
+                  <Link to={`/v/${flow.verificationId}`}>{`${window.location.origin}/v/${flow.verificationId}`}</Link>
+                </p>
+              )}
+              {flow.verificationId && (
+                <button className="btn btn-secondary" onClick={downloadBundle} style={{ marginTop: '16px' }}>
+                  Download Proof Bundle
                 </button>
-              </div>
-            );
-          })()}
+              )}
+              {/* Only owner proofs can be recorded on-chain */}
+              {flow.ownerProof && (
+                <OnchainSubmit
+                  ownerProof={flow.ownerProof}
+                  mediaCode={parseInstagramUrl(flow.url).mediaCode}
+                  username={flow.username}
+                  wallet={wallet}
+                />
+              )}
+              <button className="btn btn-secondary" onClick={resetAll} style={{ marginTop: '16px' }}>
+                Verify Another
+              </button>
+            </ClaimResult>
+          )}
 
           {/* Debug: zkFetch Proof Data */}
-          {proofData && !isFetching && (
+          {flow.ownerProof && !isProvingOwner && (
             <details className="details">
               <summary>zkFetch Proof Data</summary>
               <div className="details-content">
-                {JSON.stringify(proofData, null, 2)}
+                {JSON.stringify(flow.ownerProof, null, 2)}
               </div>
             </details>
           )}
 
           {/* Debug: Verification Proof Data */}
-          {verificationProof && verificationProof.length > 0 && (
+          {flow.proofs && flow.proofs.length > 0 && (
             <details className="details">
               <summary>Verification Proof Data</summary>
               <div className="details-content">
-                {JSON.stringify(verificationProof, null, 2)}
+                {JSON.stringify(flow.proofs, null, 2)}
               </div>
             </details>
           )}
@@ -0,0 +1,132 @@
+/*
+ * Backend API client
+ *
+ * Thin wrapper around fetch for the Express backend. Every call that needs
+ * the Reclaim app secret (signing zkFetch sessions, building proof requests)
+ * goes through here so the secret never has to be part of the bundle.
+ *
+ * The backend only accepts authenticated calls, so the client first gets a
+ * signed browser session from POST /session and sends it as a Bearer token.
+ */
+
+import { ZKFETCH_ERROR_TYPES } from "../../shared/zkFetchErrors";
+
+/** Backend API URL for signing requests */
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
+
+/** sessionStorage key of the browser session */
+const SESSION_STORAGE_KEY = 'instagram-verification-session';
+
+/**
+ * Reads the session saved by this tab
+ * Proof nonces are bound to the session, so it has to survive a reload
+ * (e.g. the round trip through Reclaim in the same tab)
+ *
+ * @returns {{session: string, expiresAt: number}|null}
+ */
+const loadSession = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+};
+
+/** @type {{session: string, expiresAt: number}|null} Current browser session */
+let currentSession = loadSession();
+
+/**
+ * Returns a valid browser session, requesting a new one when needed
+ *
+ * @param {boolean} [forceRefresh=false] - Ignore the cached session
+ * @returns {Promise<string>} Session token
+ */
+const getSession = async (forceRefresh = false) => {
+  // Renew a minute early so a session never expires mid-request
+  if (!forceRefresh && currentSession && currentSession.expiresAt - 60 > Date.now() / 1000) {
+    return currentSession.session;
+  }
+
+  const response = await fetch(`${API_URL}/session`, { method: 'POST' });
+  if (!response.ok) {
+    throw new Error(`Could not start a session with the backend (status ${response.status})`);
+  }
+
+  currentSession = await response.json();
+  window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(currentSession));
+  return currentSession.session;
+};
+
+/**
+ * Sends a request to the backend and parses the JSON response
+ *
+ * @param {string} path - Route path, e.g. '/sign'
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.body] - JSON body to send
+ * @returns {Promise<Object>} Parsed JSON response body
+ * @throws {Error} With the backend's error message if the response is not ok;
+ *   `status`, `type` and `code` are copied from the response when present, and
+ *   a 429 carries `retryAfter`, the seconds from its Retry-After header
+ */
+export const apiRequest = async (path, { method = 'GET', body } = {}) => {
+  const send = async (session) => fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${session}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  let response = await send(await getSession());
+
+  // The backend may have restarted with a new secret; retry once with a fresh session
+  if (response.status === 401) {
+    response = await send(await getSession(true));
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  // Our own rate limit, not Instagram's: typed so withRetry does not keep hitting it
+  if (response.status === 429) {
+    const retryAfter = response.headers.get('Retry-After');
+    throw Object.assign(
+      new Error(`Too many requests. Please try again in ${retryAfter || 'a few'} seconds.`),
+      { status: 429, type: ZKFETCH_ERROR_TYPES.BACKEND_RATE_LIMITED, retryAfter: Number(retryAfter) || null }
+    );
+  }
+
+  if (!response.ok) {
+    throw Object.assign(
+      new Error(data.message || data.error || `Request failed with status ${response.status}`),
+      { status: response.status, type: data.type, code: data.code }
+    );
+  }
+
+  return data;
+};
+
+/**
+ * Follows a verification session's status pushed by the backend
+ * The stream closes by itself once the session is verified or failed
+ *
+ * @param {string} sessionId - Id returned by POST /proof-request
+ * @param {Function} onStatus - Called with each `{status, verificationId, error}` update
+ * @returns {Promise<Function>} Call to stop listening
+ */
+export const subscribeToSession = async (sessionId, onStatus) => {
+  // EventSource cannot send headers, so the session goes in the query string
+  const session = await getSession();
+  const source = new EventSource(
+    `${API_URL}/sessions/${encodeURIComponent(sessionId)}/events?access_token=${encodeURIComponent(session)}`
+  );
+
+  source.addEventListener('status', (event) => {
+    const update = JSON.parse(event.data);
+    if (update.status !== 'pending') source.close();
+    onStatus(update);
+  });
+
+  return () => source.close();
+};
@@ -0,0 +1,142 @@
+/*
+ * Proof bundle export and checking
+ *
+ * Bundles are exported by the backend (GET /verifications/:id/bundle) and
+ * signed with its Ed25519 key over the canonical JSON of the payload.
+ * The signature is checked here with WebCrypto using the public key that
+ * travels with the bundle. That key only counts if it is one of the
+ * backend's: pinned at build time in REACT_APP_BUNDLE_JWKS, or published in
+ * its public key set (GET /.well-known/jwks.json). Neither needs a login.
+ */
+
+import { API_URL, apiRequest } from "./api";
+import { canonicalize } from "../../shared/canonicalJson";
+
+/** Must match BUNDLE_TYPE / BUNDLE_VERSION in backend/bundles.ts */
+const BUNDLE_TYPE = 'instagram-proof-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Fetches the signed bundle for a verification and saves it as a JSON file
+ *
+ * @param {string} verificationId - Id of the stored verification
+ */
+export const downloadProofBundle = async (verificationId) => {
+  const bundle = await apiRequest(`/verifications/${encodeURIComponent(verificationId)}/bundle`);
+
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `instagram-proof-${bundle.payload.mediaCode || verificationId}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+/**
+ * Reads and sanity-checks a bundle file
+ *
+ * @param {File} file - File dropped or picked by the user
+ * @returns {Promise<Object>} Parsed bundle
+ * @throws {Error} If the file is not a proof bundle this app understands
+ */
+export const readBundleFile = async (file) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (e) {
+    throw new Error(`${file.name} is not a JSON file`);
+  }
+
+  if (bundle?.type !== BUNDLE_TYPE) {
+    throw new Error(`${file.name} is not an Instagram proof bundle`);
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version ${bundle.version}`);
+  }
+  if (!Array.isArray(bundle.payload?.proofs) || !bundle.signature?.value) {
+    throw new Error(`${file.name} is missing its proofs or signature`);
+  }
+
+  return bundle;
+};
+
+/**
+ * Keys pinned at build time, as a JWK set (`{"keys": [...]}`)
+ * Keep retired keys in it, so bundles they signed still count as ours
+ */
+const PINNED_KEYS = (() => {
+  try {
+    return JSON.parse(process.env.REACT_APP_BUNDLE_JWKS || '{"keys":[]}').keys ?? [];
+  } catch (e) {
+    console.warn("REACT_APP_BUNDLE_JWKS is not a JWK set:", e);
+    return [];
+  }
+})();
+
+/**
+ * Fetches the keys the backend currently signs with
+ * Public route, so no session is needed
+ *
+ * @returns {Promise<Array<Object>>} Public JWKs
+ */
+const fetchPublishedKeys = async () => {
+  const response = await fetch(`${API_URL}/.well-known/jwks.json`);
+  if (!response.ok) {
+    throw new Error(`GET /.well-known/jwks.json failed with status ${response.status}`);
+  }
+  return (await response.json()).keys ?? [];
+};
+
+/** Decodes base64url into bytes */
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+/**
+ * Checks the bundle signature against the public key it carries
+ *
+ * @param {Object} bundle - Bundle from `readBundleFile`
+ * @returns {Promise<'valid'|'invalid'|'unsupported'>} 'unsupported' if this browser lacks Ed25519
+ */
+export const checkBundleSignature = async (bundle) => {
+  const { jwk, value } = bundle.signature;
+
+  let key;
+  try {
+    key = await window.crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x },
+      { name: 'Ed25519' },
+      false,
+      ['verify']
+    );
+  } catch (e) {
+    console.warn("Ed25519 is not supported in this browser:", e);
+    return 'unsupported';
+  }
+
+  const data = new TextEncoder().encode(canonicalize(bundle.payload));
+  const valid = await window.crypto.subtle.verify({ name: 'Ed25519' }, key, fromBase64Url(value), data);
+  return valid ? 'valid' : 'invalid';
+};
+
+/**
+ * Checks whether the bundle was signed by one of our backend's keys
+ * Pinned keys are checked first, so this works offline when they match
+ *
+ * @param {Object} bundle - Bundle from `readBundleFile`
+ * @returns {Promise<'trusted'|'unknown'|'offline'>} 'offline' if no pinned key
+ *   matches and the backend cannot be reached
+ */
+export const checkBundleSigner = async (bundle) => {
+  const { kid, jwk } = bundle.signature;
+  const isSigner = (key) => key.kid === kid && key.x === jwk?.x;
+  if (PINNED_KEYS.some(isSigner)) return 'trusted';
+
+  try {
+    return (await fetchPublishedKeys()).some(isSigner) ? 'trusted' : 'unknown';
+  } catch (e) {
+    return 'offline';
+  }
+};
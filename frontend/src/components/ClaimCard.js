@@ -0,0 +1,84 @@
+/*
+ * Card for verified account and stats claims
+ *
+ * Post claims render as an Instagram-style post (PostEmbed); the other
+ * claims have no media, so they show the account and a row of proven
+ * numbers in the same card style.
+ */
+
+/**
+ * Formats a proven count, e.g. 283000000 -> "283,000,000"
+ */
+const formatCount = (value) => (value === null || value === undefined ? '-' : Number(value).toLocaleString());
+
+/**
+ * @param {Object} props
+ * @param {string|null} props.username - Account the claim is about
+ * @param {string|null} [props.avatarUrl] - Profile picture
+ * @param {string|null} [props.subtitle] - Shown under the username, e.g. the full name
+ * @param {boolean} [props.isVerified] - Shows Instagram's verified badge
+ * @param {Array<{label: string, value: number|null}>} [props.stats] - Proven numbers
+ * @param {string|null} [props.text] - Longer text, e.g. the biography
+ * @param {Array} [props.conflicts] - Fields the proofs disagree on
+ * @param {React.ReactNode} [props.children] - Extra content rendered below the banner
+ */
+function ClaimCard({ username, avatarUrl = null, subtitle = null, isVerified = false, stats = [], text = null, conflicts = [], children }) {
+  return (
+    <div className="embed">
+      <div className="embed-header">
+        {avatarUrl ? (
+          <img src={avatarUrl} alt={username} className="embed-avatar-img" />
+        ) : (
+          <div className="embed-avatar">{username?.charAt(0).toUpperCase()}</div>
+        )}
+        <div className="embed-user-info">
+          <span className="embed-username">
+            {username}
+            {isVerified && (
+              <span className="embed-verified-badge" title="Verified account">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+                </svg>
+              </span>
+            )}
+          </span>
+          {subtitle && <span className="embed-time">{subtitle}</span>}
+        </div>
+      </div>
+
+      {stats.length > 0 && (
+        <div className="claim-stats">
+          {stats.map(({ label, value }) => (
+            <div className="claim-stat" key={label}>
+              <span className="claim-stat-value">{formatCount(value)}</span>
+              <span className="claim-stat-label">{label}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {text && <div className="embed-caption">{text}</div>}
+
+      {/* Proofs that disagree are shown, not merged */}
+      {conflicts.length > 0 && (
+        <div className="embed-conflict" role="alert">
+          The proofs disagree on {conflicts.map(({ field }) => field).join(', ')}.
+          The first proof's values are shown.
+        </div>
+      )}
+
+      <div className="embed-footer">
+        <div className="embed-verified-banner">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+          </svg>
+          Verified with ZK Proof
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+}
+
+export default ClaimCard;
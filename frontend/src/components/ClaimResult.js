@@ -0,0 +1,78 @@
+/*
+ * Verified result of any claim
+ *
+ * The frontend half of the provider registry (shared/providers.js): each
+ * claim id maps to the renderer of its result. Used by the verification
+ * flow, the permalink page and the proof file screen, so a claim looks
+ * the same wherever it is shown.
+ */
+
+import { CLAIMS, DEFAULT_CLAIM, getProvider } from "../../../shared/providers";
+import ClaimCard from "./ClaimCard";
+import PostEmbed from "./PostEmbed";
+
+/** Renderers per claim; each gets the provider's `extract` result */
+const CLAIM_RENDERERS = {
+  [CLAIMS.POST]: ({ result, fallbackUsername, children }) => (
+    <PostEmbed post={result} fallbackUsername={fallbackUsername}>{children}</PostEmbed>
+  ),
+  [CLAIMS.REEL_STATS]: ({ result, fallbackUsername, children }) => (
+    <ClaimCard
+      username={result?.username || fallbackUsername}
+      subtitle={result?.mediaCode ? `Reel ${result.mediaCode}` : null}
+      stats={[
+        { label: 'plays', value: result?.plays },
+        { label: 'likes', value: result?.likes },
+        { label: 'comments', value: result?.comments },
+      ]}
+      conflicts={result?.conflicts}
+    >
+      {children}
+    </ClaimCard>
+  ),
+  [CLAIMS.PROFILE]: ({ result, fallbackUsername, children }) => (
+    <ClaimCard
+      username={result?.username || fallbackUsername}
+      avatarUrl={result?.profilePic}
+      subtitle={result?.fullName}
+      isVerified={result?.isVerified === true}
+      text={result?.biography}
+      conflicts={result?.conflicts}
+    >
+      {children}
+    </ClaimCard>
+  ),
+  [CLAIMS.FOLLOWERS]: ({ result, fallbackUsername, children }) => (
+    <ClaimCard
+      username={result?.username || fallbackUsername}
+      stats={[
+        { label: 'followers', value: result?.followers },
+        { label: 'following', value: result?.following },
+        { label: 'posts', value: result?.posts },
+      ]}
+      conflicts={result?.conflicts}
+    >
+      {children}
+    </ClaimCard>
+  ),
+};
+
+/**
+ * @param {Object} props
+ * @param {string} [props.claim] - CLAIMS value; records from before the registry are posts
+ * @param {Array} props.proofs - Provider proofs of the claim
+ * @param {string|null} [props.fallbackUsername] - Username to show if the result has none
+ * @param {React.ReactNode} [props.children] - Extra content rendered below the card's banner
+ */
+function ClaimResult({ claim, proofs, fallbackUsername = null, children }) {
+  const provider = getProvider(claim) || getProvider(DEFAULT_CLAIM);
+  const Renderer = CLAIM_RENDERERS[provider.id];
+
+  return (
+    <Renderer result={provider.extract(proofs)} fallbackUsername={fallbackUsername}>
+      {children}
+    </Renderer>
+  );
+}
+
+export default ClaimResult;
@@ -0,0 +1,99 @@
+/*
+ * Engagement history of a tracked post
+ *
+ * Shown on the permalink page. Each proven data point of the backend's
+ * tracking (see backend/tracking.ts) is a dot on a line chart of likes and
+ * one of comments, with the proof hash in its tooltip. A post that has
+ * been deleted or made private since is flagged above the charts.
+ */
+
+import { countChange, TRACKING_STATUSES } from "../../../shared/engagement";
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 96;
+const CHART_PADDING = 6;
+
+/** "+1,234", "-5" or "0" */
+const formatChange = (change) => (change > 0 ? `+${change.toLocaleString()}` : change.toLocaleString());
+
+/**
+ * Line chart of one count over time
+ * Points without the count are left out; the y axis starts at the lowest value
+ *
+ * @param {Object} props
+ * @param {Object[]} props.points - Data points, oldest first
+ * @param {'likes'|'comments'} props.field - Count to plot
+ */
+function CountChart({ points, field }) {
+  const plotted = points.filter((point) => typeof point[field] === 'number');
+  if (plotted.length === 0) {
+    return <p className="status-text">No {field} proven yet</p>;
+  }
+
+  const times = plotted.map((point) => Date.parse(point.provenAt));
+  const values = plotted.map((point) => point[field]);
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const [minValue, maxValue] = [Math.min(...values), Math.max(...values)];
+
+  // A single point, or a flat line, sits in the middle
+  const x = (time) => (maxTime === minTime
+    ? CHART_WIDTH / 2
+    : CHART_PADDING + ((time - minTime) / (maxTime - minTime)) * (CHART_WIDTH - 2 * CHART_PADDING));
+  const y = (value) => (maxValue === minValue
+    ? CHART_HEIGHT / 2
+    : CHART_HEIGHT - CHART_PADDING - ((value - minValue) / (maxValue - minValue)) * (CHART_HEIGHT - 2 * CHART_PADDING));
+
+  const change = countChange(plotted, field);
+
+  return (
+    <figure className="engagement-chart">
+      <figcaption>
+        <span className="claim-stat-value">{values[values.length - 1].toLocaleString()}</span>{' '}
+        <span className="claim-stat-label">
+          {field}
+          {change !== null && ` (${formatChange(change)} since ${new Date(times[0]).toLocaleDateString()})`}
+        </span>
+      </figcaption>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={`${field} over time`}>
+        <polyline points={plotted.map((point, i) => `${x(times[i])},${y(values[i])}`).join(' ')} />
+        {plotted.map((point, i) => (
+          <circle key={point.proofHash} cx={x(times[i])} cy={y(values[i])} r="3">
+            <title>
+              {`${values[i].toLocaleString()} ${field} · ${new Date(times[i]).toLocaleString()} · proof ${point.proofHash.slice(0, 12)}…`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+    </figure>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.tracked - Tracked post from GET /verifications/:id/tracking
+ */
+function EngagementHistory({ tracked }) {
+  return (
+    <div className="card engagement-history">
+      <h2 className="engagement-title">Engagement history</h2>
+
+      {tracked.status === TRACKING_STATUSES.UNAVAILABLE && (
+        <p className="error-text">
+          This post was deleted or made private. It could not be fetched
+          since {new Date(tracked.unavailableSince).toLocaleString()}.
+        </p>
+      )}
+
+      <CountChart points={tracked.points} field="likes" />
+      <CountChart points={tracked.points} field="comments" />
+
+      <p className="status-text">
+        {tracked.points.length} proven data point{tracked.points.length === 1 ? '' : 's'}
+        {tracked.lastCheckedAt && ` · Last checked ${new Date(tracked.lastCheckedAt).toLocaleString()}`}
+        {' · '}Next check {new Date(tracked.nextCheckAt).toLocaleString()}
+      </p>
+    </div>
+  );
+}
+
+export default EngagementHistory;
@@ -0,0 +1,134 @@
+/*
+ * Media of a verified post
+ *
+ * Shows a single photo or video as is, and carousel posts as a swipeable
+ * slider with arrows and dots. Slides keep the aspect ratio reported in
+ * the proof, so the card does not jump while media load.
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+/** Horizontal travel (px) that counts as a swipe */
+const SWIPE_THRESHOLD = 40;
+
+/**
+ * Renders one photo or video
+ *
+ * @param {Object} props
+ * @param {Object} props.item - Media item from `extractPostData`
+ * @param {boolean} props.isActive - Only the visible slide's video keeps playing
+ */
+function MediaSlide({ item, isActive }) {
+  const videoRef = useRef(null);
+
+  // Pause a video once it is swiped away
+  useEffect(() => {
+    if (!isActive) videoRef.current?.pause();
+  }, [isActive]);
+
+  const style = item.width && item.height ? { aspectRatio: `${item.width} / ${item.height}` } : undefined;
+
+  return item.type === 'video' ? (
+    <video
+      ref={videoRef}
+      src={item.url}
+      poster={item.posterUrl || undefined}
+      controls
+      playsInline
+      className="embed-video"
+      style={style}
+    />
+  ) : (
+    <img src={item.url} alt={`Post media ${item.index + 1}`} className="embed-img" style={style} />
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.media - Ordered media list from `extractPostData`
+ */
+function MediaCarousel({ media }) {
+  /** @type {[number, Function]} Index of the visible slide */
+  const [current, setCurrent] = useState(0);
+
+  /** X position where the current touch started */
+  const touchStartRef = useRef(null);
+
+  if (!media || media.length === 0) return null;
+
+  if (media.length === 1) {
+    return (
+      <div className="embed-media">
+        <MediaSlide item={media[0]} isActive />
+      </div>
+    );
+  }
+
+  const last = media.length - 1;
+  // The list can shrink when the card is reused for another post
+  const active = Math.min(current, last);
+  const goTo = (index) => setCurrent(Math.max(0, Math.min(last, index)));
+
+  const onTouchStart = (event) => {
+    touchStartRef.current = event.touches[0].clientX;
+  };
+
+  const onTouchEnd = (event) => {
+    if (touchStartRef.current === null) return;
+    const deltaX = event.changedTouches[0].clientX - touchStartRef.current;
+    touchStartRef.current = null;
+
+    if (deltaX <= -SWIPE_THRESHOLD) goTo(active + 1);
+    if (deltaX >= SWIPE_THRESHOLD) goTo(active - 1);
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === 'ArrowRight') goTo(active + 1);
+    if (event.key === 'ArrowLeft') goTo(active - 1);
+  };
+
+  return (
+    <div
+      className="embed-media embed-carousel"
+      onTouchStart={onTouchStart}
+      onTouchEnd={onTouchEnd}
+      onKeyDown={onKeyDown}
+      tabIndex={0}
+      role="region"
+      aria-roledescription="carousel"
+      aria-label={`Post media, ${active + 1} of ${media.length}`}
+    >
+      <div className="embed-carousel-track" style={{ transform: `translateX(-${active * 100}%)` }}>
+        {media.map((item) => (
+          <div className="embed-carousel-slide" key={item.index} aria-hidden={item.index !== active}>
+            <MediaSlide item={item} isActive={item.index === active} />
+          </div>
+        ))}
+      </div>
+
+      {active > 0 && (
+        <button className="embed-carousel-arrow prev" onClick={() => goTo(active - 1)} aria-label="Previous">
+          ‹
+        </button>
+      )}
+      {active < last && (
+        <button className="embed-carousel-arrow next" onClick={() => goTo(active + 1)} aria-label="Next">
+          ›
+        </button>
+      )}
+
+      <div className="embed-carousel-dots">
+        {media.map((item) => (
+          <button
+            key={item.index}
+            className={`embed-carousel-dot ${item.index === active ? 'active' : ''}`}
+            onClick={() => goTo(item.index)}
+            aria-label={`Show item ${item.index + 1}`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default MediaCarousel;
@@ -0,0 +1,76 @@
+/*
+ * "Record ownership on-chain" action for a verified post
+ *
+ * Submits the zkFetch owner proof to the InstagramVerifier contract from
+ * the wallet it is bound to. Hidden when no verifier address is configured.
+ */
+
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { proofContextAddress, submitOwnershipOnchain, VERIFIER_ADDRESS } from "../wallet";
+
+/**
+ * @param {Object} props
+ * @param {Object} props.ownerProof - zkFetch proof of the post owner
+ * @param {string} props.mediaCode - Media code of the post
+ * @param {string} props.username - Post owner's username
+ * @param {{address: string, signer: Object}|null} props.wallet - Connected wallet
+ */
+function OnchainSubmit({ ownerProof, mediaCode, username, wallet }) {
+  /** @type {[boolean, Function]} True while the transaction is pending */
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /** @type {[string|null, Function]} Hash of the mined transaction */
+  const [txHash, setTxHash] = useState(null);
+
+  if (!VERIFIER_ADDRESS) return null;
+
+  const boundAddress = proofContextAddress(ownerProof);
+
+  if (!boundAddress) {
+    return (
+      <p className="status-text">
+        Connect a wallet before fetching the post owner to record ownership on-chain.
+      </p>
+    );
+  }
+
+  if (!wallet || wallet.address.toLowerCase() !== boundAddress) {
+    return (
+      <p className="status-text">
+        Connect wallet {boundAddress} to record ownership on-chain.
+      </p>
+    );
+  }
+
+  const submit = async () => {
+    setIsSubmitting(true);
+    try {
+      setTxHash(await submitOwnershipOnchain(wallet.signer, ownerProof, { mediaCode, username }));
+      toast.success("Ownership recorded on-chain!");
+    } catch (error) {
+      toast.error(`On-chain submission failed: ${error.message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (txHash) {
+    return <p className="status-text">Recorded on-chain in transaction {txHash}</p>;
+  }
+
+  return (
+    <button className="btn btn-secondary" onClick={submit} disabled={isSubmitting} style={{ marginTop: '16px' }}>
+      {isSubmitting ? (
+        <>
+          <span className="spinner"></span>
+          Submitting...
+        </>
+      ) : (
+        "Record Ownership On-chain"
+      )}
+    </button>
+  );
+}
+
+export default OnchainSubmit;
@@ -0,0 +1,116 @@
+/*
+ * Instagram-style embed card for a verified post
+ *
+ * Used by the verification flow in App.js and by the shareable
+ * permalink page, so a stored verification renders exactly like a
+ * freshly verified one.
+ */
+
+import MediaCarousel from "./MediaCarousel";
+
+/**
+ * Formats a date string to a relative time (e.g., "3 days ago")
+ */
+const formatRelativeTime = (dateString) => {
+  if (!dateString) return null;
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+
+  if (diffDays === 0) return 'Today';
+  if (diffDays === 1) return '1 day ago';
+  if (diffDays < 7) return `${diffDays} days ago`;
+  if (diffDays < 30) return `${Math.floor(diffDays / 7)} weeks ago`;
+  if (diffDays < 365) return `${Math.floor(diffDays / 30)} months ago`;
+  return `${Math.floor(diffDays / 365)} years ago`;
+};
+
+/**
+ * Renders a verified post with the "Verified with ZK Proof" banner
+ *
+ * @param {Object} props
+ * @param {Object|null} props.post - Post data from `extractPostData`
+ * @param {string|null} [props.fallbackUsername] - Username to show if the post has none (e.g. from zkFetch)
+ * @param {React.ReactNode} [props.children] - Extra content rendered below the banner
+ */
+function PostEmbed({ post, fallbackUsername = null, children }) {
+  return (
+    <div className="embed">
+      {/* Post Header */}
+      <div className="embed-header">
+        {post?.userProfilePic ? (
+          <img
+            src={post.userProfilePic}
+            alt={post?.username || fallbackUsername}
+            className="embed-avatar-img"
+          />
+        ) : (
+          <div className="embed-avatar">
+            {(post?.username || fallbackUsername)?.charAt(0).toUpperCase()}
+          </div>
+        )}
+        <div className="embed-user-info">
+          <span className="embed-username">{post?.username || fallbackUsername}</span>
+          {post?.createdAt && (
+            <span className="embed-time">{formatRelativeTime(post.createdAt)}</span>
+          )}
+        </div>
+      </div>
+
+      {/* Post Media - single photo or video, or a carousel */}
+      <MediaCarousel media={post?.media} />
+
+      {/* Proofs that disagree are shown, not merged */}
+      {post?.conflicts?.length > 0 && (
+        <div className="embed-conflict" role="alert">
+          The proofs disagree on {post.conflicts.map(({ field }) => field).join(', ')}.
+          The first proof's values are shown.
+        </div>
+      )}
+
+      {/* Action Icons */}
+      <div className="embed-actions">
+        <div className="embed-action">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
+          </svg>
+        </div>
+        <div className="embed-action">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+          </svg>
+        </div>
+      </div>
+
+      {/* Engagement Stats */}
+      <div className="embed-stats">
+        {/* Counts the owner hid are not in the proof */}
+        {typeof post?.likes === 'number' && <span className="embed-likes">{post.likes} likes</span>}
+        {typeof post?.comments === 'number' && <span className="embed-comments">{post.comments} comments</span>}
+      </div>
+
+      {/* Caption */}
+      {post?.caption && (
+        <div className="embed-caption">
+          <span className="embed-caption-user">{post?.username || fallbackUsername}</span>
+          {' '}{post.caption}
+        </div>
+      )}
+
+      {/* Verification Badge */}
+      <div className="embed-footer">
+        <div className="embed-verified-banner">
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+          </svg>
+          Verified with ZK Proof
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+}
+
+export default PostEmbed;
@@ -0,0 +1,29 @@
+/*
+ * QR code for a Reclaim verification link
+ *
+ * Shown when the verification is done on another device (usually a
+ * phone scanning the code from a desktop screen). The link is also
+ * offered as plain text for devices that cannot scan.
+ */
+
+import { QRCodeSVG } from "qrcode.react";
+
+/**
+ * Renders the verification link as a QR code
+ *
+ * @param {Object} props
+ * @param {string} props.url - Request URL from `getRequestUrl()`
+ */
+function RequestQrCode({ url }) {
+  return (
+    <div className="qr-code">
+      <QRCodeSVG value={url} size={200} marginSize={2} />
+      <p className="status-text">
+        Scan with your phone to verify, or{' '}
+        <a href={url} target="_blank" rel="noreferrer">open the link</a>
+      </p>
+    </div>
+  );
+}
+
+export default RequestQrCode;
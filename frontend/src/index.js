@@ -1,13 +1,24 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
+import { BrowserRouter, Route, Routes } from 'react-router-dom';
 import App from './App';
+import BatchPage from './pages/BatchPage';
+import VerificationPage from './pages/VerificationPage';
+import VerifyFilePage from './pages/VerifyFilePage';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter>
+      <Routes>
+        <Route path="/" element={<App />} />
+        <Route path="/v/:id" element={<VerificationPage />} />
+        <Route path="/verify-file" element={<VerifyFilePage />} />
+        <Route path="/batch" element={<BatchPage />} />
+      </Routes>
+    </BrowserRouter>
   </React.StrictMode>
 );
 
@@ -0,0 +1,357 @@
+/*
+ * Batch verification screen (/batch)
+ *
+ * Lets a campaign manager paste a list of post URLs or load a CSV file,
+ * and proves the owner of every post with zkFetch, a few at a time. Each
+ * row shows its own progress; the results can be downloaded as CSV or
+ * JSON, and only the failed rows can be run again. Posts with a cached
+ * owner proof on the backend are not proved again unless "Skip cache" is on.
+ *
+ * Every row asks the backend to sign, so a large batch runs into the
+ * per-client rate limit; rows then wait out its Retry-After and go on.
+ *
+ * Environment Variables:
+ * - REACT_APP_BATCH_CONCURRENCY: Posts proved at once by default (optional, defaults to 2)
+ */
+
+import { useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { proveVerifiedOwner } from "../zkFetch";
+import {
+  BATCH_ERROR_TYPES,
+  BATCH_STATUSES,
+  parseBatchInput,
+  runWithConcurrency,
+  selectFailedRows,
+  summarizeBatch,
+  toCsv,
+  toJson,
+} from "../../../shared/batchVerification";
+import { ZKFETCH_ERROR_TYPES } from "../../../shared/zkFetchErrors";
+import "../App.css";
+
+/** Choices for how many posts are proved at once; in-browser proving is heavy */
+const CONCURRENCY_CHOICES = [1, 2, 3, 4];
+
+const DEFAULT_CONCURRENCY = CONCURRENCY_CHOICES.includes(Number(process.env.REACT_APP_BATCH_CONCURRENCY))
+  ? Number(process.env.REACT_APP_BATCH_CONCURRENCY)
+  : 2;
+
+/** Row states shown with a spinner */
+const ACTIVE_STATUSES = [BATCH_STATUSES.SIGNING, BATCH_STATUSES.PROVING];
+
+/** Used when a 429 carries no Retry-After; the backend's window is a minute by default */
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Waits `ms` milliseconds, or until the signal is aborted
+ *
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} signal - Ends the wait early
+ */
+const waitUnlessAborted = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+/** User-facing text per row status */
+const STATUS_TEXT = {
+  [BATCH_STATUSES.QUEUED]: 'Queued',
+  [BATCH_STATUSES.SIGNING]: 'Signing...',
+  [BATCH_STATUSES.PROVING]: 'Proving...',
+  [BATCH_STATUSES.VERIFIED]: 'Verified',
+  [BATCH_STATUSES.FAILED]: 'Failed',
+  [BATCH_STATUSES.SKIPPED]: 'Skipped',
+};
+
+/**
+ * Saves text as a file
+ *
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+const downloadFile = (name, content, type) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+function BatchPage() {
+  /** @type {[string, Function]} Pasted URLs or loaded CSV text */
+  const [text, setText] = useState('');
+
+  /** @type {[Object[], Function]} Batch rows (see shared/batchVerification.js) */
+  const [rows, setRows] = useState([]);
+
+  /** @type {[number, Function]} Posts proved at once */
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+
+  /** @type {[boolean, Function]} Prove every post again instead of reusing cached proofs */
+  const [skipCache, setSkipCache] = useState(false);
+
+  /** @type {[boolean, Function]} True while a run is in progress, until its last row settles */
+  const [isRunning, setIsRunning] = useState(false);
+
+  /** @type {[boolean, Function]} True after Stop, while in-flight rows wind down */
+  const [isStopping, setIsStopping] = useState(false);
+
+  /** @type {[string|null, Function]} Error reading the input */
+  const [inputError, setInputError] = useState(null);
+
+  /** Aborts the current run: it starts no new rows, and its provers are stopped */
+  const runAbortRef = useRef(null);
+
+  /** Merges changes into one row */
+  const updateRow = (id, changes) => {
+    setRows((current) => current.map((row) => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  /**
+   * Proves one row's post owner and records the outcome on the row
+   * Our backend's rate limit is waited out rather than failing the row
+   *
+   * @param {Object} row - Row to prove
+   * @param {AbortSignal} signal - Aborted when the run is stopped
+   */
+  const proveRow = async (row, signal) => {
+    const isCancelled = () => signal.aborted;
+
+    for (;;) {
+      updateRow(row.id, { status: BATCH_STATUSES.SIGNING, username: null, proofValid: null, cachedAt: null, error: null });
+
+      try {
+        const { username, cachedAt } = await proveVerifiedOwner(row.input, {
+          onSigned: () => updateRow(row.id, { status: BATCH_STATUSES.PROVING }),
+          refresh: skipCache,
+          isCancelled,
+          signal,
+          onRetry: (error, delayMs) => updateRow(row.id, {
+            error: { type: error.type, message: `${error.message} Retrying in ${Math.round(delayMs / 1000)}s...` },
+          }),
+        });
+        updateRow(row.id, { status: BATCH_STATUSES.VERIFIED, username, proofValid: true, cachedAt, error: null });
+        return;
+      } catch (error) {
+        if (!isCancelled() && error.type === ZKFETCH_ERROR_TYPES.BACKEND_RATE_LIMITED) {
+          // apiRequest's error is the cause of the classified one
+          const seconds = error.cause?.retryAfter || DEFAULT_RETRY_AFTER_SECONDS;
+          updateRow(row.id, {
+            status: BATCH_STATUSES.QUEUED,
+            error: { type: error.type, message: `Backend rate limit reached. Retrying in ${seconds}s...` },
+          });
+          await waitUnlessAborted(seconds * 1000, signal);
+          if (!isCancelled()) continue;
+        }
+
+        updateRow(row.id, isCancelled()
+          ? { status: BATCH_STATUSES.FAILED, error: { type: BATCH_ERROR_TYPES.CANCELLED, message: 'Stopped while proving' } }
+          : {
+            status: BATCH_STATUSES.FAILED,
+            proofValid: error.type === ZKFETCH_ERROR_TYPES.PROOF_INVALID ? false : null,
+            error: { type: error.type, message: error.message },
+          });
+        return;
+      }
+    }
+  };
+
+  /**
+   * Runs rows with at most `concurrency` in flight
+   * Only one run at a time: the buttons that start one stay disabled until
+   * every row of the current run has settled, even after Stop
+   *
+   * @param {Object[]} toRun - Rows to prove
+   */
+  const runRows = async (toRun) => {
+    const controller = new AbortController();
+    runAbortRef.current = controller;
+    setIsRunning(true);
+
+    // Rows wait as queued until a slot frees up
+    const ids = new Set(toRun.map(({ id }) => id));
+    setRows((current) => current.map((row) => (
+      ids.has(row.id) ? { ...row, status: BATCH_STATUSES.QUEUED, error: null } : row
+    )));
+
+    await runWithConcurrency(toRun, concurrency, (row) => proveRow(row, controller.signal), {
+      isCancelled: () => controller.signal.aborted,
+    });
+
+    setIsRunning(false);
+    setIsStopping(false);
+  };
+
+  /** Reads the input and proves every row that can be run */
+  const startBatch = () => {
+    let parsed;
+    try {
+      parsed = parseBatchInput(text);
+    } catch (error) {
+      setInputError(error.message);
+      return;
+    }
+
+    setInputError(null);
+    setRows(parsed);
+    runRows(parsed.filter(({ status }) => status === BATCH_STATUSES.QUEUED));
+  };
+
+  /**
+   * Starts no new rows and stops the provers of the rows in flight
+   * The run ends once those rows settle. Rows that never ran or were stopped
+   * count as failed, so "Re-run Failed" picks them up
+   */
+  const stopBatch = () => {
+    runAbortRef.current?.abort();
+    setIsStopping(true);
+    setRows((current) => current.map((row) => (row.status === BATCH_STATUSES.QUEUED
+      ? { ...row, status: BATCH_STATUSES.FAILED, error: { type: BATCH_ERROR_TYPES.CANCELLED, message: 'Stopped before it ran' } }
+      : row)));
+  };
+
+  /** Loads a CSV file into the input box */
+  const loadFile = async (file) => {
+    setText(await file.text());
+    setInputError(null);
+  };
+
+  const summary = summarizeBatch(rows);
+  const failedRows = selectFailedRows(rows);
+  const settled = summary.verified + summary.failed + summary.skipped;
+
+  return (
+    <main className="app">
+      <div className="container batch-container">
+        <header className="header">
+          <h1 className="logo">Instagram Demo</h1>
+          <p className="subtitle">Check the owners of many posts at once</p>
+        </header>
+
+        <div className="card">
+          <textarea
+            className="input batch-input"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={'One Instagram post URL per line, or a CSV with a "url" column'}
+            rows={8}
+            disabled={isRunning}
+          />
+
+          <div className="batch-options">
+            <label className="btn btn-text">
+              Load CSV file
+              <input
+                type="file"
+                accept=".csv,text/csv,text/plain"
+                onChange={(event) => event.target.files?.[0] && loadFile(event.target.files[0])}
+                disabled={isRunning}
+                hidden
+              />
+            </label>
+            <label className="status-text">
+              At once{' '}
+              <select value={concurrency} onChange={(e) => setConcurrency(Number(e.target.value))} disabled={isRunning}>
+                {CONCURRENCY_CHOICES.map((choice) => (
+                  <option key={choice} value={choice}>{choice}</option>
+                ))}
+              </select>
+            </label>
+            <label className="status-text">
+              <input
+                type="checkbox"
+                checked={skipCache}
+                onChange={(e) => setSkipCache(e.target.checked)}
+                disabled={isRunning}
+              />{' '}
+              Skip cache
+            </label>
+          </div>
+
+          {isRunning ? (
+            <button className="btn btn-secondary" onClick={stopBatch} disabled={isStopping}>
+              {isStopping ? 'Stopping...' : 'Stop'}
+            </button>
+          ) : (
+            <button className="btn btn-primary" onClick={startBatch} disabled={!text.trim()}>
+              Check Posts
+            </button>
+          )}
+
+          {inputError && <p className="error-text">{inputError}</p>}
+        </div>
+
+        {rows.length > 0 && (
+          <div className="card">
+            <p className="status-text" aria-live="polite">
+              {settled} of {rows.length} done · {summary.verified} verified · {summary.failed} failed · {summary.skipped} skipped
+            </p>
+            <progress className="batch-progress" value={settled} max={rows.length} />
+
+            <table className="batch-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Post</th>
+                  <th>Status</th>
+                  <th>Owner</th>
+                  <th>Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.id} className={`batch-row-${row.status}`}>
+                    <td>{row.id + 1}</td>
+                    <td title={row.input}>{row.mediaCode || row.input}</td>
+                    <td>
+                      {ACTIVE_STATUSES.includes(row.status) && <span className="spinner"></span>}
+                      {STATUS_TEXT[row.status]}
+                      {row.status === BATCH_STATUSES.VERIFIED && row.cachedAt && ' (cached)'}
+                    </td>
+                    <td>{row.username ? `@${row.username}` : '-'}</td>
+                    <td title={row.error?.message}>{row.error?.type || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="batch-options">
+              <button
+                className="btn btn-secondary"
+                onClick={() => runRows(failedRows)}
+                disabled={isRunning || failedRows.length === 0}
+              >
+                Re-run Failed ({failedRows.length})
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => downloadFile('instagram-batch.csv', toCsv(rows), 'text/csv')}
+                disabled={isRunning}
+              >
+                Download CSV
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => downloadFile('instagram-batch.json', toJson(rows), 'application/json')}
+                disabled={isRunning}
+              >
+                Download JSON
+              </button>
+            </div>
+          </div>
+        )}
+
+        <Link to="/" className="btn btn-secondary" style={{ marginTop: '16px' }}>
+          Verify a Single Post
+        </Link>
+      </div>
+    </main>
+  );
+}
+
+export default BatchPage;
@@ -0,0 +1,113 @@
+/*
+ * Shareable permalink page for a stored verification (/v/:id)
+ *
+ * Loads the verification record from the backend and re-runs `verifyProof`
+ * on its proofs in the viewer's browser, so a third party opening the link
+ * does not have to take the stored result on trust.
+ *
+ * Post and reel verifications can be tracked with an API key (POST
+ * /verifications/:id/tracking): the backend then proves the counts again on
+ * a schedule, and the history is charted below the post.
+ */
+
+import { verifyProof } from "@reclaimprotocol/js-sdk";
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { apiRequest } from "../api";
+import ClaimResult from "../components/ClaimResult";
+import EngagementHistory from "../components/EngagementHistory";
+import "../App.css";
+
+function VerificationPage() {
+  const { id } = useParams();
+
+  /** @type {[Object|null, Function]} Verification record from the backend */
+  const [record, setRecord] = useState(null);
+
+  /** @type {['pending'|'valid'|'invalid', Function]} Result of re-verifying the proofs here */
+  const [proofStatus, setProofStatus] = useState('pending');
+
+  /** @type {[string|null, Function]} Error message if the record cannot be loaded */
+  const [loadError, setLoadError] = useState(null);
+
+  /** @type {[Object|null, Function]} Engagement tracking of the post, if it is tracked */
+  const [tracked, setTracked] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const data = await apiRequest(`/verifications/${encodeURIComponent(id)}`);
+        if (cancelled) return;
+        setRecord(data);
+
+        // Untracked posts answer 404
+        apiRequest(`/verifications/${encodeURIComponent(id)}/tracking`)
+          .then((history) => !cancelled && setTracked(history))
+          .catch((error) => error.status !== 404 && console.error("Error loading engagement history:", error));
+
+        // Re-verify every stored proof instead of trusting the record
+        const proofs = [...data.proofs, ...(data.zkFetchProof ? [data.zkFetchProof] : [])];
+        const results = await Promise.all(proofs.map((proof) => verifyProof(proof)));
+        if (!cancelled) {
+          setProofStatus(results.every(Boolean) ? 'valid' : 'invalid');
+        }
+      } catch (error) {
+        console.error("Error loading verification:", error);
+        if (!cancelled) setLoadError(error.message);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  return (
+    <main className="app">
+      <div className="container">
+        <header className="header">
+          <h1 className="logo">Instagram Demo</h1>
+          <p className="subtitle">Verified Instagram claim</p>
+        </header>
+
+        {loadError && (
+          <div className="card error-card">
+            <p className="error-text">{loadError}</p>
+          </div>
+        )}
+
+        {!record && !loadError && (
+          <p className="status-text">Loading verification...</p>
+        )}
+
+        {record && proofStatus === 'invalid' && (
+          <div className="card error-card">
+            <p className="error-text">
+              The proofs in this verification did not pass re-verification.
+            </p>
+          </div>
+        )}
+
+        {record && proofStatus !== 'invalid' && (
+          <ClaimResult claim={record.claim} proofs={record.proofs} fallbackUsername={record.username}>
+            <p className="status-text">
+              {proofStatus === 'valid' ? 'Proof re-verified in your browser' : 'Re-verifying proof...'}
+              {' · '}Verified on {new Date(record.verifiedAt).toLocaleString()}
+            </p>
+          </ClaimResult>
+        )}
+
+        {tracked && <EngagementHistory tracked={tracked} />}
+
+        <Link to="/" className="btn btn-secondary" style={{ marginTop: '16px' }}>
+          Verify a Post
+        </Link>
+      </div>
+    </main>
+  );
+}
+
+export default VerificationPage;
@@ -0,0 +1,194 @@
+/*
+ * "Verify a proof file" screen (/verify-file)
+ *
+ * Lets an auditor drop in a proof bundle exported from a verification,
+ * checks its signature, re-runs `verifyProof` on every proof in it and
+ * renders the claim's card - without going through the Instagram flow again.
+ */
+
+import { verifyProof } from "@reclaimprotocol/js-sdk";
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { checkBundleSignature, checkBundleSigner, readBundleFile } from "../bundle";
+import { DEFAULT_CLAIM, getProvider } from "../../../shared/providers";
+import ClaimResult from "../components/ClaimResult";
+import "../App.css";
+
+/** User-facing text for each signature / signer check result */
+const SIGNATURE_TEXT = {
+  valid: 'Bundle signature is valid',
+  invalid: 'Bundle signature is INVALID - the file was modified',
+  unsupported: 'This browser cannot check Ed25519 signatures',
+};
+
+const SIGNER_TEXT = {
+  trusted: 'Signed by this backend',
+  unknown: 'Signed by an unknown key',
+  offline: 'Backend unreachable - signer not checked',
+};
+
+function VerifyFilePage() {
+  /** @type {[Object|null, Function]} Loaded bundle */
+  const [bundle, setBundle] = useState(null);
+
+  /** @type {[Object|null, Function]} Results of checking the bundle */
+  const [report, setReport] = useState(null);
+
+  /** @type {[boolean, Function]} True while the checks run */
+  const [isChecking, setIsChecking] = useState(false);
+
+  /** @type {[string|null, Function]} Error reading the file */
+  const [fileError, setFileError] = useState(null);
+
+  /** @type {[boolean, Function]} True while a file is dragged over the drop zone */
+  const [isDragging, setIsDragging] = useState(false);
+
+  /**
+   * Reads the bundle and runs every check on it
+   *
+   * @param {File} file - File dropped or picked by the user
+   */
+  const checkFile = async (file) => {
+    setBundle(null);
+    setReport(null);
+    setFileError(null);
+    setIsChecking(true);
+
+    try {
+      const loaded = await readBundleFile(file);
+      const { payload } = loaded;
+
+      const labelled = [
+        ...(payload.zkFetchProof ? [{ label: 'Post owner proof (zkFetch)', proof: payload.zkFetchProof }] : []),
+        ...payload.proofs.map((proof, index) => ({ label: `Verification proof ${index + 1}`, proof })),
+      ];
+
+      const [signature, signer, proofResults] = await Promise.all([
+        checkBundleSignature(loaded),
+        checkBundleSigner(loaded),
+        Promise.all(labelled.map(async ({ label, proof }) => ({
+          label,
+          valid: await verifyProof(proof).catch(() => false),
+        }))),
+      ]);
+
+      // Bundles from before the provider registry carry no claim; they are posts
+      const provider = getProvider(payload.claim) || getProvider(DEFAULT_CLAIM);
+
+      let bindingError = null;
+      if (payload.inputUrl && (payload.zkFetchProof || !provider.ownerProof)) {
+        try {
+          provider.bind({
+            inputUrl: payload.inputUrl,
+            zkFetchProof: payload.zkFetchProof,
+            proofs: payload.proofs,
+            result: provider.extract(payload.proofs),
+          });
+        } catch (error) {
+          bindingError = error.message;
+        }
+      }
+
+      setBundle(loaded);
+      setReport({ signature, signer, proofResults, bindingError });
+    } catch (error) {
+      setFileError(error.message);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const onDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    const file = event.dataTransfer.files?.[0];
+    if (file) checkFile(file);
+  };
+
+  const allProofsValid = report?.proofResults.every((result) => result.valid);
+  // The key travels with the bundle, so a valid signature alone proves nothing:
+  // anyone can edit a bundle and sign it again with their own key
+  const isVerified = report
+    && allProofsValid
+    && report.signature === 'valid'
+    && report.signer === 'trusted'
+    && !report.bindingError;
+
+  return (
+    <main className="app">
+      <div className="container">
+        <header className="header">
+          <h1 className="logo">Instagram Demo</h1>
+          <p className="subtitle">Verify a proof file</p>
+        </header>
+
+        <label
+          className={`card drop-zone${isDragging ? ' drop-zone-active' : ''}`}
+          onDragOver={(event) => {
+            event.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={onDrop}
+        >
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={(event) => event.target.files?.[0] && checkFile(event.target.files[0])}
+            hidden
+          />
+          {isChecking ? (
+            <span className="status-text"><span className="spinner"></span> Checking proofs...</span>
+          ) : (
+            <span className="status-text">Drop a proof bundle here, or click to choose a file</span>
+          )}
+        </label>
+
+        {fileError && (
+          <div className="card error-card">
+            <p className="error-text">{fileError}</p>
+          </div>
+        )}
+
+        {report && (
+          <div className="card">
+            <ul className="check-list">
+              <li className={report.signature === 'valid' ? 'check-pass' : 'check-fail'}>
+                {SIGNATURE_TEXT[report.signature]}
+              </li>
+              <li className={report.signer === 'trusted' ? 'check-pass' : 'check-fail'}>
+                {SIGNER_TEXT[report.signer]}
+              </li>
+              {report.proofResults.map(({ label, valid }) => (
+                <li key={label} className={valid ? 'check-pass' : 'check-fail'}>
+                  {label}: {valid ? 'valid' : 'INVALID'}
+                </li>
+              ))}
+              {report.bindingError && (
+                <li className="check-fail">{report.bindingError}</li>
+              )}
+            </ul>
+            <p className="status-text">
+              Verified on {new Date(bundle.payload.timestamps.verifiedAt).toLocaleString()}
+              {' · '}Exported on {new Date(bundle.payload.timestamps.exportedAt).toLocaleString()}
+            </p>
+          </div>
+        )}
+
+        {isVerified && (
+          <ClaimResult claim={bundle.payload.claim} proofs={bundle.payload.proofs}>
+            {bundle.payload.inputUrl && (
+              <p className="status-text">{bundle.payload.inputUrl}</p>
+            )}
+          </ClaimResult>
+        )}
+
+        <Link to="/" className="btn btn-secondary" style={{ marginTop: '16px' }}>
+          Verify a Post
+        </Link>
+      </div>
+    </main>
+  );
+}
+
+export default VerifyFilePage;
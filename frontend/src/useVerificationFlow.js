@@ -0,0 +1,62 @@
+/*
+ * React binding for the verification flow state machine
+ *
+ * Wraps `flowReducer` from shared/verificationFlow.js with:
+ * - per-state timeouts (REACT_APP_FLOW_TIMEOUTS, `state:seconds` pairs)
+ * - a sessionStorage snapshot, so a reload picks the flow up where it was
+ */
+
+import { useEffect, useReducer } from "react";
+import {
+  flowReducer,
+  parseTimeouts,
+  remainingTime,
+  restoreFlow,
+  toSnapshot,
+} from "../../shared/verificationFlow";
+
+/** sessionStorage key of the saved flow */
+const STORAGE_KEY = 'instagram-verification-flow';
+
+/** Time limits per state, in ms */
+export const FLOW_TIMEOUTS = parseTimeouts(process.env.REACT_APP_FLOW_TIMEOUTS);
+
+/** Restores the flow saved in this tab, if any */
+const loadFlow = () => {
+  try {
+    return restoreFlow(JSON.parse(window.sessionStorage.getItem(STORAGE_KEY)));
+  } catch (e) {
+    return restoreFlow(null);
+  }
+};
+
+/**
+ * Verification flow state with timeouts and reload persistence
+ *
+ * @returns {[Object, Function]} Current flow and its dispatch function
+ */
+export const useVerificationFlow = () => {
+  const [flow, dispatch] = useReducer(flowReducer, undefined, loadFlow);
+
+  // Save progress so a pending Reclaim session can resume after a reload
+  useEffect(() => {
+    try {
+      window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(toSnapshot(flow)));
+    } catch (e) {
+      console.warn("Could not save verification progress:", e);
+    }
+  }, [flow]);
+
+  // Fail the current state once its time limit passes
+  const { status, attempt } = flow;
+  const remaining = remainingTime(flow, FLOW_TIMEOUTS);
+  useEffect(() => {
+    if (remaining === null) return undefined;
+    const timer = setTimeout(() => dispatch({ type: 'timeout', status, attempt }), remaining);
+    return () => clearTimeout(timer);
+    // Only re-arm when the state changes, not on every countdown tick
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status, attempt, flow.enteredAt]);
+
+  return [flow, dispatch];
+};
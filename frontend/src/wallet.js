@@ -0,0 +1,98 @@
+/*
+ * Wallet connection and on-chain submission
+ *
+ * The connected wallet address goes into the zkFetch proof context, and
+ * the proof can then be recorded by the InstagramVerifier contract
+ * (contracts/InstagramVerifier.sol) deployed at REACT_APP_VERIFIER_ADDRESS.
+ * The contract only accepts a proof from the wallet it is bound to.
+ */
+
+import { BrowserProvider, Contract } from "ethers";
+import { transformForOnchain } from "@reclaimprotocol/js-sdk";
+
+/** Deployed InstagramVerifier; on-chain submission is hidden when unset */
+export const VERIFIER_ADDRESS = process.env.REACT_APP_VERIFIER_ADDRESS;
+
+/** The parts of the InstagramVerifier ABI the app uses */
+const VERIFIER_ABI = [
+  "function submitProof(((string provider, string parameters, string context) claimInfo, ((bytes32 identifier, address owner, uint32 timestampS, uint32 epoch) claim, bytes[] signatures) signedClaim) proof, string mediaCode, string username)",
+  "error IdentifierMismatch()",
+  "error NoSignatures()",
+  "error UntrustedAttestor(address signer)",
+  "error InvalidSignature()",
+  "error ClaimAlreadyUsed()",
+  "error ContextAddressMismatch()",
+  "error MediaCodeMismatch()",
+  "error UsernameMismatch()",
+];
+
+/** User-facing text for the contract's custom errors */
+const REVERT_MESSAGES = {
+  IdentifierMismatch: 'The proof was modified after it was signed.',
+  NoSignatures: 'The proof has no attestor signature.',
+  UntrustedAttestor: 'The proof was signed by an attestor the contract does not trust.',
+  InvalidSignature: 'The proof signature is malformed.',
+  ClaimAlreadyUsed: 'This proof was already recorded on-chain.',
+  ContextAddressMismatch: 'The proof is bound to a different wallet.',
+  MediaCodeMismatch: 'The proof is for a different post.',
+  UsernameMismatch: 'The proof is for a different username.',
+};
+
+/**
+ * Asks the browser wallet for an account
+ *
+ * @returns {Promise<{address: string, signer: Object}>} Connected account and its ethers signer
+ * @throws {Error} If no wallet is installed or the user rejects the request
+ */
+export const connectWallet = async () => {
+  if (!window.ethereum) {
+    throw new Error("No wallet found. Install MetaMask or another browser wallet.");
+  }
+
+  const provider = new BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  return { address: await signer.getAddress(), signer };
+};
+
+/**
+ * Reads the wallet address a zkFetch proof is bound to
+ *
+ * @param {Object} proof - zkFetch proof
+ * @returns {string|null} Lowercase address, or null if not set
+ */
+export const proofContextAddress = (proof) => {
+  try {
+    const { contextAddress } = JSON.parse(proof?.claimData?.context);
+    return contextAddress && contextAddress !== '0x0' ? contextAddress.toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Submits the owner proof to the verifier contract and waits for it to be mined
+ *
+ * @param {Object} signer - ethers signer of the wallet the proof is bound to
+ * @param {Object} ownerProof - zkFetch proof
+ * @param {Object} post
+ * @param {string} post.mediaCode - Media code of the post
+ * @param {string} post.username - Username extracted by the proof
+ * @returns {Promise<string>} Transaction hash
+ * @throws {Error} With a readable message if the contract rejects the proof
+ */
+export const submitOwnershipOnchain = async (signer, ownerProof, { mediaCode, username }) => {
+  if (!VERIFIER_ADDRESS) {
+    throw new Error("REACT_APP_VERIFIER_ADDRESS is not set");
+  }
+
+  const verifier = new Contract(VERIFIER_ADDRESS, VERIFIER_ABI, signer);
+
+  try {
+    const tx = await verifier.submitProof(transformForOnchain(ownerProof), mediaCode, username);
+    await tx.wait();
+    return tx.hash;
+  } catch (error) {
+    const reason = error?.revert?.name;
+    throw new Error(REVERT_MESSAGES[reason] || error?.shortMessage || error.message);
+  }
+};
@@ -0,0 +1,208 @@
+/*
+ * Post owner proof via zkFetch
+ *
+ * The proof can be generated in two places, selected by REACT_APP_ZKFETCH_MODE:
+ * - 'browser': sign a token on the backend and run zkFetch in this tab
+ * - 'server':  let the backend run zkFetch (POST /zkfetch)
+ * - 'auto':    use the server on low-end devices, the browser otherwise
+ *
+ * Both modes fetch the same embed page with the same regex match
+ * (see shared/zkFetchRequest.js), and embed a nonce issued by the backend
+ * in the proof context (see shared/proofNonce.js).
+ *
+ * In 'browser' mode zkFetch runs in a Web Worker (src/zkFetchWorker.js,
+ * started through worker-threads-polyfill.js), so the page stays responsive.
+ *
+ * In both modes the backend may answer with a cached proof of the post
+ * instead (see backend/proofCache.ts); then nothing is proved here.
+ */
+
+import { Worker } from "worker_threads";
+import { verifyProof } from "@reclaimprotocol/js-sdk";
+import { apiRequest } from "./api";
+import { buildOwnerFetchOptions } from "../../shared/zkFetchRequest";
+import { readZkFetchProof } from "../../shared/proofBinding";
+import { classifyZkFetchError, withRetry, ZkFetchError, ZKFETCH_ERROR_TYPES } from "../../shared/zkFetchErrors";
+
+/** Configured proving mode, defaults to in-browser proving */
+const ZKFETCH_MODE = process.env.REACT_APP_ZKFETCH_MODE || 'browser';
+
+/**
+ * Rough check for devices that would struggle with in-browser proving
+ * `deviceMemory` is only reported by Chromium browsers
+ *
+ * @returns {boolean} True on devices with little memory or few cores
+ */
+const isLowEndDevice = () => {
+  const { deviceMemory, hardwareConcurrency } = window.navigator;
+  return (deviceMemory !== undefined && deviceMemory <= 4)
+    || (hardwareConcurrency !== undefined && hardwareConcurrency <= 4);
+};
+
+/**
+ * Resolves the configured mode to where the proof is actually generated
+ *
+ * @returns {'browser'|'server'}
+ */
+export const resolveZkFetchMode = () => {
+  if (ZKFETCH_MODE === 'auto') {
+    return isLowEndDevice() ? 'server' : 'browser';
+  }
+  return ZKFETCH_MODE === 'server' ? 'server' : 'browser';
+};
+
+/**
+ * Runs zkFetch in a Web Worker and waits for its proof
+ *
+ * @param {Object} workerData - Arguments for src/zkFetchWorker.js
+ * @param {AbortSignal} [signal] - Terminates the worker when aborted
+ * @returns {Promise<Object>} zkFetch proof
+ */
+const runZkFetchWorker = (workerData, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new Error('Proving was cancelled'));
+    return;
+  }
+
+  const worker = new Worker('src/zkFetchWorker.js', { workerData });
+  const onAbort = () => {
+    worker.terminate();
+    reject(new Error('Proving was cancelled'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const finish = (settle, value) => {
+    signal?.removeEventListener('abort', onAbort);
+    worker.terminate();
+    settle(value);
+  };
+
+  worker.once('message', ({ proof, error }) => (error
+    ? finish(reject, Object.assign(new Error(error.message), { stack: error.stack }))
+    : finish(resolve, proof)));
+  worker.once('error', (error) => finish(reject, error));
+});
+
+/**
+ * Generates the proof in this tab using a token scoped to the post
+ *
+ * @param {string} instagramUrl - Instagram post URL entered by the user
+ * @param {Function} onSigned - Called once the token is issued and proving starts
+ * @param {string} [contextAddress] - Wallet address to bind the proof to
+ * @param {boolean} [refresh] - Prove even if the backend has a cached proof
+ * @param {AbortSignal} [signal] - Stops the prover when aborted
+ * @returns {Promise<{proof: Object, cachedAt: string|null}>} zkFetch proof, and when it was cached if it was
+ */
+const proveInBrowser = async (instagramUrl, onSigned, contextAddress, refresh, signal) => {
+  const query = new URLSearchParams({ url: instagramUrl });
+  if (contextAddress) query.set('contextAddress', contextAddress);
+  if (refresh) query.set('refresh', 'true');
+
+  // Get a session signature scoped to this post's embed URL, or its cached proof
+  const tokenData = await apiRequest(`/sign?${query}`);
+  onSigned();
+
+  if (tokenData.cached) {
+    return { proof: tokenData.proof, cachedAt: tokenData.cachedAt };
+  }
+
+  // The token only allows the canonical embed URL returned by the backend
+  console.log("Fetching URL:", tokenData.url);
+
+  // The nonce makes the proof single-use and ties it to this browser session
+  const { publicOptions, privateOptions } = buildOwnerFetchOptions({ contextAddress, nonce: tokenData.nonce });
+  const proof = await runZkFetchWorker({
+    appId: process.env.REACT_APP_RECLAIM_APP_ID,
+    token: tokenData.token,
+    url: tokenData.url,
+    publicOptions,
+    privateOptions,
+  }, signal);
+  return { proof, cachedAt: null };
+};
+
+/**
+ * Lets the backend generate the proof
+ *
+ * @param {string} instagramUrl - Instagram post URL entered by the user
+ * @param {Function} onSigned - Called right away; the backend signs and proves in one call
+ * @param {string} [contextAddress] - Wallet address to bind the proof to
+ * @param {boolean} [refresh] - Prove even if the backend has a cached proof
+ * @returns {Promise<{proof: Object, cachedAt: string|null}>} zkFetch proof, and when it was cached if it was
+ */
+const proveOnServer = async (instagramUrl, onSigned, contextAddress, refresh) => {
+  onSigned();
+  const { proof, cachedAt } = await apiRequest('/zkfetch', {
+    method: 'POST',
+    body: { url: instagramUrl, contextAddress, refresh },
+  });
+  return { proof, cachedAt: cachedAt ?? null };
+};
+
+/**
+ * Fetches the Instagram embed page with zkFetch and extracts the owner's username
+ *
+ * @param {string} instagramUrl - Instagram post URL entered by the user
+ * @param {Object} [options]
+ * @param {'browser'|'server'} [options.mode] - Where to prove, defaults to the configured mode
+ * @param {Function} [options.onSigned] - Called when signing is done and proving starts
+ * @param {string} [options.contextAddress] - Wallet address to bind the proof to (defaults to 0x0)
+ * @param {boolean} [options.refresh] - Prove even if the backend has a cached proof
+ * @param {AbortSignal} [options.signal] - Stops in-browser proving when aborted
+ * @returns {Promise<{proof: Object, cachedAt: string|null}>} zkFetch proof with
+ *   the username in its signed context, and when the backend cached it if it did
+ */
+export const fetchOwnerProof = (
+  instagramUrl,
+  { mode = resolveZkFetchMode(), onSigned = () => {}, contextAddress, refresh = false, signal } = {}
+) => (mode === 'server'
+  ? proveOnServer(instagramUrl, onSigned, contextAddress, refresh)
+  : proveInBrowser(instagramUrl, onSigned, contextAddress, refresh, signal));
+
+/**
+ * Makes the post owner proof, verifies it and reads the owner
+ * Used by the verification flow and by every row of a batch
+ *
+ * Failures are classified (see shared/zkFetchErrors.js); transient ones
+ * such as an unreachable attestor are retried with backoff
+ *
+ * @param {string} instagramUrl - Instagram post URL to prove
+ * @param {Object} [options]
+ * @param {Function} [options.onSigned] - Called when signing is done and proving starts
+ * @param {string} [options.contextAddress] - Wallet address to bind the proof to
+ * @param {boolean} [options.refresh] - Prove even if the backend has a cached proof
+ * @param {Function} [options.isCancelled] - Stops retrying once it returns true
+ * @param {AbortSignal} [options.signal] - Stops in-browser proving when aborted
+ * @param {Function} [options.onRetry] - Called with `(error, delayMs)` before a retry
+ * @returns {Promise<{proof: Object, username: string, cachedAt: string|null}>}
+ *   Cached proofs are verified here like new ones
+ * @throws {ZkFetchError} PROOF_INVALID if the proof does not verify, NOT_FOUND without a username
+ */
+export const proveVerifiedOwner = async (
+  instagramUrl,
+  { onSigned, contextAddress, refresh, isCancelled, signal, onRetry } = {}
+) => {
+  try {
+    // Prove in this tab or on the backend, depending on REACT_APP_ZKFETCH_MODE
+    const { proof, cachedAt } = await withRetry(
+      () => fetchOwnerProof(instagramUrl, { onSigned, contextAddress, refresh, signal }),
+      { isCancelled, onRetry }
+    );
+
+    if (!(await verifyProof(proof))) {
+      throw new ZkFetchError(ZKFETCH_ERROR_TYPES.PROOF_INVALID);
+    }
+
+    // The UsernameText regex only misses when the embed has no public post.
+    // Only the signed context counts; `extractedParameterValues` can be edited
+    const { username } = readZkFetchProof(proof);
+    if (!username) {
+      throw new ZkFetchError(ZKFETCH_ERROR_TYPES.NOT_FOUND);
+    }
+
+    return { proof, username, cachedAt };
+  } catch (error) {
+    // withRetry has already classified zkFetch errors; this covers verifyProof
+    throw error instanceof ZkFetchError ? error : classifyZkFetchError(error);
+  }
+};
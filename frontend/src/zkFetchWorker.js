@@ -0,0 +1,37 @@
+/*
+ * zkFetch prover, run in a Web Worker (see worker-threads-entry.js)
+ *
+ * Started by proveInBrowser in zkFetch.js with `new Worker('src/zkFetchWorker.js', { workerData })`.
+ * It runs the whole zkFetch call - TLS session, witness and proof - off the
+ * page's thread and posts back `{ proof }` or `{ error }` through `parentPort`.
+ */
+
+import { parentPort, workerData } from "worker_threads";
+
+/**
+ * Runs zkFetch with the arguments the page sent
+ *
+ * @param {Object} data - `workerData` from the page
+ * @param {string} data.appId - Reclaim app ID
+ * @param {string} data.token - Session signature scoped to `data.url`
+ * @param {string} data.url - Canonical embed URL returned by the backend
+ * @param {Object} data.publicOptions - Argument 2 of `zkFetch`
+ * @param {Object} data.privateOptions - Argument 3 of `zkFetch`
+ */
+const prove = async ({ appId, token, url, publicOptions, privateOptions }) => {
+  // The page sets these in polyfill.js; a worker has no `window` to read them from
+  globalThis.global = globalThis.global ?? globalThis;
+
+  // Loaded after the globals above, which zk-fetch reads while it loads
+  const { ReclaimClient } = await import("@reclaimprotocol/zk-fetch");
+  const reclaim = new ReclaimClient(appId, token);
+  return reclaim.zkFetch(url, publicOptions, privateOptions);
+};
+
+if (parentPort) {
+  prove(workerData).then(
+    (proof) => parentPort.postMessage({ proof }),
+    // Only the message and stack survive the copy to the page
+    (error) => parentPort.postMessage({ error: { message: error?.message || String(error), stack: error?.stack } })
+  );
+}
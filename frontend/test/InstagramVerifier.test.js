@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const MEDIA_CODE = "C8xYz12AbCd";
+const USERNAME = "natgeo";
+
+/**
+ * Builds a proof in the shape `transformForOnchain` returns, signed the
+ * way Reclaim attestors sign claims
+ */
+const buildProof = async ({
+  attestor,
+  contextAddress,
+  url = `https://www.instagram.com/p/${MEDIA_CODE}/embed/`,
+  username = USERNAME,
+  timestampS = 1700000000,
+}) => {
+  const claimInfo = {
+    provider: "http",
+    parameters: JSON.stringify({ method: "GET", url, responseMatches: [{ type: "regex", value: "UsernameText" }] }),
+    context: JSON.stringify({
+      contextAddress: contextAddress.toLowerCase(),
+      contextMessage: "instagram_verification",
+      extractedParameters: { username },
+    }),
+  };
+  const identifier = ethers.solidityPackedKeccak256(
+    ["string", "string", "string", "string", "string"],
+    [claimInfo.provider, "\n", claimInfo.parameters, "\n", claimInfo.context]
+  );
+  const claim = { identifier, owner: attestor.address, timestampS, epoch: 1 };
+  const message = [identifier, claim.owner.toLowerCase(), timestampS, claim.epoch].join("\n");
+
+  return { claimInfo, signedClaim: { claim, signatures: [await attestor.signMessage(message)] } };
+};
+
+describe("InstagramVerifier", () => {
+  const deployFixture = async () => {
+    const [admin, user, other] = await ethers.getSigners();
+    const attestor = ethers.Wallet.createRandom();
+    const verifier = await ethers.deployContract("InstagramVerifier", [[attestor.address]]);
+    return { verifier, attestor, admin, user, other };
+  };
+
+  it("records (address, mediaCode, username) for a valid proof", async () => {
+    const { verifier, attestor, user } = await loadFixture(deployFixture);
+    const proof = await buildProof({ attestor, contextAddress: user.address });
+
+    await expect(verifier.connect(user).submitProof(proof, MEDIA_CODE, USERNAME))
+      .to.emit(verifier, "OwnershipVerified")
+      .withArgs(user.address, MEDIA_CODE, USERNAME, proof.signedClaim.claim.identifier);
+
+    const ownership = await verifier.getOwnership(MEDIA_CODE);
+    expect(ownership.account).to.equal(user.address);
+    expect(ownership.username).to.equal(USERNAME);
+  });
+
+  it("accepts reel embed URLs", async () => {
+    const { verifier, attestor, user } = await loadFixture(deployFixture);
+    const proof = await buildProof({
+      attestor,
+      contextAddress: user.address,
+      url: `https://www.instagram.com/reel/${MEDIA_CODE}/embed/`,
+    });
+
+    await expect(verifier.connect(user).submitProof(proof, MEDIA_CODE, USERNAME)).to.emit(verifier, "OwnershipVerified");
+  });
+
+  it("rejects proofs bound to another wallet", async () => {
+    const { verifier, attestor, user, other } = await loadFixture(deployFixture);
+    const proof = await buildProof({ attestor, contextAddress: user.address });
+
+    await expect(verifier.connect(other).submitProof(proof, MEDIA_CODE, USERNAME))
+      .to.be.revertedWithCustomError(verifier, "ContextAddressMismatch");
+  });
+
+  it("rejects a media code or username the proof does not contain", async () => {
+    const { verifier, attestor, user } = await loadFixture(deployFixture);
+    const proof = await buildProof({ attestor, contextAddress: user.address });
+
+    await expect(verifier.connect(user).submitProof(proof, "OtherCode12", USERNAME))
+      .to.be.revertedWithCustomError(verifier, "MediaCodeMismatch");
+    await expect(verifier.connect(user).submitProof(proof, MEDIA_CODE, "someoneelse"))
+      .to.be.revertedWithCustomError(verifier, "UsernameMismatch");
+  });
+
+  it("rejects signatures from untrusted attestors", async () => {
+    const { verifier, user } = await loadFixture(deployFixture);
+    const impostor = ethers.Wallet.createRandom();
+    const proof = await buildProof({ attestor: impostor, contextAddress: user.address });
+
+    await expect(verifier.connect(user).submitProof(proof, MEDIA_CODE, USERNAME))
+      .to.be.revertedWithCustomError(verifier, "UntrustedAttestor")
+      .withArgs(impostor.address);
+  });
+
+  it("rejects claim info that does not match the signed identifier", async () => {
+    const { verifier, attestor, user } = await loadFixture(deployFixture);
+    const proof = await buildProof({ attestor, contextAddress: user.address });
+    proof.claimInfo.context = proof.claimInfo.context.replace(USERNAME, "someoneelse");
+
+    await expect(verifier.connect(user).submitProof(proof, MEDIA_CODE, "someoneelse"))
+      .to.be.revertedWithCustomError(verifier, "IdentifierMismatch");
+  });
+
+  it("rejects a claim that was already used", async () => {
+    const { verifier, attestor, user } = await loadFixture(deployFixture);
+    const proof = await buildProof({ attestor, contextAddress: user.address });
+
+    await verifier.connect(user).submitProof(proof, MEDIA_CODE, USERNAME);
+    await expect(verifier.connect(user).submitProof(proof, MEDIA_CODE, USERNAME))
+      .to.be.revertedWithCustomError(verifier, "ClaimAlreadyUsed");
+  });
+
+  it("only lets the admin change attestors", async () => {
+    const { verifier, user } = await loadFixture(deployFixture);
+
+    await expect(verifier.connect(user).setAttestor(user.address, true))
+      .to.be.revertedWithCustomError(verifier, "NotAdmin");
+    await expect(verifier.setAttestor(user.address, true))
+      .to.emit(verifier, "AttestorUpdated")
+      .withArgs(user.address, true);
+  });
+});
@@ -0,0 +1,52 @@
+// Web Worker entry for the worker_threads polyfill
+//
+// Waits for the page to send `filename` and `workerData`, sets `workerData`
+// on the polyfill, then loads the module registered for that filename. The
+// module runs as if Node had started it in a worker thread.
+
+import { CONTROL_KEYS, setWorkerData } from './worker-threads-polyfill';
+
+/**
+ * Modules a worker can run, matched against the filename given to `new Worker`
+ *
+ * Modules are loaded with a dynamic import, so they are bundled into the
+ * worker's chunks only and never run on the page's thread.
+ */
+const WORKER_SCRIPTS = [
+  {
+    // In-browser zkFetch proving (see src/zkFetch.js)
+    test: (filename) => /(^|\/)zkFetchWorker\.js$/.test(filename),
+    load: () => import('./src/zkFetchWorker'),
+  },
+];
+
+/** Reports an error that ends the worker, like an uncaught exception in Node */
+const reportError = (error) => {
+  self.postMessage({
+    [CONTROL_KEYS.ERROR]: { message: error?.message || String(error), stack: error?.stack },
+  });
+};
+
+const onInit = async (event) => {
+  const init = event.data?.[CONTROL_KEYS.INIT];
+  if (!init) return;
+  self.removeEventListener('message', onInit);
+
+  setWorkerData(init.workerData);
+  self.postMessage({ [CONTROL_KEYS.ONLINE]: true });
+
+  const script = WORKER_SCRIPTS.find(({ test }) => test(init.filename.replace(/^file:\/\//, '')));
+  if (!script) {
+    reportError(new Error(`No worker script registered for ${init.filename} (see worker-threads-entry.js)`));
+    return;
+  }
+
+  try {
+    await script.load();
+  } catch (error) {
+    reportError(error);
+  }
+};
+
+self.addEventListener('message', onInit);
+self.addEventListener('unhandledrejection', (event) => reportError(event.reason));
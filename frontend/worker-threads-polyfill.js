@@ -1,28 +1,32 @@
-// Comprehensive worker_threads polyfill for browser environment
-// This polyfill provides a browser-compatible implementation using Web Workers
+// worker_threads polyfill for the browser, backed by real Web Workers
+//
+// `new Worker(filename, { workerData, transferList })` starts a Web Worker
+// running worker-threads-entry.js. The entry receives `filename` and
+// `workerData`, then loads the matching module, which sees
+// `isMainThread === false` and talks to the page through `parentPort`.
+// Proving in such a module therefore runs off the main thread.
+//
+// A browser cannot load a module by file path, so the modules a worker can
+// run are listed in worker-threads-entry.js (WORKER_SCRIPTS).
 
-class MessageChannel {
-  constructor() {
-    this.port1 = new MessagePort();
-    this.port2 = new MessagePort();
-    this.port1._otherPort = this.port2;
-    this.port2._otherPort = this.port1;
-  }
-}
+/** Keys of the messages the polyfill itself exchanges with the entry */
+export const CONTROL_KEYS = {
+  /** Page -> worker: `{ filename, workerData }` */
+  INIT: '__workerThreadsInit',
+  /** Worker -> page: the entry started */
+  ONLINE: '__workerThreadsOnline',
+  /** Worker -> page: `{ message, stack }` of an error that ended the worker */
+  ERROR: '__workerThreadsError',
+};
 
-class MessagePort {
+/** True for the polyfill's own messages, which are never passed on */
+export const isControlMessage = (data) =>
+  data !== null && typeof data === 'object' && Object.values(CONTROL_KEYS).some((key) => key in data);
+
+/** Node's EventEmitter subset that worker_threads users rely on */
+class Emitter {
   constructor() {
     this._listeners = new Map();
-    this._otherPort = null;
-  }
-
-  postMessage(data) {
-    if (this._otherPort) {
-      setTimeout(() => {
-        const listeners = this._otherPort._listeners.get('message') || [];
-        listeners.forEach(listener => listener({ data }));
-      }, 0);
-    }
   }
 
   on(event, listener) {
@@ -30,6 +34,7 @@ class MessagePort {
       this._listeners.set(event, []);
     }
     this._listeners.get(event).push(listener);
+    return this;
   }
 
   once(event, listener) {
@@ -37,7 +42,7 @@ class MessagePort {
       this.off(event, onceWrapper);
       listener(...args);
     };
-    this.on(event, onceWrapper);
+    return this.on(event, onceWrapper);
   }
 
   off(event, listener) {
@@ -48,96 +53,126 @@ class MessagePort {
         listeners.splice(index, 1);
       }
     }
+    return this;
   }
 
-  addEventListener(event, listener) {
-    this.on(event, listener);
+  addListener(event, listener) {
+    return this.on(event, listener);
   }
 
-  removeEventListener(event, listener) {
-    this.off(event, listener);
+  removeListener(event, listener) {
+    return this.off(event, listener);
   }
 
-  close() {
-    this._listeners.clear();
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  listenerCount(event) {
+    return (this._listeners.get(event) || []).length;
+  }
+
+  _emit(event, ...args) {
+    // Copy, since once() listeners remove themselves while being called
+    const listeners = [...(this._listeners.get(event) || [])];
+    listeners.forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error('Error in worker listener:', error);
+      }
+    });
+    return listeners.length > 0;
   }
 }
 
-class BrowserWorker {
+/** Rebuilds an error the worker sent back as `{ message, stack }` */
+const toError = ({ message, stack }) => {
+  const error = new Error(message);
+  if (stack) error.stack = stack;
+  return error;
+};
+
+let lastThreadId = 0;
+
+class BrowserWorker extends Emitter {
+  /**
+   * @param {string|URL} filename - Module to run; must be listed in WORKER_SCRIPTS
+   * @param {Object} [options]
+   * @param {*} [options.workerData] - Cloned into the worker as `workerData`
+   * @param {Array} [options.transferList] - Objects in workerData to transfer instead of copy
+   */
   constructor(filename, options = {}) {
-    this.filename = filename;
-    this.options = options;
-    this._listeners = new Map();
+    super();
+    this.threadId = ++lastThreadId;
     this._terminated = false;
-    
-    // Store workerData for later use
-    this._workerData = options.workerData;
-    
-    // Create a message channel for communication
-    const channel = new MessageChannel();
-    this.port = channel.port1;
-    this._workerPort = channel.port2;
-    
-    // Simulate worker initialization
-    setTimeout(() => {
-      if (!this._terminated) {
-        this._emit('online');
-        this._emit('message', { type: 'online' });
-      }
-    }, 0);
-  }
 
-  postMessage(data) {
-    if (!this._terminated) {
-      // Simulate message handling
-      setTimeout(() => {
-        if (!this._terminated) {
-          this._workerPort._emit('message', data);
-        }
-      }, 0);
-    }
+    // Literal `new Worker(new URL(...))` so webpack bundles the entry as a worker chunk
+    this._worker = new Worker(new URL('./worker-threads-entry.js', import.meta.url));
+
+    this._worker.addEventListener('message', (event) => this._onMessage(event.data));
+    this._worker.addEventListener('messageerror', (event) => this._emit('messageerror', event));
+    this._worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this._fail(new Error(event.message || 'Worker failed to start'));
+    });
+
+    this._worker.postMessage(
+      {
+        [CONTROL_KEYS.INIT]: {
+          filename: String(filename),
+          workerData: options.workerData,
+        },
+      },
+      options.transferList || []
+    );
   }
 
-  on(event, listener) {
-    if (!this._listeners.has(event)) {
-      this._listeners.set(event, []);
+  _onMessage(data) {
+    if (!isControlMessage(data)) {
+      this._emit('message', data);
+    } else if (data[CONTROL_KEYS.ONLINE]) {
+      this._emit('online');
+    } else if (data[CONTROL_KEYS.ERROR]) {
+      this._fail(toError(data[CONTROL_KEYS.ERROR]));
     }
-    this._listeners.get(event).push(listener);
   }
 
-  once(event, listener) {
-    const onceWrapper = (...args) => {
-      this.off(event, onceWrapper);
-      listener(...args);
-    };
-    this.on(event, onceWrapper);
+  /** Like an uncaught exception in a Node worker: 'error', then 'exit' with code 1 */
+  _fail(error) {
+    if (this._terminated) return;
+    this._emit('error', error);
+    this._exit(1);
   }
 
-  off(event, listener) {
-    const listeners = this._listeners.get(event);
-    if (listeners) {
-      const index = listeners.indexOf(listener);
-      if (index > -1) {
-        listeners.splice(index, 1);
-      }
-    }
+  _exit(code) {
+    this._terminated = true;
+    this._worker.terminate();
+    this._emit('exit', code);
+    this._listeners.clear();
   }
 
-  _emit(event, ...args) {
-    const listeners = this._listeners.get(event) || [];
-    listeners.forEach(listener => {
-      try {
-        listener(...args);
-      } catch (error) {
-        console.error('Error in worker listener:', error);
-      }
-    });
+  /**
+   * @param {*} data - Structured-cloneable value
+   * @param {Array} [transferList] - ArrayBuffers, MessagePorts etc. to transfer
+   */
+  postMessage(data, transferList = []) {
+    if (!this._terminated) {
+      this._worker.postMessage(data, transferList);
+    }
   }
 
+  /** Stops the worker right away; resolves with the exit code like Node */
   terminate() {
-    this._terminated = true;
-    this._listeners.clear();
-    return Promise.resolve();
+    if (!this._terminated) {
+      this._exit(1);
+    }
+    return Promise.resolve(1);
   }
 
   ref() {
@@ -149,44 +184,126 @@ class BrowserWorker {
   }
 }
 
-// Global state for the polyfill
-const globalWorkerState = {
-  isMainThread: true,
-  workerData: undefined,
-  parentPort: null,
-  threadId: 0,
-  resourceLimits: {},
-};
+/**
+ * `parentPort` inside a worker, wrapping the worker global scope
+ * Messages that arrive before the first 'message' listener are queued, as
+ * Node does, since the module is loaded after the page starts posting
+ */
+class ParentPort extends Emitter {
+  constructor(scope) {
+    super();
+    this._scope = scope;
+    this._queue = [];
+    this._flushScheduled = false;
+
+    scope.addEventListener('message', (event) => {
+      if (isControlMessage(event.data)) return;
+      // Keep queueing until the queue is delivered, so messages stay in order
+      if (this.listenerCount('message') === 0 || this._flushScheduled) {
+        this._queue.push(event.data);
+      } else {
+        this._emit('message', event.data);
+      }
+    });
+  }
+
+  on(event, listener) {
+    super.on(event, listener);
+    if (event === 'message' && this._queue.length > 0 && !this._flushScheduled) {
+      this._flushScheduled = true;
+      // Delivered asynchronously, like any other message
+      setTimeout(() => {
+        const queued = this._queue;
+        this._queue = [];
+        this._flushScheduled = false;
+        queued.forEach((data) => this._emit('message', data));
+      }, 0);
+    }
+    return this;
+  }
+
+  addEventListener(event, listener) {
+    return this.on(event, (data) => listener({ data }));
+  }
+
+  postMessage(data, transferList = []) {
+    this._scope.postMessage(data, transferList);
+  }
+
+  close() {
+    this._scope.close();
+  }
+
+  ref() {}
+
+  unref() {}
+
+  start() {}
+}
+
+// In-process MessageChannel for code that only passes messages around on
+// one thread; ports are not transferable to a worker
 
-// If we're being loaded as a worker (which shouldn't happen in browser)
-// provide minimal compatibility
-if (typeof self !== 'undefined' && typeof window === 'undefined') {
-  globalWorkerState.isMainThread = false;
-  globalWorkerState.parentPort = {
-    on: () => {},
-    once: () => {},
-    off: () => {},
-    postMessage: () => {},
-  };
+class MessageChannel {
+  constructor() {
+    this.port1 = new MessagePort();
+    this.port2 = new MessagePort();
+    this.port1._otherPort = this.port2;
+    this.port2._otherPort = this.port1;
+  }
+}
+
+class MessagePort extends Emitter {
+  constructor() {
+    super();
+    this._otherPort = null;
+  }
+
+  postMessage(data) {
+    if (this._otherPort) {
+      setTimeout(() => this._otherPort._emit('message', data), 0);
+    }
+  }
+
+  addEventListener(event, listener) {
+    this.on(event, listener);
+  }
+
+  removeEventListener(event, listener) {
+    this.off(event, listener);
+  }
+
+  close() {
+    this._listeners.clear();
+  }
+
+  start() {}
 }
 
-module.exports = {
-  Worker: BrowserWorker,
-  isMainThread: globalWorkerState.isMainThread,
-  parentPort: globalWorkerState.parentPort,
-  workerData: globalWorkerState.workerData,
-  threadId: globalWorkerState.threadId,
-  resourceLimits: globalWorkerState.resourceLimits,
-  MessageChannel,
-  MessagePort,
-  
-  // Additional exports for compatibility
-  receiveMessageOnPort: () => undefined,
-  moveMessagePortToContext: () => {},
-  SHARE_ENV: Symbol('SHARE_ENV'),
-  
-  // Helper to set workerData (for testing/mocking)
-  setWorkerData: (data) => {
-    globalWorkerState.workerData = data;
-  },
-};
\ No newline at end of file
+/** Worker global scopes have `importScripts`; the page does not */
+const inWorker = typeof self !== 'undefined'
+  && typeof window === 'undefined'
+  && typeof self.importScripts === 'function';
+
+export const isMainThread = !inWorker;
+export const parentPort = inWorker ? new ParentPort(self) : null;
+export const threadId = 0;
+export const resourceLimits = {};
+export const SHARE_ENV = Symbol('SHARE_ENV');
+
+/** Set by worker-threads-entry.js before the worker's module is loaded */
+export let workerData;
+
+/**
+ * Sets `workerData` for the module about to run in this worker
+ *
+ * @param {*} data - `options.workerData` the page created the worker with
+ */
+export const setWorkerData = (data) => {
+  workerData = data;
+};
+
+export const receiveMessageOnPort = () => undefined;
+export const moveMessagePortToContext = () => {};
+
+export { BrowserWorker as Worker, MessageChannel, MessagePort };
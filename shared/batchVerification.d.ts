@@ -0,0 +1,72 @@
+import { ZkFetchErrorType } from './zkFetchErrors';
+
+export const BATCH_STATUSES: {
+  QUEUED: 'queued';
+  SIGNING: 'signing';
+  PROVING: 'proving';
+  VERIFIED: 'verified';
+  FAILED: 'failed';
+  SKIPPED: 'skipped';
+};
+
+export type BatchStatus = (typeof BATCH_STATUSES)[keyof typeof BATCH_STATUSES];
+
+export const BATCH_ERROR_TYPES: {
+  INVALID_URL: 'INVALID_URL';
+  DUPLICATE: 'DUPLICATE';
+  CANCELLED: 'CANCELLED';
+};
+
+export type BatchErrorType = keyof typeof BATCH_ERROR_TYPES;
+
+export const MAX_BATCH_ROWS: number;
+
+export const EXPORT_COLUMNS: string[];
+
+export interface BatchRow {
+  /** 0-based position in the input */
+  id: number;
+  /** Text as entered */
+  input: string;
+  mediaCode: string | null;
+  status: BatchStatus;
+  /** Post owner from the zkFetch proof */
+  username: string | null;
+  /** Whether the owner proof verified; null until known */
+  proofValid: boolean | null;
+  /** When the backend cached the owner proof, if it came from the proof cache */
+  cachedAt: string | null;
+  error: { type: ZkFetchErrorType | BatchErrorType; message: string } | null;
+}
+
+export interface BatchExportRecord {
+  input: string;
+  mediaCode: string | null;
+  status: BatchStatus;
+  username: string | null;
+  proofValid: boolean | null;
+  cachedAt: string | null;
+  errorType: string | null;
+  errorMessage: string | null;
+}
+
+export function parseCsv(text: string): string[][];
+
+export function parseBatchInput(text: string): BatchRow[];
+
+export function runWithConcurrency<T>(
+  items: T[],
+  limit: number,
+  worker: (item: T) => Promise<unknown>,
+  options?: { isCancelled?: () => boolean }
+): Promise<void>;
+
+export function selectFailedRows(rows: BatchRow[]): BatchRow[];
+
+export function summarizeBatch(rows: BatchRow[]): Record<BatchStatus, number>;
+
+export function toExportRecords(rows: BatchRow[]): BatchExportRecord[];
+
+export function toCsv(rows: BatchRow[]): string;
+
+export function toJson(rows: BatchRow[]): string;
@@ -0,0 +1,231 @@
+/*
+ * Batch verification of many post URLs
+ *
+ * Campaign managers check dozens of creator posts at once. This module
+ * holds the parts of the batch screen that do not touch the network:
+ * reading a pasted list or CSV file into rows, running rows with a
+ * bounded number in flight, and exporting the results as CSV or JSON.
+ *
+ * Each row proves its post's owner with zkFetch; the Reclaim step needs
+ * the creator and is not part of a batch.
+ */
+
+const { parseInstagramUrl } = require('./instagramUrl');
+
+const BATCH_STATUSES = {
+  QUEUED: 'queued',
+  SIGNING: 'signing',
+  PROVING: 'proving',
+  VERIFIED: 'verified',
+  FAILED: 'failed',
+  /** Input that cannot be run: not an Instagram post link, or a repeat of an earlier row */
+  SKIPPED: 'skipped'
+};
+
+/** Row error types besides the ZKFETCH_ERROR_TYPES of failed proofs */
+const BATCH_ERROR_TYPES = {
+  /** Skipped: not an Instagram post link */
+  INVALID_URL: 'INVALID_URL',
+  /** Skipped: same post as an earlier row */
+  DUPLICATE: 'DUPLICATE',
+  /** Failed: the batch was stopped before the row finished */
+  CANCELLED: 'CANCELLED'
+};
+
+/** Upper bound on rows per batch, so one paste cannot queue thousands of proofs */
+const MAX_BATCH_ROWS = 200;
+
+/** Columns of the CSV and JSON exports, in order */
+const EXPORT_COLUMNS = ['input', 'mediaCode', 'status', 'username', 'proofValid', 'cachedAt', 'errorType', 'errorMessage'];
+
+/**
+ * Splits CSV text into rows of cells
+ * Handles quoted cells with commas, quotes ("") and line breaks
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows; blank lines are dropped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map((cells) => cells.map((value) => value.trim()))
+    .filter((cells) => cells.some(Boolean));
+};
+
+/**
+ * Reads a pasted list or CSV file into batch rows
+ *
+ * A CSV with a `url` (or `input`, as in our own export) header column is
+ * read from that column; otherwise the first cell of each line is the URL,
+ * so a plain list of links works too. Posts are matched by media code, so the same post linked twice is
+ * only proved once.
+ *
+ * @param {string} text - One URL per line, or CSV text
+ * @returns {Object[]} Rows with `{id, input, mediaCode, status, username, proofValid, cachedAt, error}`;
+ *   rows that cannot be run are SKIPPED with a BATCH_ERROR_TYPES error
+ * @throws {Error} If there are no URLs, or more than MAX_BATCH_ROWS
+ */
+const parseBatchInput = (text) => {
+  const lines = parseCsv(text || '');
+  const urlColumn = lines.length > 0 ? lines[0].findIndex((cell) => ['url', 'input'].includes(cell.toLowerCase())) : -1;
+  const inputs = (urlColumn === -1 ? lines : lines.slice(1))
+    .map((cells) => cells[Math.max(urlColumn, 0)] || '')
+    .filter(Boolean);
+
+  if (inputs.length === 0) {
+    throw new Error('Paste at least one Instagram post URL');
+  }
+  if (inputs.length > MAX_BATCH_ROWS) {
+    throw new Error(`A batch can have at most ${MAX_BATCH_ROWS} URLs, got ${inputs.length}`);
+  }
+
+  const firstRowOf = new Map();
+  return inputs.map((input, id) => {
+    const row = { id, input, mediaCode: null, status: BATCH_STATUSES.QUEUED, username: null, proofValid: null, cachedAt: null, error: null };
+
+    let parsed;
+    try {
+      parsed = parseInstagramUrl(input);
+    } catch (error) {
+      return { ...row, status: BATCH_STATUSES.SKIPPED, error: { type: BATCH_ERROR_TYPES.INVALID_URL, message: error.message } };
+    }
+
+    if (firstRowOf.has(parsed.mediaCode)) {
+      return {
+        ...row,
+        mediaCode: parsed.mediaCode,
+        status: BATCH_STATUSES.SKIPPED,
+        error: { type: BATCH_ERROR_TYPES.DUPLICATE, message: `Same post as row ${firstRowOf.get(parsed.mediaCode) + 1}` }
+      };
+    }
+    firstRowOf.set(parsed.mediaCode, id);
+    return { ...row, mediaCode: parsed.mediaCode };
+  });
+};
+
+/**
+ * Runs `worker` on every item with at most `limit` running at once
+ * Items start in order; one failing does not stop the others
+ *
+ * @param {Array} items - Items to run
+ * @param {number} limit - Most workers in flight at a time
+ * @param {Function} worker - Async function called with each item
+ * @param {Object} [options]
+ * @param {Function} [options.isCancelled] - No new items start once it returns true
+ * @returns {Promise<void>} Resolves when every started worker has settled
+ */
+const runWithConcurrency = async (items, limit, worker, { isCancelled = () => false } = {}) => {
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !isCancelled()) {
+      const item = items[next];
+      next += 1;
+      try {
+        await worker(item);
+      } catch (error) {
+        // Workers report their own failures; keep the lane going
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane));
+};
+
+/**
+ * Rows a "re-run failed" pass should run again
+ * Skipped rows are left out, since their input would fail the same way
+ */
+const selectFailedRows = (rows) => rows.filter(({ status }) => status === BATCH_STATUSES.FAILED);
+
+/** Row counts per status, e.g. `{verified: 3, failed: 1, ...}` */
+const summarizeBatch = (rows) => Object.fromEntries(
+  Object.values(BATCH_STATUSES).map((status) => [status, rows.filter((row) => row.status === status).length])
+);
+
+/** One export record per row, with the EXPORT_COLUMNS fields */
+const toExportRecords = (rows) => rows.map((row) => ({
+  input: row.input,
+  mediaCode: row.mediaCode,
+  status: row.status,
+  username: row.username,
+  proofValid: row.proofValid,
+  cachedAt: row.cachedAt ?? null,
+  errorType: row.error?.type ?? null,
+  errorMessage: row.error?.message ?? null
+}));
+
+/**
+ * Quotes a CSV cell when needed
+ * Cells that a spreadsheet would run as a formula get a leading quote
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Object[]} rows - Batch rows
+ * @returns {string} CSV with a header line and one line per row
+ */
+const toCsv = (rows) => [
+  EXPORT_COLUMNS.join(','),
+  ...toExportRecords(rows).map((record) => EXPORT_COLUMNS.map((column) => toCsvCell(record[column])).join(','))
+].join('\r\n');
+
+/**
+ * @param {Object[]} rows - Batch rows
+ * @returns {string} Pretty-printed JSON array of export records
+ */
+const toJson = (rows) => JSON.stringify(toExportRecords(rows), null, 2);
+
+module.exports = {
+  BATCH_STATUSES,
+  BATCH_ERROR_TYPES,
+  MAX_BATCH_ROWS,
+  EXPORT_COLUMNS,
+  parseCsv,
+  parseBatchInput,
+  runWithConcurrency,
+  selectFailedRows,
+  summarizeBatch,
+  toExportRecords,
+  toCsv,
+  toJson
+};
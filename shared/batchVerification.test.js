@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseBatchInput,
+  parseCsv,
+  runWithConcurrency,
+  selectFailedRows,
+  summarizeBatch,
+  toCsv,
+  toJson
+} = require('./batchVerification');
+
+test('splits CSV with quoted commas, quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n\r\n"multi\nline",x\n'), [
+    ['a', 'b, c', 'say "hi"'],
+    ['multi\nline', 'x']
+  ]);
+});
+
+test('reads a pasted list of URLs', () => {
+  const rows = parseBatchInput(`
+    https://www.instagram.com/p/C8xYz12AbCd/
+    instagram.com/reel/C9aBcDeFgHi/?igsh=abc
+  `);
+
+  assert.deepEqual(rows.map(({ mediaCode, status }) => [mediaCode, status]), [
+    ['C8xYz12AbCd', 'queued'],
+    ['C9aBcDeFgHi', 'queued']
+  ]);
+});
+
+test('reads the url column of a CSV and skips bad and repeated rows', () => {
+  const rows = parseBatchInput([
+    'creator,url,fee',
+    'natgeo,https://www.instagram.com/p/C8xYz12AbCd/,100',
+    'nasa,https://example.com/p/C8xYz12AbCd/,50',
+    'natgeo,https://instagram.com/p/C8xYz12AbCd/?igsh=1,100'
+  ].join('\n'));
+
+  assert.deepEqual(rows.map(({ status }) => status), ['queued', 'skipped', 'skipped']);
+  assert.equal(rows[1].error.type, 'INVALID_URL');
+  assert.deepEqual(rows[2].error, { type: 'DUPLICATE', message: 'Same post as row 1' });
+});
+
+test('rejects empty and oversized batches', () => {
+  assert.throws(() => parseBatchInput(' \n '), /at least one/);
+  assert.throws(
+    () => parseBatchInput(Array.from({ length: 201 }, (_, i) => `https://instagram.com/p/CODE${String(i).padStart(7, '0')}/`).join('\n')),
+    /at most 200/
+  );
+});
+
+test('keeps at most `limit` workers in flight and survives failures', async () => {
+  let running = 0;
+  let peak = 0;
+  const done = [];
+
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running -= 1;
+    if (item === 2) throw new Error('boom');
+    done.push(item);
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(done.sort(), [1, 3, 4, 5]);
+});
+
+test('starts no new items once cancelled', async () => {
+  const started = [];
+  await runWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+    started.push(item);
+  }, { isCancelled: () => started.length >= 2 });
+
+  assert.deepEqual(started, [1, 2]);
+});
+
+test('exports results and picks failed rows for a re-run', () => {
+  const rows = parseBatchInput('https://instagram.com/p/C8xYz12AbCd/\n=cmd|calc\nhttps://instagram.com/p/C9aBcDeFgHi/');
+  rows[0] = { ...rows[0], status: 'verified', username: 'natgeo', proofValid: true, cachedAt: '2024-06-10T12:00:00.000Z' };
+  rows[2] = { ...rows[2], status: 'failed', error: { type: 'NOT_FOUND', message: 'The post was not found, or is private' } };
+
+  assert.deepEqual(selectFailedRows(rows).map(({ id }) => id), [2]);
+  assert.deepEqual(summarizeBatch(rows), { queued: 0, signing: 0, proving: 0, verified: 1, failed: 1, skipped: 1 });
+
+  const csv = toCsv(rows).split('\r\n');
+  assert.equal(csv[0], 'input,mediaCode,status,username,proofValid,cachedAt,errorType,errorMessage');
+  assert.equal(csv[1], 'https://instagram.com/p/C8xYz12AbCd/,C8xYz12AbCd,verified,natgeo,true,2024-06-10T12:00:00.000Z,,');
+  assert.ok(csv[2].startsWith("'=cmd|calc,,skipped,,,,INVALID_URL,"));
+  assert.equal(csv[3], 'https://instagram.com/p/C9aBcDeFgHi/,C9aBcDeFgHi,failed,,,,NOT_FOUND,"The post was not found, or is private"');
+
+  assert.equal(JSON.parse(toJson(rows))[0].username, 'natgeo');
+
+  // An export can be loaded again as the next batch
+  const reloaded = parseBatchInput(toCsv(rows)).filter(({ status }) => status === 'queued');
+  assert.deepEqual(reloaded.map(({ input }) => input), [rows[0].input, rows[2].input]);
+});
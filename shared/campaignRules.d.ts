@@ -0,0 +1,45 @@
+export const RULE_TYPES: {
+  CAPTION_CONTAINS: 'captionContains';
+  CAPTION_MATCHES: 'captionMatches';
+  CREATED_WITHIN: 'createdWithin';
+  MIN_LIKES: 'minLikes';
+  MIN_COMMENTS: 'minComments';
+  OWNER_USERNAME: 'ownerUsername';
+};
+
+export type CampaignRule =
+  | { type: 'captionContains'; value: string }
+  | { type: 'captionMatches'; pattern: string; flags: string }
+  | { type: 'createdWithin'; after: string | null; before: string | null }
+  | { type: 'minLikes'; value: number }
+  | { type: 'minComments'; value: number }
+  | { type: 'ownerUsername'; value: string };
+
+/** A rule with the outcome of checking it */
+export type RuleOutcome = CampaignRule & {
+  passed: boolean;
+  /** Proven value the rule was checked against, null if the proof lacks it */
+  actual: string | number | null;
+  message: string;
+};
+
+export interface RulesEvaluation {
+  passed: boolean;
+  rules: RuleOutcome[];
+}
+
+export interface CampaignRuleProblem {
+  /** 0-based rule index, null for problems with the list itself */
+  rule: number | null;
+  message: string;
+}
+
+export class CampaignRuleError extends Error {
+  code: 'CAMPAIGN_RULES_INVALID';
+  errors: CampaignRuleProblem[];
+  constructor(errors: CampaignRuleProblem[]);
+}
+
+export function parseCampaignRules(rules: unknown): CampaignRule[];
+
+export function evaluateRules(rules: CampaignRule[], result: Record<string, any> | null): RulesEvaluation;
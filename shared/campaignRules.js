@@ -0,0 +1,238 @@
+/*
+ * Campaign rules
+ *
+ * Brand deals pay creators for posts that meet a campaign's terms. A
+ * campaign lists declarative rules, and each verified result is checked
+ * against every rule, so nobody has to read captions and counts by hand.
+ *
+ * Rules (one object per rule, checked in order):
+ * - `{type: 'captionContains', value}`: the caption contains `value`,
+ *   ignoring case. A `#hashtag` or `@mention` must appear as a whole tag,
+ *   so `#ad` does not match `#adidas`
+ * - `{type: 'captionMatches', pattern, flags?}`: the caption matches a
+ *   regular expression (`flags` from `imsu`)
+ * - `{type: 'createdWithin', after?, before?}`: the post was created in
+ *   this window (ISO dates, at least one bound)
+ * - `{type: 'minLikes', value}` / `{type: 'minComments', value}`: the
+ *   proven count is at least `value`
+ * - `{type: 'ownerUsername', value}`: the proven owner is this account
+ *
+ * Rules read the verified result of the claim (see shared/providers.js).
+ * A field the claim does not prove fails the rule.
+ */
+
+const { USERNAME_PATTERN } = require('./instagramUrl');
+
+const RULE_TYPES = {
+  CAPTION_CONTAINS: 'captionContains',
+  CAPTION_MATCHES: 'captionMatches',
+  CREATED_WITHIN: 'createdWithin',
+  MIN_LIKES: 'minLikes',
+  MIN_COMMENTS: 'minComments',
+  OWNER_USERNAME: 'ownerUsername'
+};
+
+/** Limits that keep stored campaigns and their regexes small */
+const MAX_RULES = 50;
+const MAX_PATTERN_LENGTH = 200;
+const REGEX_FLAGS = /^(?!.*(.).*\1)[imsu]*$/;
+
+/**
+ * Error for campaign rules that cannot be parsed
+ * `errors` holds `{rule, message}` per problem (`rule` is 0-based, null for the list itself)
+ */
+class CampaignRuleError extends Error {
+  constructor(errors) {
+    super(`The campaign rules are invalid: ${errors
+      .map(({ rule, message }) => (rule === null ? message : `rule ${rule + 1}: ${message}`))
+      .join('; ')}`);
+    this.name = 'CampaignRuleError';
+    this.code = 'CAMPAIGN_RULES_INVALID';
+    this.errors = errors;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Reads a proven timestamp: a date string, or unix seconds or milliseconds
+ *
+ * @returns {number|null} Milliseconds since the epoch, or null if unreadable
+ */
+const toTime = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (typeof value === 'string') {
+    if (/^\d+$/.test(value)) return toTime(Number(value));
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+};
+
+/** Builds the matcher of a `captionContains` value */
+const containsMatcher = (value) => {
+  if (/^[#@]/.test(value)) {
+    // A tag ends where the next character could not continue it
+    const tail = value.startsWith('@') ? '(?![\\p{L}\\p{N}_]|\\.[\\p{L}\\p{N}_])' : '(?![\\p{L}\\p{N}_])';
+    const tag = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(value)}${tail}`, 'iu');
+    return (caption) => tag.test(caption);
+  }
+  const needle = value.toLowerCase();
+  return (caption) => caption.toLowerCase().includes(needle);
+};
+
+/**
+ * Checks one rule and returns it in normalized form
+ * Each parser returns an error message string instead of the rule when invalid
+ */
+const RULE_PARSERS = {
+  [RULE_TYPES.CAPTION_CONTAINS]: ({ value }) => {
+    if (!isNonEmptyString(value)) return '`value` must be a non-empty string';
+    return { value: value.trim() };
+  },
+  [RULE_TYPES.CAPTION_MATCHES]: ({ pattern, flags = '' }) => {
+    if (!isNonEmptyString(pattern)) return '`pattern` must be a non-empty string';
+    if (pattern.length > MAX_PATTERN_LENGTH) return `\`pattern\` must be at most ${MAX_PATTERN_LENGTH} characters`;
+    if (typeof flags !== 'string' || !REGEX_FLAGS.test(flags)) return '`flags` may only contain i, m, s and u';
+    try {
+      new RegExp(pattern, flags);
+    } catch (error) {
+      return `\`pattern\` is not a valid regular expression (${error.message})`;
+    }
+    return { pattern, flags };
+  },
+  [RULE_TYPES.CREATED_WITHIN]: ({ after = null, before = null }) => {
+    if (after === null && before === null) return 'set `after`, `before` or both';
+    const bounds = { after, before };
+    for (const [name, value] of Object.entries(bounds)) {
+      if (value !== null && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+        return `\`${name}\` must be an ISO date`;
+      }
+    }
+    if (after !== null && before !== null && Date.parse(after) >= Date.parse(before)) {
+      return '`after` must be earlier than `before`';
+    }
+    return {
+      after: after === null ? null : new Date(after).toISOString(),
+      before: before === null ? null : new Date(before).toISOString()
+    };
+  },
+  [RULE_TYPES.MIN_LIKES]: ({ value }) => {
+    if (!Number.isInteger(value) || value < 0) return '`value` must be a non-negative integer';
+    return { value };
+  },
+  [RULE_TYPES.MIN_COMMENTS]: ({ value }) => {
+    if (!Number.isInteger(value) || value < 0) return '`value` must be a non-negative integer';
+    return { value };
+  },
+  [RULE_TYPES.OWNER_USERNAME]: ({ value }) => {
+    const username = typeof value === 'string' ? value.trim().replace(/^@/, '') : '';
+    if (!USERNAME_PATTERN.test(username)) return '`value` must be an Instagram username';
+    return { value: username.toLowerCase() };
+  }
+};
+
+/**
+ * Validates and normalizes a campaign's rules
+ *
+ * @param {Array} rules - Rule objects as sent by the caller
+ * @returns {Array} Normalized rules (trimmed values, ISO dates, lowercase usernames)
+ * @throws {CampaignRuleError} Listing every invalid rule
+ */
+const parseCampaignRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new CampaignRuleError([{ rule: null, message: 'expected a non-empty array of rules' }]);
+  }
+  if (rules.length > MAX_RULES) {
+    throw new CampaignRuleError([{ rule: null, message: `a campaign can have at most ${MAX_RULES} rules` }]);
+  }
+
+  const errors = [];
+  const parsed = rules.map((rule, index) => {
+    if (!isObject(rule) || !Object.prototype.hasOwnProperty.call(RULE_PARSERS, rule.type)) {
+      errors.push({ rule: index, message: `\`type\` must be one of ${Object.values(RULE_TYPES).join(', ')}` });
+      return null;
+    }
+    const result = RULE_PARSERS[rule.type](rule);
+    if (typeof result === 'string') {
+      errors.push({ rule: index, message: result });
+      return null;
+    }
+    return { type: rule.type, ...result };
+  });
+
+  if (errors.length > 0) {
+    throw new CampaignRuleError(errors);
+  }
+  return parsed;
+};
+
+/**
+ * Checks one normalized rule against a verified result
+ * Each check returns `{passed, actual, message}`
+ */
+const RULE_CHECKS = {
+  [RULE_TYPES.CAPTION_CONTAINS]: ({ value }, { caption }) => {
+    if (typeof caption !== 'string') return { passed: false, actual: null, message: 'The proof has no caption' };
+    const passed = containsMatcher(value)(caption);
+    return { passed, actual: caption, message: `Caption ${passed ? 'contains' : 'does not contain'} "${value}"` };
+  },
+  [RULE_TYPES.CAPTION_MATCHES]: ({ pattern, flags }, { caption }) => {
+    if (typeof caption !== 'string') return { passed: false, actual: null, message: 'The proof has no caption' };
+    const passed = new RegExp(pattern, flags).test(caption);
+    return { passed, actual: caption, message: `Caption ${passed ? 'matches' : 'does not match'} /${pattern}/${flags}` };
+  },
+  [RULE_TYPES.CREATED_WITHIN]: ({ after, before }, { createdAt }) => {
+    const time = toTime(createdAt);
+    if (time === null) return { passed: false, actual: null, message: 'The proof has no creation date' };
+
+    const actual = new Date(time).toISOString();
+    if (after !== null && time < Date.parse(after)) {
+      return { passed: false, actual, message: `Created ${actual}, before ${after}` };
+    }
+    if (before !== null && time > Date.parse(before)) {
+      return { passed: false, actual, message: `Created ${actual}, after ${before}` };
+    }
+    return { passed: true, actual, message: `Created ${actual}, within the campaign window` };
+  },
+  [RULE_TYPES.MIN_LIKES]: ({ value }, { likes }) => {
+    if (typeof likes !== 'number') return { passed: false, actual: null, message: 'The proof has no like count' };
+    const passed = likes >= value;
+    return { passed, actual: likes, message: `${likes} likes, ${passed ? 'at least' : 'fewer than'} ${value}` };
+  },
+  [RULE_TYPES.MIN_COMMENTS]: ({ value }, { comments }) => {
+    if (typeof comments !== 'number') return { passed: false, actual: null, message: 'The proof has no comment count' };
+    const passed = comments >= value;
+    return { passed, actual: comments, message: `${comments} comments, ${passed ? 'at least' : 'fewer than'} ${value}` };
+  },
+  [RULE_TYPES.OWNER_USERNAME]: ({ value }, { username }) => {
+    if (typeof username !== 'string') return { passed: false, actual: null, message: 'The proof has no username' };
+    const passed = username.toLowerCase() === value;
+    return { passed, actual: username, message: passed ? `Owned by @${value}` : `Owned by @${username}, not @${value}` };
+  }
+};
+
+/**
+ * Evaluates normalized rules against a verified result
+ *
+ * @param {Array} rules - Rules returned by `parseCampaignRules`
+ * @param {Object|null} result - Verified claim result, e.g. from `extractPostData`
+ * @returns {Object} `{passed, rules}`; each rule is returned with its `passed`, `actual` and `message`
+ */
+const evaluateRules = (rules, result) => {
+  const outcomes = rules.map((rule) => ({ ...rule, ...RULE_CHECKS[rule.type](rule, result || {}) }));
+  return { passed: outcomes.every(({ passed }) => passed), rules: outcomes };
+};
+
+module.exports = {
+  RULE_TYPES,
+  CampaignRuleError,
+  parseCampaignRules,
+  evaluateRules
+};
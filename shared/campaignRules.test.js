@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CampaignRuleError, evaluateRules, parseCampaignRules } = require('./campaignRules');
+const { extractPostData } = require('./postData');
+
+const post = {
+  username: 'NatGeo',
+  caption: 'Golden hour in Patagonia #Ad @brand.co, shot on #adidas gear',
+  createdAt: '2024-06-10T12:00:00Z',
+  likes: 1500,
+  comments: 12
+};
+
+test('normalizes rules', () => {
+  assert.deepEqual(parseCampaignRules([
+    { type: 'captionContains', value: ' #ad ' },
+    { type: 'createdWithin', after: '2024-06-01' },
+    { type: 'ownerUsername', value: '@NatGeo' }
+  ]), [
+    { type: 'captionContains', value: '#ad' },
+    { type: 'createdWithin', after: '2024-06-01T00:00:00.000Z', before: null },
+    { type: 'ownerUsername', value: 'natgeo' }
+  ]);
+});
+
+test('reports every invalid rule', () => {
+  assert.throws(
+    () => parseCampaignRules([
+      { type: 'captionMatches', pattern: '(' },
+      { type: 'minLikes', value: 10 },
+      { type: 'minComments', value: -1 },
+      { type: 'createdWithin', after: '2024-07-01', before: '2024-06-01' },
+      { type: 'shares' }
+    ]),
+    (error) => error instanceof CampaignRuleError
+      && error.code === 'CAMPAIGN_RULES_INVALID'
+      && error.errors.map(({ rule }) => rule).join() === '0,2,3,4'
+      && error.message.includes('rule 3: `value` must be a non-negative integer')
+  );
+  assert.throws(() => parseCampaignRules([]), CampaignRuleError);
+});
+
+test('passes a post that meets every rule', () => {
+  const rules = parseCampaignRules([
+    { type: 'captionContains', value: '#ad' },
+    { type: 'captionContains', value: '@brand.co' },
+    { type: 'captionMatches', pattern: 'golden\\s+hour', flags: 'i' },
+    { type: 'createdWithin', after: '2024-06-01T00:00:00Z', before: '2024-06-30T00:00:00Z' },
+    { type: 'minLikes', value: 1000 },
+    { type: 'minComments', value: 10 },
+    { type: 'ownerUsername', value: 'natgeo' }
+  ]);
+  const report = evaluateRules(rules, post);
+
+  assert.equal(report.passed, true);
+  assert.deepEqual(report.rules.map(({ passed }) => passed), [true, true, true, true, true, true, true]);
+  assert.equal(report.rules[4].actual, 1500);
+});
+
+test('fails each rule the post does not meet', () => {
+  const rules = parseCampaignRules([
+    { type: 'captionContains', value: '#adi' },
+    { type: 'captionContains', value: '@brand' },
+    { type: 'createdWithin', before: '2024-06-01T00:00:00Z' },
+    { type: 'minLikes', value: 2000 },
+    { type: 'ownerUsername', value: 'someoneelse' }
+  ]);
+  const report = evaluateRules(rules, post);
+
+  assert.equal(report.passed, false);
+  assert.deepEqual(report.rules.map(({ passed }) => passed), [false, false, false, false, false]);
+  assert.equal(report.rules[2].message, 'Created 2024-06-10T12:00:00.000Z, after 2024-06-01T00:00:00.000Z');
+  assert.equal(report.rules[3].message, '1500 likes, fewer than 2000');
+});
+
+test('fails rules on fields the proof does not have', () => {
+  const rules = parseCampaignRules([
+    { type: 'captionContains', value: '#ad' },
+    { type: 'createdWithin', after: '2024-06-01T00:00:00Z' }
+  ]);
+  const report = evaluateRules(rules, { username: 'natgeo', followers: 10 });
+
+  assert.equal(report.passed, false);
+  assert.deepEqual(report.rules.map(({ actual }) => actual), [null, null]);
+  assert.equal(report.rules[0].message, 'The proof has no caption');
+});
+
+test('does not read hidden like and comment counts as zero', () => {
+  const hidden = extractPostData([{
+    publicData: { username: 'natgeo', caption: 'Sunset' },
+    claimData: { context: JSON.stringify({ extractedParameters: { media_code: 'C8xYz12AbCd', username: 'natgeo' } }) }
+  }]);
+  const rules = parseCampaignRules([{ type: 'minLikes', value: 100 }, { type: 'minComments', value: 5 }]);
+  const report = evaluateRules(rules, hidden);
+
+  assert.equal(report.passed, false);
+  assert.deepEqual(report.rules.map(({ actual }) => actual), [null, null]);
+  assert.equal(report.rules[0].message, 'The proof has no like count');
+  assert.equal(report.rules[1].message, 'The proof has no comment count');
+});
+
+test('reads unix timestamps in seconds', () => {
+  const rules = parseCampaignRules([{ type: 'createdWithin', after: '2024-06-01T00:00:00Z' }]);
+  const report = evaluateRules(rules, { createdAt: '1718020800' });
+
+  assert.equal(report.passed, true);
+  assert.equal(report.rules[0].actual, '2024-06-10T12:00:00.000Z');
+});
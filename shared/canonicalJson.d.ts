@@ -0,0 +1 @@
+export function canonicalize(value: unknown): string;
@@ -0,0 +1,27 @@
+/*
+ * Canonical JSON
+ *
+ * Serializes a value with object keys sorted at every level, so the
+ * backend and any verifier produce the same bytes for the same data.
+ * Used to sign and check proof bundles.
+ */
+
+/**
+ * @param {*} value - JSON-compatible value
+ * @returns {string} JSON string with sorted keys and no whitespace
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+module.exports = { canonicalize };
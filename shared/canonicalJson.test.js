@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalize } = require('./canonicalJson');
+
+test('sorts keys at every level', () => {
+  assert.equal(
+    canonicalize({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: 'x' } }),
+    '{"a":{"c":"x","d":[2,{"e":4,"f":3}]},"b":1}'
+  );
+});
+
+test('matches JSON.stringify for undefined values', () => {
+  const value = { a: undefined, b: [undefined, null] };
+  assert.equal(canonicalize(value), JSON.stringify({ b: [null, null] }));
+});
+
+test('is independent of key insertion order', () => {
+  assert.equal(canonicalize({ x: 1, y: 2 }), canonicalize({ y: 2, x: 1 }));
+});
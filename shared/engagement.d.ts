@@ -0,0 +1,51 @@
+import { MediaType } from './instagramUrl';
+
+export const ENGAGEMENT_CONTEXT_MESSAGE: 'instagram_engagement';
+
+export const ENGAGEMENT_RESPONSE_MATCHES: { type: 'regex'; value: string }[];
+
+export const TRACKING_STATUSES: {
+  ACTIVE: 'active';
+  UNAVAILABLE: 'unavailable';
+};
+
+export type TrackingStatus = (typeof TRACKING_STATUSES)[keyof typeof TRACKING_STATUSES];
+
+export const POINT_SOURCES: {
+  VERIFICATION: 'verification';
+  ZKFETCH: 'zkfetch';
+};
+
+export type PointSource = (typeof POINT_SOURCES)[keyof typeof POINT_SOURCES];
+
+export interface EngagementFetchOptions {
+  publicOptions: {
+    method: 'GET';
+    headers: Record<string, string>;
+    context: { contextAddress: '0x0'; contextMessage: string };
+  };
+  privateOptions: {
+    responseMatches: { type: 'regex'; value: string }[];
+  };
+}
+
+export interface Engagement {
+  username: string | null;
+  likes: number | null;
+  comments: number | null;
+}
+
+export function toEngagementUrl(type: MediaType, mediaCode: string): string;
+
+export function buildEngagementFetchOptions(): EngagementFetchOptions;
+
+export function parseCount(text: string | null | undefined): number | null;
+
+export function readEngagement(proof: any): Engagement;
+
+export function isPostUnavailable(error: unknown): boolean;
+
+export function countChange(
+  points: { likes?: number | null; comments?: number | null }[],
+  field: 'likes' | 'comments'
+): number | null;
@@ -0,0 +1,159 @@
+/*
+ * Engagement history of tracked posts
+ *
+ * The likes and comments in a verification are a snapshot. A tracked post
+ * is proved again on a schedule with zkFetch (backend/tracking.ts); each
+ * proof fetches the post's captioned embed page, which shows the like and
+ * comment counts next to the owner's username, and becomes one data point
+ * of the post's history.
+ *
+ * The Reclaim provider proofs need the creator in the loop, so they are
+ * only used for the first data point, taken from the verification itself.
+ */
+
+const { EMBED_FETCH_HEADERS, USERNAME_RESPONSE_MATCHES } = require('./zkFetchRequest');
+const { toEmbedUrl } = require('./instagramUrl');
+const { readExtractedParameters } = require('./proofBinding');
+const { classifyZkFetchError, ZKFETCH_ERROR_TYPES } = require('./zkFetchErrors');
+
+/** Context message of engagement proofs; they carry no nonce, since no session asked for them */
+const ENGAGEMENT_CONTEXT_MESSAGE = 'instagram_engagement';
+
+const TRACKING_STATUSES = {
+  /** The post is proved again every interval */
+  ACTIVE: 'active',
+  /** The last check found the post deleted or private; checks go on in case it comes back */
+  UNAVAILABLE: 'unavailable'
+};
+
+/** Where a data point was proved */
+const POINT_SOURCES = {
+  /** The provider proofs of the verification the tracking started from */
+  VERIFICATION: 'verification',
+  /** A scheduled zkFetch of the captioned embed page */
+  ZKFETCH: 'zkfetch'
+};
+
+/**
+ * Extracts the counts from the captioned embed page
+ * The username match is the same as the owner proof's; it fails for a
+ * deleted or private post, which is how those are detected. Both counts are
+ * optional: owners can hide like counts, and posts with few comments have
+ * no "View all N comments" link.
+ */
+const ENGAGEMENT_RESPONSE_MATCHES = [
+  ...USERNAME_RESPONSE_MATCHES,
+  {
+    type: 'regex',
+    value: "SocialProof(?:[\\s\\S]*?(?<likes>[0-9][0-9.,]*[KkMm]?) likes?<)?(?:[\\s\\S]*?View all (?<comments>[0-9][0-9.,]*[KkMm]?) comments)?"
+  }
+];
+
+/**
+ * Captioned embed page of a post, which unlike the plain embed shows the counts
+ *
+ * @param {'post'|'reel'|'tv'} type - Media type, as parsed from the verified URL
+ * @param {string} mediaCode - Canonical media code
+ * @returns {string} e.g. https://www.instagram.com/reel/ABC123/embed/captioned/
+ */
+const toEngagementUrl = (type, mediaCode) => `${toEmbedUrl(type, mediaCode)}captioned/`;
+
+/**
+ * Builds the public and private zkFetch options for an engagement proof
+ *
+ * @returns {{publicOptions: Object, privateOptions: Object}} Arguments 2 and 3 of `zkFetch`
+ */
+const buildEngagementFetchOptions = () => ({
+  publicOptions: {
+    method: 'GET',
+    headers: EMBED_FETCH_HEADERS,
+    context: {
+      contextAddress: '0x0',
+      contextMessage: ENGAGEMENT_CONTEXT_MESSAGE
+    },
+  },
+  privateOptions: {
+    responseMatches: ENGAGEMENT_RESPONSE_MATCHES,
+  },
+});
+
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6 };
+
+/**
+ * Reads a count as Instagram prints it
+ * Abbreviated counts such as "1.2M" are only as precise as the page
+ *
+ * @param {string|null|undefined} text - e.g. "1,234", "12.5K" or "3M"
+ * @returns {number|null} The count, or null if `text` is not one
+ */
+const parseCount = (text) => {
+  const match = /^([0-9][0-9.,]*)([KkMm]?)$/.exec(String(text ?? '').trim());
+  if (!match) return null;
+
+  const [, digits, suffix] = match;
+  if (!suffix) {
+    const value = Number(digits.replace(/[.,]/g, ''));
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const value = Number(digits.replace(/,/g, ''));
+  return Number.isFinite(value) ? Math.round(value * COUNT_SUFFIXES[suffix.toLowerCase()]) : null;
+};
+
+/**
+ * Reads the counts from an engagement proof
+ * Only the signed context is read, so a stored proof cannot be edited to
+ * show other counts
+ *
+ * @param {Object} proof - zkFetch proof made with buildEngagementFetchOptions
+ * @returns {{username: string|null, likes: number|null, comments: number|null}}
+ */
+const readEngagement = (proof) => {
+  const values = readExtractedParameters(proof);
+  return {
+    username: values.username || null,
+    likes: parseCount(values.likes),
+    comments: parseCount(values.comments)
+  };
+};
+
+/**
+ * True if a failed engagement proof means the post was deleted or made private
+ * Only a missing username says so. The attestor names the regex that did
+ * not match, and a counts regex that misses only means the page changed.
+ *
+ * @param {unknown} error - Error from proving, classified or not
+ * @returns {boolean}
+ */
+const isPostUnavailable = (error) => {
+  const failure = classifyZkFetchError(error);
+  if (failure.type !== ZKFETCH_ERROR_TYPES.NOT_FOUND) return false;
+
+  const text = `${failure.cause?.message ?? failure.cause ?? ''}`;
+  return !/Regex "/.test(text) || USERNAME_RESPONSE_MATCHES.some(({ value }) => text.includes(value));
+};
+
+/**
+ * Change of a count between the first and last data point that have it
+ *
+ * @param {Object[]} points - Data points, oldest first
+ * @param {'likes'|'comments'} field - Count to compare
+ * @returns {number|null} Latest minus first value, or null with fewer than two values
+ */
+const countChange = (points, field) => {
+  const values = (points || []).map((point) => point[field]).filter((value) => typeof value === 'number');
+  return values.length < 2 ? null : values[values.length - 1] - values[0];
+};
+
+module.exports = {
+  ENGAGEMENT_CONTEXT_MESSAGE,
+  ENGAGEMENT_RESPONSE_MATCHES,
+  TRACKING_STATUSES,
+  POINT_SOURCES,
+  toEngagementUrl,
+  buildEngagementFetchOptions,
+  parseCount,
+  readEngagement,
+  isPostUnavailable,
+  countChange
+};
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ENGAGEMENT_RESPONSE_MATCHES,
+  buildEngagementFetchOptions,
+  countChange,
+  isPostUnavailable,
+  parseCount,
+  readEngagement,
+  toEngagementUrl
+} = require('./engagement');
+const { readProofNonce } = require('./proofNonce');
+
+/** Runs the response matches the way the attestor does, one regex at a time */
+const extract = (html) => Object.assign({}, ...ENGAGEMENT_RESPONSE_MATCHES.map(({ value }) => {
+  const match = new RegExp(value).exec(html);
+  return match ? match.groups : { failed: true };
+}));
+
+const EMBED_HTML = '<span class="UsernameText">natgeo</span><div class="SocialProof"><a href="#">12,345 likes</a></div>'
+  + '<div class="Caption">Sunrise</div><a class="CaptionComments">View all 1.2K comments</a>';
+
+test('fetches the captioned embed page without a nonce', () => {
+  assert.equal(toEngagementUrl('post', 'C8xYz12AbCd'), 'https://www.instagram.com/p/C8xYz12AbCd/embed/captioned/');
+  assert.equal(toEngagementUrl('reel', 'C8xYz12AbCd'), 'https://www.instagram.com/reel/C8xYz12AbCd/embed/captioned/');
+
+  const { publicOptions } = buildEngagementFetchOptions();
+  const proof = { claimData: { context: JSON.stringify(publicOptions.context) } };
+  assert.equal(readProofNonce(proof), null);
+});
+
+test('matches the owner, likes and optional comment count on the embed page', () => {
+  assert.deepEqual({ ...extract(EMBED_HTML) }, { username: 'natgeo', likes: '12,345', comments: '1.2K' });
+
+  const fewComments = extract('<span class="UsernameText">natgeo</span><div class="SocialProof"><a>1 like</a></div>');
+  assert.equal(fewComments.likes, '1');
+  assert.equal(fewComments.comments, undefined);
+
+  // A deleted or private post has no UsernameText, so the proof cannot be made
+  assert.equal(extract('<div class="EmbedIsBroken">This post is unavailable</div>').failed, true);
+});
+
+test('still matches a post whose owner hid the like count', () => {
+  const hiddenLikes = extract('<span class="UsernameText">natgeo</span><div class="SocialProof"><a href="#">View more on Instagram</a></div>'
+    + '<div class="Caption">Sunrise</div><a class="CaptionComments">View all 48 comments</a>');
+  assert.equal(hiddenLikes.failed, undefined);
+  assert.equal(hiddenLikes.username, 'natgeo');
+  assert.equal(hiddenLikes.likes, undefined);
+  assert.equal(hiddenLikes.comments, '48');
+});
+
+test('only a missing username marks the post unavailable', () => {
+  const [usernameMatch, countsMatch] = ENGAGEMENT_RESPONSE_MATCHES;
+  const attestorError = (value) => new Error(`Invalid receipt. Regex "${value}" didn't match`);
+
+  assert.equal(isPostUnavailable(attestorError(usernameMatch.value)), true);
+  assert.equal(isPostUnavailable(new Error('Provider returned error 404')), true);
+  assert.equal(isPostUnavailable(attestorError(countsMatch.value)), false);
+  assert.equal(isPostUnavailable(new Error('connect ETIMEDOUT')), false);
+});
+
+test('parses counts as Instagram prints them', () => {
+  assert.equal(parseCount('1,234'), 1234);
+  assert.equal(parseCount('987'), 987);
+  assert.equal(parseCount('12.5K'), 12500);
+  assert.equal(parseCount('3M'), 3000000);
+  assert.equal(parseCount('many'), null);
+  assert.equal(parseCount(''), null);
+  assert.equal(parseCount(undefined), null);
+});
+
+test('reads counts from a proof and compares the first and last points', () => {
+  const context = JSON.stringify({ extractedParameters: { username: 'natgeo', likes: '12,345' } });
+  const engagement = readEngagement({ claimData: { context } });
+  assert.deepEqual(engagement, { username: 'natgeo', likes: 12345, comments: null });
+
+  // extractedParameterValues is not signed, so it is ignored
+  const edited = { claimData: { context }, extractedParameterValues: { username: 'natgeo', likes: '99,999', comments: '5' } };
+  assert.deepEqual(readEngagement(edited), engagement);
+
+  const points = [{ likes: 100, comments: null }, { likes: 150, comments: 4 }, { likes: 140, comments: 9 }];
+  assert.equal(countChange(points, 'likes'), 40);
+  assert.equal(countChange(points, 'comments'), 5);
+  assert.equal(countChange(points.slice(0, 1), 'likes'), null);
+});
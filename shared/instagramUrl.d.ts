@@ -0,0 +1,40 @@
+export type MediaType = 'post' | 'reel' | 'tv';
+
+export interface ParsedInstagramUrl {
+  type: MediaType;
+  mediaCode: string;
+  embedUrl: string;
+}
+
+export interface ParsedInstagramProfile {
+  username: string;
+  profileUrl: string;
+}
+
+export const MEDIA_CODE_PATTERN: RegExp;
+
+export const USERNAME_PATTERN: RegExp;
+
+export const URL_ERROR_CODES: {
+  EMPTY_URL: 'EMPTY_URL';
+  INVALID_URL: 'INVALID_URL';
+  UNSUPPORTED_HOST: 'UNSUPPORTED_HOST';
+  UNSUPPORTED_PATH: 'UNSUPPORTED_PATH';
+  INVALID_MEDIA_CODE: 'INVALID_MEDIA_CODE';
+  INVALID_USERNAME: 'INVALID_USERNAME';
+};
+
+export type InstagramUrlErrorCode = keyof typeof URL_ERROR_CODES;
+
+export class InstagramUrlError extends Error {
+  code: InstagramUrlErrorCode;
+  constructor(code: InstagramUrlErrorCode, message: string);
+}
+
+export function parseInstagramUrl(input: string): ParsedInstagramUrl;
+
+export function parseInstagramProfile(input: string): ParsedInstagramProfile;
+
+export function toEmbedUrl(type: MediaType, mediaCode: string): string;
+
+export function toProfileUrl(username: string): string;
@@ -0,0 +1,227 @@
+/*
+ * Instagram URL parsing
+ *
+ * Shared by the frontend and the backend so both agree on which links are
+ * supported and on the canonical embed URL that zkFetch fetches (and that
+ * /sign tokens are scoped to).
+ *
+ * Supported forms, with or without scheme, query string or fragment:
+ * - instagram.com, www.instagram.com, m.instagram.com, instagr.am
+ * - /p/<code>, /reel/<code>, /reels/<code>, /tv/<code>
+ * - /<username>/p/<code> and the same for reel/tv
+ * - any of the above followed by /embed/ or /embed/captioned/
+ *
+ * Profile claims take a profile link (instagram.com/<username>/), an
+ * @handle or a bare username instead (see `parseInstagramProfile`).
+ */
+
+/** Instagram media codes are made of URL-safe base64 characters */
+const MEDIA_CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/** Instagram usernames: up to 30 letters, digits, periods and underscores */
+const USERNAME_PATTERN = /^[A-Za-z0-9._]{1,30}$/;
+
+/** Hosts that serve Instagram post links */
+const INSTAGRAM_HOSTS = [
+  'instagram.com',
+  'www.instagram.com',
+  'm.instagram.com',
+  'instagr.am',
+  'www.instagr.am'
+];
+
+/** Path segment -> media type */
+const MEDIA_TYPES = {
+  p: 'post',
+  reel: 'reel',
+  reels: 'reel',
+  tv: 'tv'
+};
+
+/** Media type -> path segment used in the canonical embed URL */
+const EMBED_SEGMENTS = {
+  post: 'p',
+  reel: 'reel',
+  tv: 'tv'
+};
+
+/** First path segments that are Instagram pages, not profiles */
+const RESERVED_PATHS = ['accounts', 'explore', 'direct', 'stories', 'about', 'developer', 'legal', ...Object.keys(MEDIA_TYPES)];
+
+/** Error codes thrown by `parseInstagramUrl` and `parseInstagramProfile` */
+const URL_ERROR_CODES = {
+  EMPTY_URL: 'EMPTY_URL',
+  INVALID_URL: 'INVALID_URL',
+  UNSUPPORTED_HOST: 'UNSUPPORTED_HOST',
+  UNSUPPORTED_PATH: 'UNSUPPORTED_PATH',
+  INVALID_MEDIA_CODE: 'INVALID_MEDIA_CODE',
+  INVALID_USERNAME: 'INVALID_USERNAME'
+};
+
+/**
+ * Error for input that is not a supported Instagram post link
+ * `code` is one of URL_ERROR_CODES
+ */
+class InstagramUrlError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'InstagramUrlError';
+    this.code = code;
+  }
+}
+
+/**
+ * Builds the canonical embed URL for a post
+ *
+ * @param {'post'|'reel'|'tv'} type - Media type
+ * @param {string} mediaCode - Media code of the post
+ * @returns {string} e.g. https://www.instagram.com/p/ABC123/embed/
+ */
+const toEmbedUrl = (type, mediaCode) =>
+  `https://www.instagram.com/${EMBED_SEGMENTS[type]}/${mediaCode}/embed/`;
+
+/**
+ * Builds the canonical profile URL for a username
+ *
+ * @param {string} username - Instagram username
+ * @returns {string} e.g. https://www.instagram.com/natgeo/
+ */
+const toProfileUrl = (username) => `https://www.instagram.com/${username}/`;
+
+/**
+ * Parses input as an http(s) URL on an Instagram host
+ *
+ * @param {string} trimmed - Non-empty input, without surrounding whitespace
+ * @returns {URL}
+ * @throws {InstagramUrlError} If it is not a URL or not an Instagram link
+ */
+const toInstagramUrl = (trimmed) => {
+  // Links copied without a scheme, e.g. "instagram.com/p/ABC123"
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch (e) {
+    throw new InstagramUrlError(URL_ERROR_CODES.INVALID_URL, `"${trimmed}" is not a valid URL`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new InstagramUrlError(URL_ERROR_CODES.INVALID_URL, `Unsupported URL scheme ${url.protocol}`);
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (!INSTAGRAM_HOSTS.includes(host)) {
+    throw new InstagramUrlError(
+      URL_ERROR_CODES.UNSUPPORTED_HOST,
+      `Only Instagram links are supported, got ${host}`
+    );
+  }
+
+  return url;
+};
+
+/**
+ * Parses any supported Instagram post link into its canonical form
+ *
+ * @param {string} input - URL as entered by the user
+ * @returns {{type: 'post'|'reel'|'tv', mediaCode: string, embedUrl: string}}
+ * @throws {InstagramUrlError} If the input is not a supported post link
+ *
+ * @example
+ * parseInstagramUrl('https://www.instagram.com/reel/ABC123/?igsh=xyz')
+ * // { type: 'reel', mediaCode: 'ABC123', embedUrl: 'https://www.instagram.com/reel/ABC123/embed/' }
+ */
+const parseInstagramUrl = (input) => {
+  const trimmed = typeof input === 'string' ? input.trim() : '';
+  if (!trimmed) {
+    throw new InstagramUrlError(URL_ERROR_CODES.EMPTY_URL, 'Please enter an Instagram URL');
+  }
+
+  const url = toInstagramUrl(trimmed);
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  // /p/<code> or /<username>/p/<code>
+  const isTypeSegment = (segment) => Object.prototype.hasOwnProperty.call(MEDIA_TYPES, segment);
+  const typeIndex = isTypeSegment(segments[0]) ? 0 : isTypeSegment(segments[1]) ? 1 : -1;
+  if (typeIndex === -1) {
+    throw new InstagramUrlError(
+      URL_ERROR_CODES.UNSUPPORTED_PATH,
+      'URL must point to an Instagram post, reel or IGTV video'
+    );
+  }
+
+  const type = MEDIA_TYPES[segments[typeIndex]];
+  const mediaCode = segments[typeIndex + 1];
+  const rest = segments.slice(typeIndex + 2);
+
+  if (!mediaCode || !MEDIA_CODE_PATTERN.test(mediaCode)) {
+    throw new InstagramUrlError(
+      URL_ERROR_CODES.INVALID_MEDIA_CODE,
+      'Could not find a media code in the URL'
+    );
+  }
+
+  // Only the embed variants may follow the media code
+  const isEmbedSuffix = rest.length === 0
+    || (rest[0] === 'embed' && (rest.length === 1 || (rest.length === 2 && rest[1] === 'captioned')));
+  if (!isEmbedSuffix) {
+    throw new InstagramUrlError(
+      URL_ERROR_CODES.UNSUPPORTED_PATH,
+      `Unexpected path after the media code: /${rest.join('/')}`
+    );
+  }
+
+  return { type, mediaCode, embedUrl: toEmbedUrl(type, mediaCode) };
+};
+
+/**
+ * Parses a profile link, @handle or bare username
+ * Usernames are case-insensitive and returned lowercased
+ *
+ * @param {string} input - As entered by the user
+ * @returns {{username: string, profileUrl: string}}
+ * @throws {InstagramUrlError} If the input is not a profile or a valid username
+ *
+ * @example
+ * parseInstagramProfile('https://instagram.com/NatGeo?igsh=xyz')
+ * // { username: 'natgeo', profileUrl: 'https://www.instagram.com/natgeo/' }
+ */
+const parseInstagramProfile = (input) => {
+  const trimmed = typeof input === 'string' ? input.trim() : '';
+  if (!trimmed) {
+    throw new InstagramUrlError(URL_ERROR_CODES.EMPTY_URL, 'Please enter an Instagram profile or username');
+  }
+
+  let username = trimmed.replace(/^@/, '');
+
+  // Anything with a slash is treated as a link
+  if (trimmed.includes('/')) {
+    const segments = toInstagramUrl(trimmed).pathname.split('/').filter(Boolean);
+    if (segments.length !== 1 || RESERVED_PATHS.includes(segments[0].toLowerCase())) {
+      throw new InstagramUrlError(
+        URL_ERROR_CODES.UNSUPPORTED_PATH,
+        'URL must point to an Instagram profile, e.g. instagram.com/natgeo'
+      );
+    }
+    [username] = segments;
+  }
+
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new InstagramUrlError(URL_ERROR_CODES.INVALID_USERNAME, `"${username}" is not a valid Instagram username`);
+  }
+
+  const normalized = username.toLowerCase();
+  return { username: normalized, profileUrl: toProfileUrl(normalized) };
+};
+
+module.exports = {
+  MEDIA_CODE_PATTERN,
+  USERNAME_PATTERN,
+  URL_ERROR_CODES,
+  InstagramUrlError,
+  parseInstagramUrl,
+  parseInstagramProfile,
+  toEmbedUrl,
+  toProfileUrl
+};
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseInstagramProfile, parseInstagramUrl, InstagramUrlError } = require('./instagramUrl');
+const fixtures = require('./__fixtures__/instagramUrls.json');
+
+for (const { input, expected } of fixtures.valid) {
+  test(`parses ${JSON.stringify(input)}`, () => {
+    assert.deepEqual(parseInstagramUrl(input), expected);
+  });
+}
+
+for (const { input, code } of fixtures.invalid) {
+  test(`rejects ${JSON.stringify(input)} with ${code}`, () => {
+    assert.throws(
+      () => parseInstagramUrl(input),
+      (error) => error instanceof InstagramUrlError && error.code === code
+    );
+  });
+}
+
+test('rejects non-string input', () => {
+  assert.throws(
+    () => parseInstagramUrl(undefined),
+    (error) => error instanceof InstagramUrlError && error.code === 'EMPTY_URL'
+  );
+});
+
+test('parses profile links, handles and usernames', () => {
+  const expected = { username: 'natgeo', profileUrl: 'https://www.instagram.com/natgeo/' };
+
+  for (const input of ['natgeo', '@NatGeo', ' instagram.com/natgeo ', 'https://www.instagram.com/NatGeo/?igsh=xyz', 'https://m.instagram.com/natgeo']) {
+    assert.deepEqual(parseInstagramProfile(input), expected, input);
+  }
+});
+
+test('rejects profile input that is not a profile', () => {
+  const cases = [
+    ['', 'EMPTY_URL'],
+    ['https://www.instagram.com/p/ABC123/', 'UNSUPPORTED_PATH'],
+    ['https://www.instagram.com/explore/', 'UNSUPPORTED_PATH'],
+    ['https://example.com/natgeo', 'UNSUPPORTED_HOST'],
+    ['nat geo', 'INVALID_USERNAME'],
+    ['@' + 'a'.repeat(31), 'INVALID_USERNAME']
+  ];
+
+  for (const [input, code] of cases) {
+    assert.throws(
+      () => parseInstagramProfile(input),
+      (error) => error instanceof InstagramUrlError && error.code === code,
+      input
+    );
+  }
+});
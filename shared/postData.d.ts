@@ -0,0 +1,58 @@
+export const MEDIA_TYPES: {
+  IMAGE: 'image';
+  VIDEO: 'video';
+};
+
+export type MediaType = 'image' | 'video';
+
+/** One photo or video of a post, in carousel order */
+export interface MediaItem {
+  index: number;
+  type: MediaType;
+  url: string;
+  /** Cover image of a video */
+  posterUrl: string | null;
+  width: number | null;
+  height: number | null;
+}
+
+export const CONFLICT_FIELDS: string[];
+
+/** A field the proofs disagree on, with each distinct value in proof order */
+export interface PostDataConflict {
+  field: string;
+  values: unknown[];
+}
+
+/** Post fields extracted from Reclaim provider proofs */
+export interface PostData {
+  username: string | null;
+  userProfilePic: string | null;
+  postId: string | null;
+  caption: string | null;
+  media: MediaItem[];
+  /** Cover image (the first item, or its poster) */
+  image: string | null;
+  /** First item's URL if it is a video */
+  video: string | null;
+  /** Null when the proofs have no count, e.g. hidden by the owner */
+  likes: number | null;
+  comments: number | null;
+  createdAt: string | null;
+  mediaCode: string | null;
+  conflicts: PostDataConflict[];
+}
+
+export function readMediaCode(proof: any): string | null;
+
+export function compareKey(field: string, value: unknown): unknown;
+
+export function mergeProofFields<T extends Record<string, unknown>>(
+  found: T[],
+  options: {
+    conflictFields: string[];
+    compareKey?: (field: string, value: unknown) => unknown;
+  }
+): { merged: Partial<T>; conflicts: PostDataConflict[] };
+
+export function extractPostData(proofs: any[] | null | undefined): PostData | null;
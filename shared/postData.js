@@ -0,0 +1,152 @@
+/*
+ * Post data extraction
+ *
+ * Shared by the frontend (to render the verified post) and the backend
+ * (to build the verification record it stores), so both sides read the
+ * same fields out of the Reclaim provider proofs.
+ *
+ * Provider output is validated and adapted per schema version in
+ * shared/publicDataSchema.js. A post has an ordered media list: one item
+ * for a photo or reel, one per carousel child. When several proofs are
+ * returned, the first value of each field is kept, and proofs that
+ * disagree are listed in `conflicts` instead of being merged silently.
+ */
+
+const { adaptPublicData } = require('./publicDataSchema');
+
+const MEDIA_TYPES = {
+  IMAGE: 'image',
+  VIDEO: 'video'
+};
+
+/**
+ * Fields compared across proofs
+ * Profile picture and media URLs are signed CDN links that change between
+ * fetches, so media are compared by type and size only
+ */
+const CONFLICT_FIELDS = ['username', 'postId', 'mediaCode', 'caption', 'createdAt', 'likes', 'comments', 'media'];
+
+/**
+ * Reads the media code from a provider proof
+ * It is the provider's signed `media_code` parameter
+ *
+ * @param {Object} proof - Reclaim provider proof
+ * @returns {string|null}
+ */
+const readMediaCode = (proof) => {
+  try {
+    const context = typeof proof?.claimData?.context === 'string'
+      ? JSON.parse(proof.claimData.context)
+      : proof?.claimData?.context;
+
+    return context?.extractedParameters?.media_code || null;
+  } catch (e) {
+    console.error("Error parsing proof context:", e);
+    return null;
+  }
+};
+
+/**
+ * Reads the fields a single proof holds
+ * publicData is mapped by its schema version (see shared/publicDataSchema.js)
+ *
+ * @param {Object} proof - Reclaim provider proof
+ * @returns {Object} Fields found in the proof; missing ones are null
+ */
+const readProof = (proof) => ({ ...adaptPublicData(proof?.publicData), mediaCode: readMediaCode(proof) });
+
+/** Value two proofs must agree on for a field */
+const compareKey = (field, value) => {
+  if (field === 'media') {
+    return value.map((item) => `${item.type}:${item.width ?? '?'}x${item.height ?? '?'}`).join(',');
+  }
+  // Instagram usernames are case-insensitive
+  return field === 'username' ? String(value).toLowerCase() : value;
+};
+
+/** True if a field was not found in a proof */
+const isMissing = (value) => value === null || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Merges the fields read from several proofs
+ * Each field is taken from the first proof that has it; values of
+ * `conflictFields` that differ between proofs are reported, not merged
+ *
+ * @param {Array<Object>} found - Fields read from each proof, null when missing
+ * @param {Object} options
+ * @param {string[]} options.conflictFields - Fields the proofs must agree on
+ * @param {Function} [options.compareKey] - `(field, value)` to the value compared
+ * @returns {{merged: Object, conflicts: Array}} `conflicts` lists each field
+ *   the proofs disagree on, with every distinct value
+ */
+const mergeProofFields = (found, { conflictFields, compareKey: keyOf = compareKey }) => {
+  const merged = {};
+  const conflicts = [];
+
+  for (const fields of found) {
+    for (const [field, value] of Object.entries(fields)) {
+      if (isMissing(value)) continue;
+
+      if (isMissing(merged[field] ?? null)) {
+        merged[field] = value;
+        continue;
+      }
+
+      if (!conflictFields.includes(field) || keyOf(field, value) === keyOf(field, merged[field])) {
+        continue;
+      }
+
+      const conflict = conflicts.find((entry) => entry.field === field);
+      if (!conflict) {
+        conflicts.push({ field, values: [merged[field], value] });
+      } else if (!conflict.values.some((seen) => keyOf(field, seen) === keyOf(field, value))) {
+        conflict.values.push(value);
+      }
+    }
+  }
+
+  return { merged, conflicts };
+};
+
+/**
+ * Extracts and parses post data from verification proofs
+ * Each field is taken from the first proof that has it
+ *
+ * @param {Array} proofs - Array of verification proof objects from Reclaim SDK
+ * @returns {Object|null} Parsed post data or null if no proofs; `conflicts`
+ *   lists the fields the proofs disagree on, with every distinct value
+ */
+const extractPostData = (proofs) => {
+  if (!proofs || proofs.length === 0) return null;
+
+  const { merged, conflicts } = mergeProofFields(proofs.map(readProof), { conflictFields: CONFLICT_FIELDS });
+
+  const media = merged.media || [];
+  const cover = media[0];
+
+  return {
+    username: merged.username || null,
+    userProfilePic: merged.userProfilePic || null,
+    postId: merged.postId || null,
+    caption: merged.caption || null,
+    media,
+    // Cover image and video, for single-media consumers
+    image: cover ? (cover.type === MEDIA_TYPES.IMAGE ? cover.url : cover.posterUrl) : null,
+    video: cover?.type === MEDIA_TYPES.VIDEO ? cover.url : null,
+    // Owners can hide counts; null tells "not in the proof" apart from zero
+    likes: merged.likes ?? null,
+    comments: merged.comments ?? null,
+    createdAt: merged.createdAt || null,
+    mediaCode: merged.mediaCode || null,
+    conflicts
+  };
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  CONFLICT_FIELDS,
+  readMediaCode,
+  compareKey,
+  mergeProofFields,
+  extractPostData
+};
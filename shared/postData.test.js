@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPostData } = require('./postData');
+
+const proof = (publicData, mediaCode = 'C8xYz12AbCd') => ({
+  publicData,
+  claimData: {
+    context: JSON.stringify({ extractedParameters: { media_code: mediaCode, username: publicData.username } })
+  }
+});
+
+test('reads a single image post', () => {
+  const post = extractPostData([proof({ username: 'natgeo', imageUrl: 'https://cdn/1.jpg', likesCount: 12 })]);
+
+  assert.deepEqual(post.media, [
+    { index: 0, type: 'image', url: 'https://cdn/1.jpg', posterUrl: null, width: null, height: null }
+  ]);
+  assert.equal(post.image, 'https://cdn/1.jpg');
+  assert.equal(post.video, null);
+  assert.equal(post.likes, 12);
+  assert.equal(post.comments, null);
+  assert.equal(post.mediaCode, 'C8xYz12AbCd');
+  assert.deepEqual(post.conflicts, []);
+});
+
+test('keeps the poster of a single video post', () => {
+  const post = extractPostData([proof({ username: 'natgeo', videoUrl: 'https://cdn/1.mp4', imageUrl: 'https://cdn/1.jpg' })]);
+
+  assert.equal(post.media[0].type, 'video');
+  assert.equal(post.media[0].posterUrl, 'https://cdn/1.jpg');
+  assert.equal(post.video, 'https://cdn/1.mp4');
+  assert.equal(post.image, 'https://cdn/1.jpg');
+});
+
+test('reads carousel children in order with their dimensions', () => {
+  const post = extractPostData([proof({
+    username: 'natgeo',
+    carouselMedia: [
+      { index: 2, isVideo: true, videoUrl: 'https://cdn/3.mp4', imageUrl: 'https://cdn/3.jpg', width: 1080, height: 1920 },
+      { index: 0, imageUrl: 'https://cdn/1.jpg', width: 1080, height: 1350 },
+      { index: 1, imageUrl: 'https://cdn/2.jpg', width: '1080', height: '1080' }
+    ]
+  })]);
+
+  assert.deepEqual(post.media, [
+    { index: 0, type: 'image', url: 'https://cdn/1.jpg', posterUrl: null, width: 1080, height: 1350 },
+    { index: 1, type: 'image', url: 'https://cdn/2.jpg', posterUrl: null, width: 1080, height: 1080 },
+    { index: 2, type: 'video', url: 'https://cdn/3.mp4', posterUrl: 'https://cdn/3.jpg', width: 1080, height: 1920 }
+  ]);
+  assert.equal(post.image, 'https://cdn/1.jpg');
+  assert.equal(post.video, null);
+});
+
+test('maps every schema version to the same media model', () => {
+  const expected = [{ index: 0, type: 'video', url: 'https://cdn/1.mp4', posterUrl: 'https://cdn/1.jpg', width: null, height: null }];
+
+  const v1 = extractPostData([proof({ username: 'natgeo', video: 'https://cdn/1.mp4', image: 'https://cdn/1.jpg', likes: '7' })]);
+  const v3 = extractPostData([proof({
+    schemaVersion: 3,
+    username: 'natgeo',
+    media: [{ type: 'video', url: 'https://cdn/1.mp4', posterUrl: 'https://cdn/1.jpg' }],
+    likesCount: 7
+  })]);
+
+  assert.deepEqual(v1.media, expected);
+  assert.deepEqual(v3.media, expected);
+  assert.equal(v1.likes, 7);
+  assert.equal(v3.likes, 7);
+});
+
+test('fills fields from later proofs without reporting a conflict', () => {
+  const post = extractPostData([
+    proof({ username: 'natgeo', imageUrl: 'https://cdn/1.jpg?sig=a' }),
+    proof({ username: 'NatGeo', imageUrl: 'https://cdn/1.jpg?sig=b', caption: 'Sunset', likesCount: 5 })
+  ]);
+
+  assert.equal(post.username, 'natgeo');
+  assert.equal(post.image, 'https://cdn/1.jpg?sig=a');
+  assert.equal(post.caption, 'Sunset');
+  assert.equal(post.likes, 5);
+  assert.deepEqual(post.conflicts, []);
+});
+
+test('reports proofs that disagree instead of overwriting', () => {
+  const post = extractPostData([
+    proof({ username: 'natgeo', caption: 'Sunset', likesCount: 5, imageUrl: 'https://cdn/1.jpg' }),
+    proof({ username: 'natgeo', caption: 'Sunrise', likesCount: 5, videoUrl: 'https://cdn/1.mp4' }),
+    proof({ username: 'natgeo', caption: 'Sunset' }, 'OtherCode12')
+  ]);
+
+  assert.equal(post.caption, 'Sunset');
+  assert.equal(post.mediaCode, 'C8xYz12AbCd');
+  assert.deepEqual(post.conflicts.map(({ field }) => field), ['caption', 'media', 'mediaCode']);
+  assert.deepEqual(post.conflicts[0].values, ['Sunset', 'Sunrise']);
+  assert.deepEqual(post.conflicts[2].values, ['C8xYz12AbCd', 'OtherCode12']);
+});
+
+test('returns null without proofs', () => {
+  assert.equal(extractPostData([]), null);
+  assert.equal(extractPostData(null), null);
+});
@@ -0,0 +1,27 @@
+export const BINDING_ERROR_CODES: {
+  ZKFETCH_URL_MISMATCH: 'ZKFETCH_URL_MISMATCH';
+  MEDIA_CODE_MISMATCH: 'MEDIA_CODE_MISMATCH';
+  USERNAME_MISMATCH: 'USERNAME_MISMATCH';
+  MISSING_FIELD: 'MISSING_FIELD';
+};
+
+export type ProofBindingErrorCode = keyof typeof BINDING_ERROR_CODES;
+
+export class ProofBindingError extends Error {
+  code: ProofBindingErrorCode;
+  constructor(code: ProofBindingErrorCode, message: string);
+}
+
+export function readExtractedParameters(zkFetchProof: any): Record<string, string>;
+
+export function readZkFetchProof(zkFetchProof: any): {
+  url: string | null;
+  username: string | null;
+};
+
+export function bindProofs(params: {
+  inputUrl: string;
+  zkFetchProof: any;
+  proofs: any[];
+  subject?: { mediaCode: string | null; username: string | null };
+}): { mediaCode: string; username: string };
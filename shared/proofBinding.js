@@ -0,0 +1,147 @@
+/*
+ * Binding between the zkFetch owner proof and the provider proofs
+ *
+ * The flow produces two independent proofs: zkFetch proves who owns the
+ * post behind the entered URL, and the Reclaim provider proves the post
+ * data. Each is valid on its own, so this checks that they describe the
+ * same post and the same account before the result is shown or stored.
+ */
+
+const { parseInstagramUrl } = require('./instagramUrl');
+const { extractPostData } = require('./postData');
+
+/** Error codes thrown by `bindProofs` */
+const BINDING_ERROR_CODES = {
+  ZKFETCH_URL_MISMATCH: 'ZKFETCH_URL_MISMATCH',
+  MEDIA_CODE_MISMATCH: 'MEDIA_CODE_MISMATCH',
+  USERNAME_MISMATCH: 'USERNAME_MISMATCH',
+  MISSING_FIELD: 'MISSING_FIELD'
+};
+
+/**
+ * Error for proofs that do not describe the same post and account
+ * `code` is one of BINDING_ERROR_CODES
+ */
+class ProofBindingError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProofBindingError';
+    this.code = code;
+  }
+}
+
+/**
+ * Parses a proof field that may hold a JSON string or an object
+ *
+ * @returns {Object} Parsed value, or an empty object if it cannot be parsed
+ */
+const parseJsonField = (value) => {
+  if (!value) return {};
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Reads the values a zkFetch proof's regexes extracted, from the signed context
+ * Use this rather than `extractedParameterValues`, which is not signed
+ *
+ * @param {Object} zkFetchProof - Proof returned by zkFetch
+ * @returns {Object<string, string>} Named regex groups, empty if there are none
+ */
+const readExtractedParameters = (zkFetchProof) =>
+  parseJsonField(zkFetchProof?.claimData?.context).extractedParameters ?? {};
+
+/**
+ * Reads the fetched URL and extracted username from a zkFetch proof
+ * Both come from the signed claim data. `extractedParameterValues` is not
+ * signed, so whoever sends the proof could put any username there.
+ *
+ * @param {Object} zkFetchProof - Proof returned by zkFetch
+ * @returns {{url: string|null, username: string|null}}
+ */
+const readZkFetchProof = (zkFetchProof) => {
+  const parameters = parseJsonField(zkFetchProof?.claimData?.parameters);
+
+  return {
+    url: parameters.url || null,
+    username: readExtractedParameters(zkFetchProof).username || null
+  };
+};
+
+/** Instagram usernames are case-insensitive */
+const sameUsername = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Checks that the zkFetch proof and the provider proofs belong together
+ *
+ * @param {Object} params
+ * @param {string} params.inputUrl - Instagram URL the user entered
+ * @param {Object} params.zkFetchProof - Proof returned by zkFetch
+ * @param {Array} params.proofs - Proofs returned by the Reclaim JS SDK
+ * @param {{mediaCode: string|null, username: string|null}} [params.subject] -
+ *   Post and account the provider proofs describe, if the claim reads them
+ *   differently (see shared/providers.js); defaults to `extractPostData(proofs)`
+ * @returns {{mediaCode: string, username: string}} The bound post and owner
+ * @throws {ProofBindingError} On the first mismatch or missing field
+ * @throws {InstagramUrlError} If the entered URL cannot be parsed
+ */
+const bindProofs = ({ inputUrl, zkFetchProof, proofs, subject }) => {
+  const { mediaCode } = parseInstagramUrl(inputUrl);
+  const owner = readZkFetchProof(zkFetchProof);
+  const post = subject ?? extractPostData(proofs);
+
+  if (!owner.url || !owner.username) {
+    throw new ProofBindingError(
+      BINDING_ERROR_CODES.MISSING_FIELD,
+      'The post owner proof does not contain a fetched URL and username'
+    );
+  }
+  if (!post?.mediaCode || !post?.username) {
+    throw new ProofBindingError(
+      BINDING_ERROR_CODES.MISSING_FIELD,
+      'The verification proof does not contain a media code and username'
+    );
+  }
+
+  let fetchedMediaCode;
+  try {
+    fetchedMediaCode = parseInstagramUrl(owner.url).mediaCode;
+  } catch (e) {
+    fetchedMediaCode = null;
+  }
+
+  if (fetchedMediaCode !== mediaCode) {
+    throw new ProofBindingError(
+      BINDING_ERROR_CODES.ZKFETCH_URL_MISMATCH,
+      `The post owner proof was made for ${owner.url}, not for the post you entered (${mediaCode})`
+    );
+  }
+
+  if (post.mediaCode !== mediaCode) {
+    throw new ProofBindingError(
+      BINDING_ERROR_CODES.MEDIA_CODE_MISMATCH,
+      `The verification proof is for post ${post.mediaCode}, not for the post you entered (${mediaCode})`
+    );
+  }
+
+  if (!sameUsername(owner.username, post.username)) {
+    throw new ProofBindingError(
+      BINDING_ERROR_CODES.USERNAME_MISMATCH,
+      `The post is owned by @${owner.username}, but the verification proof is for @${post.username}`
+    );
+  }
+
+  return { mediaCode, username: owner.username };
+};
+
+module.exports = {
+  BINDING_ERROR_CODES,
+  ProofBindingError,
+  bindProofs,
+  readExtractedParameters,
+  readZkFetchProof
+};
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { bindProofs, ProofBindingError, readZkFetchProof } = require('./proofBinding');
+
+const INPUT_URL = 'https://www.instagram.com/p/C8xYz12AbCd/?igsh=abc';
+
+const zkFetchProof = ({ url = 'https://www.instagram.com/p/C8xYz12AbCd/embed/', username = 'natgeo' } = {}) => ({
+  claimData: {
+    parameters: JSON.stringify({ method: 'GET', url }),
+    context: JSON.stringify({ extractedParameters: { username } })
+  },
+  extractedParameterValues: { username }
+});
+
+const providerProofs = ({ mediaCode = 'C8xYz12AbCd', username = 'natgeo' } = {}) => [{
+  publicData: { username },
+  claimData: {
+    context: JSON.stringify({ extractedParameters: { media_code: mediaCode } })
+  }
+}];
+
+const assertBindingError = (params, code) => {
+  assert.throws(
+    () => bindProofs(params),
+    (error) => error instanceof ProofBindingError && error.code === code
+  );
+};
+
+test('binds proofs for the same post and owner', () => {
+  assert.deepEqual(
+    bindProofs({ inputUrl: INPUT_URL, zkFetchProof: zkFetchProof(), proofs: providerProofs() }),
+    { mediaCode: 'C8xYz12AbCd', username: 'natgeo' }
+  );
+});
+
+test('compares usernames case-insensitively', () => {
+  const result = bindProofs({
+    inputUrl: INPUT_URL,
+    zkFetchProof: zkFetchProof({ username: 'NatGeo' }),
+    proofs: providerProofs()
+  });
+  assert.equal(result.username, 'NatGeo');
+});
+
+test('rejects a zkFetch proof for another post', () => {
+  assertBindingError({
+    inputUrl: INPUT_URL,
+    zkFetchProof: zkFetchProof({ url: 'https://www.instagram.com/p/OtherPost12/embed/' }),
+    proofs: providerProofs()
+  }, 'ZKFETCH_URL_MISMATCH');
+});
+
+test('rejects a provider proof for another post', () => {
+  assertBindingError({
+    inputUrl: INPUT_URL,
+    zkFetchProof: zkFetchProof(),
+    proofs: providerProofs({ mediaCode: 'OtherPost12' })
+  }, 'MEDIA_CODE_MISMATCH');
+});
+
+test('rejects proofs for different accounts', () => {
+  assertBindingError({
+    inputUrl: INPUT_URL,
+    zkFetchProof: zkFetchProof(),
+    proofs: providerProofs({ username: 'someone_else' })
+  }, 'USERNAME_MISMATCH');
+});
+
+test('rejects a zkFetch proof without a username', () => {
+  assertBindingError({
+    inputUrl: INPUT_URL,
+    zkFetchProof: { claimData: { parameters: '{}', context: '{}' } },
+    proofs: providerProofs()
+  }, 'MISSING_FIELD');
+});
+
+test('ignores a username that is not in the signed claim context', () => {
+  const unsigned = {
+    claimData: { parameters: JSON.stringify({ url: 'https://www.instagram.com/p/C8xYz12AbCd/embed/' }), context: '{}' },
+    extractedParameterValues: { username: 'natgeo' }
+  };
+
+  assert.equal(readZkFetchProof(unsigned).username, null);
+  assertBindingError({ inputUrl: INPUT_URL, zkFetchProof: unsigned, proofs: providerProofs() }, 'MISSING_FIELD');
+});
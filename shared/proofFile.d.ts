@@ -0,0 +1,39 @@
+import { ClaimId } from './providers';
+
+export const BUNDLE_TYPE: 'instagram-proof-bundle';
+
+export const BUNDLE_VERSION: 1;
+
+export const PROOF_FILE_KINDS: {
+  OWNER_PROOF: 'ownerProof';
+  PROVIDER_PROOFS: 'providerProofs';
+  VERIFICATION: 'verification';
+  BUNDLE: 'bundle';
+};
+
+export type ProofFileKind = (typeof PROOF_FILE_KINDS)[keyof typeof PROOF_FILE_KINDS];
+
+export const PROOF_FILE_ERROR_CODES: {
+  NOT_JSON: 'NOT_JSON';
+  NOT_A_PROOF: 'NOT_A_PROOF';
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION';
+};
+
+export type ProofFileErrorCode = keyof typeof PROOF_FILE_ERROR_CODES;
+
+export class ProofFileError extends Error {
+  code: ProofFileErrorCode;
+  constructor(code: ProofFileErrorCode, message: string);
+}
+
+export interface ProofFile {
+  kind: ProofFileKind;
+  claim: ClaimId;
+  inputUrl: string | null;
+  zkFetchProof: any | null;
+  proofs: any[];
+  /** The whole bundle, for bundle files */
+  bundle: any | null;
+}
+
+export function readProofFile(text: string): ProofFile;
@@ -0,0 +1,117 @@
+/*
+ * Proof files
+ *
+ * Reads the JSON files proofs travel in outside the app, for the CLI
+ * (cli/index.js) and anything else that checks proofs offline:
+ * - a zkFetch post owner proof, as written by `prove` or logged by the app
+ * - Reclaim provider proofs, one or an array, as returned by the JS SDK
+ * - a verification record from GET /verifications/:id
+ * - a signed proof bundle from GET /verifications/:id/bundle
+ *
+ * Only the shape is checked here; the proofs still have to be verified.
+ */
+
+const { DEFAULT_CLAIM } = require('./providers');
+const { readZkFetchProof } = require('./proofBinding');
+
+/** Must match BUNDLE_TYPE / BUNDLE_VERSION in backend/bundles.ts */
+const BUNDLE_TYPE = 'instagram-proof-bundle';
+const BUNDLE_VERSION = 1;
+
+const PROOF_FILE_KINDS = {
+  OWNER_PROOF: 'ownerProof',
+  PROVIDER_PROOFS: 'providerProofs',
+  VERIFICATION: 'verification',
+  BUNDLE: 'bundle'
+};
+
+const PROOF_FILE_ERROR_CODES = {
+  /** The file is not valid JSON */
+  NOT_JSON: 'NOT_JSON',
+  /** Valid JSON, but not any of the PROOF_FILE_KINDS */
+  NOT_A_PROOF: 'NOT_A_PROOF',
+  /** A bundle of a version this code does not read */
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION'
+};
+
+class ProofFileError extends Error {
+  /**
+   * @param {string} code - One of PROOF_FILE_ERROR_CODES
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProofFileError';
+    this.code = code;
+  }
+}
+
+/** Anything signed by attestors has claim data and signatures */
+const isProof = (value) => Boolean(value && typeof value === 'object' && value.claimData && Array.isArray(value.signatures));
+
+/**
+ * True for a zkFetch post owner proof
+ * It fetched an embed page; provider proofs fetch Instagram's APIs
+ */
+const isOwnerProof = (proof) => /\/embed\/(captioned\/)?$/.test(readZkFetchProof(proof).url || '');
+
+/**
+ * Parses a proof file
+ *
+ * @param {string} text - File contents
+ * @returns {{kind: string, claim: string, inputUrl: string|null, zkFetchProof: Object|null, proofs: Object[], bundle: Object|null}}
+ *   `bundle` is set for bundles, whose signature the caller may check
+ * @throws {ProofFileError} If the text is not JSON or not a proof file
+ */
+const readProofFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new ProofFileError(PROOF_FILE_ERROR_CODES.NOT_JSON, `Not a JSON file: ${e.message}`);
+  }
+
+  const file = { claim: DEFAULT_CLAIM, inputUrl: null, zkFetchProof: null, proofs: [], bundle: null };
+
+  if (data?.type === BUNDLE_TYPE) {
+    if (data.version !== BUNDLE_VERSION) {
+      throw new ProofFileError(PROOF_FILE_ERROR_CODES.UNSUPPORTED_VERSION, `Unsupported bundle version ${data.version}`);
+    }
+    if (!Array.isArray(data.payload?.proofs) || !data.signature?.value) {
+      throw new ProofFileError(PROOF_FILE_ERROR_CODES.NOT_A_PROOF, 'The bundle is missing its proofs or signature');
+    }
+    const { claim, inputUrl, zkFetchProof, proofs } = data.payload;
+    return { ...file, kind: PROOF_FILE_KINDS.BUNDLE, claim: claim ?? DEFAULT_CLAIM, inputUrl, zkFetchProof, proofs, bundle: data };
+  }
+
+  if (Array.isArray(data?.proofs) && data.proofs.every(isProof)) {
+    return {
+      ...file,
+      kind: PROOF_FILE_KINDS.VERIFICATION,
+      claim: data.claim ?? DEFAULT_CLAIM,
+      inputUrl: data.inputUrl ?? null,
+      zkFetchProof: isProof(data.zkFetchProof) ? data.zkFetchProof : null,
+      proofs: data.proofs
+    };
+  }
+
+  if (isProof(data) && isOwnerProof(data)) {
+    return { ...file, kind: PROOF_FILE_KINDS.OWNER_PROOF, zkFetchProof: data };
+  }
+
+  const proofs = Array.isArray(data) ? data : [data];
+  if (proofs.length > 0 && proofs.every(isProof)) {
+    return { ...file, kind: PROOF_FILE_KINDS.PROVIDER_PROOFS, proofs };
+  }
+
+  throw new ProofFileError(PROOF_FILE_ERROR_CODES.NOT_A_PROOF, 'The file holds no Reclaim or zkFetch proof');
+};
+
+module.exports = {
+  BUNDLE_TYPE,
+  BUNDLE_VERSION,
+  PROOF_FILE_KINDS,
+  PROOF_FILE_ERROR_CODES,
+  ProofFileError,
+  readProofFile
+};
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROOF_FILE_KINDS, ProofFileError, readProofFile } = require('./proofFile');
+
+const ownerProof = {
+  claimData: {
+    parameters: JSON.stringify({ method: 'GET', url: 'https://www.instagram.com/p/C8xYz12AbCd/embed/' }),
+    context: JSON.stringify({ extractedParameters: { username: 'natgeo' } })
+  },
+  signatures: ['0xowner'],
+  extractedParameterValues: { username: 'natgeo' }
+};
+
+const providerProof = {
+  claimData: {
+    parameters: JSON.stringify({ url: 'https://www.instagram.com/graphql/query/' }),
+    context: JSON.stringify({ extractedParameters: { media_code: 'C8xYz12AbCd' } })
+  },
+  signatures: ['0xprovider'],
+  publicData: { username: 'natgeo' }
+};
+
+const assertFileError = (text, code) => {
+  assert.throws(() => readProofFile(text), (error) => error instanceof ProofFileError && error.code === code);
+};
+
+test('reads a zkFetch owner proof and provider proofs', () => {
+  const owner = readProofFile(JSON.stringify(ownerProof));
+  assert.equal(owner.kind, PROOF_FILE_KINDS.OWNER_PROOF);
+  assert.deepEqual(owner.zkFetchProof, ownerProof);
+  assert.deepEqual(owner.proofs, []);
+
+  assert.deepEqual(readProofFile(JSON.stringify([providerProof])).proofs, [providerProof]);
+  const single = readProofFile(JSON.stringify(providerProof));
+  assert.equal(single.kind, PROOF_FILE_KINDS.PROVIDER_PROOFS);
+  assert.equal(single.claim, 'post');
+});
+
+test('reads verification records and bundles', () => {
+  const record = readProofFile(JSON.stringify({
+    id: '6f1c', claim: 'reelStats', inputUrl: 'https://instagram.com/reel/C8xYz12AbCd/', proofs: [providerProof], zkFetchProof: ownerProof
+  }));
+  assert.equal(record.kind, PROOF_FILE_KINDS.VERIFICATION);
+  assert.equal(record.claim, 'reelStats');
+  assert.deepEqual(record.zkFetchProof, ownerProof);
+
+  const bundle = {
+    type: 'instagram-proof-bundle',
+    version: 1,
+    payload: { inputUrl: null, mediaCode: 'C8xYz12AbCd', zkFetchProof: null, proofs: [providerProof] },
+    signature: { value: 'sig' }
+  };
+  const read = readProofFile(JSON.stringify(bundle));
+  assert.equal(read.kind, PROOF_FILE_KINDS.BUNDLE);
+  assert.equal(read.claim, 'post');
+  assert.deepEqual(read.bundle, bundle);
+
+  assertFileError(JSON.stringify({ ...bundle, version: 2 }), 'UNSUPPORTED_VERSION');
+  assertFileError(JSON.stringify({ ...bundle, signature: undefined }), 'NOT_A_PROOF');
+});
+
+test('rejects files that hold no proof', () => {
+  assertFileError('{"proofs": [', 'NOT_JSON');
+  assertFileError('{"hello": "world"}', 'NOT_A_PROOF');
+  assertFileError('[]', 'NOT_A_PROOF');
+  assertFileError('null', 'NOT_A_PROOF');
+});
@@ -0,0 +1,17 @@
+export const CONTEXT_MESSAGE_PREFIX: 'instagram_verification';
+
+export const NONCE_ERROR_CODES: {
+  NONCE_MISSING: 'NONCE_MISSING';
+  NONCE_MISMATCH: 'NONCE_MISMATCH';
+  NONCE_UNKNOWN: 'NONCE_UNKNOWN';
+  NONCE_EXPIRED: 'NONCE_EXPIRED';
+  NONCE_USED: 'NONCE_USED';
+};
+
+export type NonceErrorCode = keyof typeof NONCE_ERROR_CODES;
+
+export const NONCE_PATTERN: RegExp;
+
+export function toContextMessage(nonce: string): string;
+
+export function readProofNonce(proof: any): string | null;
@@ -0,0 +1,72 @@
+/*
+ * Proof nonces
+ *
+ * The backend issues a single-use nonce with every /sign token (and every
+ * server-side zkFetch). It is carried in the `contextMessage` of both the
+ * zkFetch owner proof and the Reclaim provider proofs, so a proof is only
+ * accepted once, by the session that asked for it, and before the nonce
+ * expires. Proofs made without a nonce, or captured and sent again, are
+ * rejected by the backend (see backend/nonces.ts).
+ */
+
+/** Context message used before nonces, and the prefix of every context message */
+const CONTEXT_MESSAGE_PREFIX = 'instagram_verification';
+
+/**
+ * Reasons the backend rejects a nonce, sent as `code` in its error bodies
+ * A proof with a rejected nonce cannot be used again; a new one is needed
+ */
+const NONCE_ERROR_CODES = {
+  /** The proof was made without a nonce */
+  NONCE_MISSING: 'NONCE_MISSING',
+  /** The proofs carry different nonces */
+  NONCE_MISMATCH: 'NONCE_MISMATCH',
+  /** Never issued, or issued to another session */
+  NONCE_UNKNOWN: 'NONCE_UNKNOWN',
+  NONCE_EXPIRED: 'NONCE_EXPIRED',
+  NONCE_USED: 'NONCE_USED'
+};
+
+/** 16 random bytes, hex encoded */
+const NONCE_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Builds the proof context message carrying a nonce
+ *
+ * @param {string} nonce - Nonce issued by the backend
+ * @returns {string} e.g. `instagram_verification:3f2a...`
+ */
+const toContextMessage = (nonce) => `${CONTEXT_MESSAGE_PREFIX}:${nonce}`;
+
+/**
+ * Reads the nonce from a proof's signed claim context
+ *
+ * @param {Object} proof - zkFetch or Reclaim provider proof
+ * @returns {string|null} The nonce, or null if the proof carries none
+ */
+const readProofNonce = (proof) => {
+  let context = proof?.claimData?.context;
+  if (typeof context === 'string') {
+    try {
+      context = JSON.parse(context);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const message = context?.contextMessage;
+  if (typeof message !== 'string' || !message.startsWith(`${CONTEXT_MESSAGE_PREFIX}:`)) {
+    return null;
+  }
+
+  const nonce = message.slice(CONTEXT_MESSAGE_PREFIX.length + 1);
+  return NONCE_PATTERN.test(nonce) ? nonce : null;
+};
+
+module.exports = {
+  CONTEXT_MESSAGE_PREFIX,
+  NONCE_ERROR_CODES,
+  NONCE_PATTERN,
+  toContextMessage,
+  readProofNonce
+};
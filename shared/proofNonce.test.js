@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readProofNonce, toContextMessage } = require('./proofNonce');
+
+const NONCE = '0123456789abcdef0123456789abcdef';
+
+const proofWith = (context) => ({ claimData: { context } });
+
+test('reads the nonce from a JSON string or object context', () => {
+  const context = { contextAddress: '0x0', contextMessage: toContextMessage(NONCE) };
+  assert.equal(readProofNonce(proofWith(JSON.stringify(context))), NONCE);
+  assert.equal(readProofNonce(proofWith(context)), NONCE);
+});
+
+test('returns null for proofs without a nonce', () => {
+  assert.equal(readProofNonce(proofWith(JSON.stringify({ contextMessage: 'instagram_verification' }))), null);
+  assert.equal(readProofNonce(proofWith(JSON.stringify({ extractedParameters: {} }))), null);
+  assert.equal(readProofNonce(proofWith('not json')), null);
+  assert.equal(readProofNonce({}), null);
+  assert.equal(readProofNonce(null), null);
+});
+
+test('rejects malformed nonces', () => {
+  assert.equal(readProofNonce(proofWith({ contextMessage: 'instagram_verification:abc' })), null);
+  assert.equal(readProofNonce(proofWith({ contextMessage: `other:${NONCE}` })), null);
+  assert.equal(readProofNonce(proofWith({ contextMessage: `instagram_verification:${NONCE.toUpperCase()}` })), null);
+});
@@ -0,0 +1,76 @@
+import { PostData, PostDataConflict } from './postData';
+import { PublicDataValidation } from './publicDataSchema';
+
+export const CLAIMS: {
+  POST: 'post';
+  REEL_STATS: 'reelStats';
+  PROFILE: 'profile';
+  FOLLOWERS: 'followers';
+};
+
+export type ClaimId = (typeof CLAIMS)[keyof typeof CLAIMS];
+
+export const DEFAULT_CLAIM: 'post';
+
+/** Fields every claim result has */
+export interface ClaimResult {
+  username: string | null;
+  mediaCode?: string | null;
+  conflicts: PostDataConflict[];
+  [field: string]: unknown;
+}
+
+export interface ReelStats extends ClaimResult {
+  mediaCode: string | null;
+  plays: number | null;
+  likes: number | null;
+  comments: number | null;
+}
+
+export interface ProfileResult extends ClaimResult {
+  fullName: string | null;
+  profilePic: string | null;
+  biography: string | null;
+  isVerified: boolean | null;
+  isPrivate: boolean | null;
+}
+
+export interface FollowersResult extends ClaimResult {
+  followers: number | null;
+  following: number | null;
+  posts: number | null;
+}
+
+export interface ProviderEntry<Target = any, Result extends ClaimResult | PostData = ClaimResult | PostData> {
+  id: ClaimId;
+  label: string;
+  description: string;
+  /** Default Reclaim provider ID; null if it must be configured */
+  providerId: string | null;
+  /** Backend environment variable that overrides `providerId` */
+  providerIdEnv: string;
+  /** Whether a zkFetch owner proof is made before the Reclaim step */
+  ownerProof: boolean;
+  inputPlaceholder: string;
+  /** @throws {InstagramUrlError} If the input does not fit the claim */
+  parseInput(input: string): Target;
+  /** URL the claim's nonce is issued for */
+  targetUrl(target: Target): string;
+  describeTarget(target: Target): string;
+  buildParams(target: Target): Record<string, string>;
+  validatePublicData(publicData: any): PublicDataValidation;
+  extract(proofs: any[] | null | undefined): Result | null;
+  /** @throws {ProofBindingError} If the proofs are not about the entered target */
+  bind(params: {
+    inputUrl: string;
+    zkFetchProof?: any;
+    proofs: any[];
+    result: Result | null;
+  }): { mediaCode: string | null; username: string };
+}
+
+export const PROVIDERS: Record<ClaimId, ProviderEntry>;
+
+export function getProvider(claim: unknown): ProviderEntry | null;
+
+export function listProviders(): ProviderEntry[];
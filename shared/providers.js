@@ -0,0 +1,219 @@
+/*
+ * Provider registry
+ *
+ * Every claim the app can verify is backed by one Reclaim provider. An
+ * entry holds everything that differs between claims, so the frontend,
+ * the backend and the verification flow stay claim-agnostic:
+ *
+ * - `providerId`: Reclaim provider ID (overridable on the backend with
+ *   the `providerIdEnv` variable; claims without one are unavailable)
+ * - `parseInput`: turns what the user entered into the claim's target
+ * - `buildParams`: the `setParams` values of the proof request
+ * - `validatePublicData`: the publicData schema the proofs must match
+ * - `extract`: reads the verified result out of the proofs
+ * - `bind`: checks the proofs are about the entered target
+ * - `ownerProof`: whether a zkFetch owner proof comes first
+ *
+ * The result renderer of each claim lives on the frontend
+ * (frontend/src/components/ClaimResult.js), keyed by the same claim id.
+ */
+
+const {
+  InstagramUrlError,
+  URL_ERROR_CODES,
+  parseInstagramProfile,
+  parseInstagramUrl
+} = require('./instagramUrl');
+const { compareKey, extractPostData, mergeProofFields, readMediaCode } = require('./postData');
+const { BINDING_ERROR_CODES, ProofBindingError, bindProofs } = require('./proofBinding');
+const { checkSchema, validatePublicData } = require('./publicDataSchema');
+
+const CLAIMS = {
+  POST: 'post',
+  REEL_STATS: 'reelStats',
+  PROFILE: 'profile',
+  FOLLOWERS: 'followers'
+};
+
+/** Claim used when a caller does not pick one */
+const DEFAULT_CLAIM = CLAIMS.POST;
+
+/** publicData of the reel stats provider */
+const REEL_STATS_FIELDS = {
+  username: { type: 'string', required: true },
+  playCount: { type: 'count', required: true },
+  likesCount: { type: 'count' },
+  commentsCount: { type: 'count' }
+};
+
+/** publicData of the profile provider */
+const PROFILE_FIELDS = {
+  username: { type: 'string', required: true },
+  fullName: { type: 'text' },
+  profilePicUrl: { type: 'url' },
+  biography: { type: 'text' },
+  isVerified: { type: 'boolean' },
+  isPrivate: { type: 'boolean' }
+};
+
+/** publicData of the follower count provider */
+const FOLLOWERS_FIELDS = {
+  username: { type: 'string', required: true },
+  followersCount: { type: 'count', required: true },
+  followingCount: { type: 'count' },
+  postsCount: { type: 'count' }
+};
+
+/** Validator for providers with a single, unversioned schema */
+const singleSchema = (fields) => (publicData) => ({ version: 1, ...checkSchema(publicData, fields) });
+
+/** Counts may be sent as digit strings */
+const toCount = (value) => (value === undefined || value === null ? null : Number(value));
+
+/**
+ * Merges the fields `read` finds in each proof, reporting disagreements
+ *
+ * @returns {Object|null} Merged fields (missing ones null) with `conflicts`, or null without proofs
+ */
+const extractFields = (proofs, read) => {
+  if (!proofs || proofs.length === 0) return null;
+
+  const found = proofs.map((proof) => read(proof?.publicData || {}, proof));
+  const { merged, conflicts } = mergeProofFields(found, { conflictFields: Object.keys(found[0]), compareKey });
+  const result = Object.fromEntries(Object.keys(found[0]).map((field) => [field, merged[field] ?? null]));
+  return { ...result, conflicts };
+};
+
+/** Profile claims must be about the entered account */
+const bindProfile = ({ inputUrl, result }) => {
+  const { username } = parseInstagramProfile(inputUrl);
+
+  if (!result?.username) {
+    throw new ProofBindingError(
+      BINDING_ERROR_CODES.MISSING_FIELD,
+      'The verification proof does not contain a username'
+    );
+  }
+  if (result.username.toLowerCase() !== username) {
+    throw new ProofBindingError(
+      BINDING_ERROR_CODES.USERNAME_MISMATCH,
+      `The verification proof is for @${result.username}, not for the account you entered (@${username})`
+    );
+  }
+  return { mediaCode: null, username };
+};
+
+/** Post claims bind the owner proof and the provider proofs (see shared/proofBinding.js) */
+const bindPost = ({ inputUrl, zkFetchProof, proofs, result }) =>
+  bindProofs({ inputUrl, zkFetchProof, proofs, subject: result });
+
+const PROVIDERS = {
+  [CLAIMS.POST]: {
+    id: CLAIMS.POST,
+    label: 'Post',
+    description: 'Prove you own an Instagram post',
+    providerId: 'd5de1224-00b3-410b-916e-a1177b17f130',
+    providerIdEnv: 'INSTAGRAM_POST_PROVIDER_ID',
+    ownerProof: true,
+    inputPlaceholder: 'Paste Instagram post URL',
+    parseInput: parseInstagramUrl,
+    targetUrl: ({ embedUrl }) => embedUrl,
+    describeTarget: ({ mediaCode }) => `post ${mediaCode}`,
+    buildParams: ({ mediaCode }) => ({ media_code: mediaCode }),
+    validatePublicData,
+    extract: extractPostData,
+    bind: bindPost
+  },
+  [CLAIMS.REEL_STATS]: {
+    id: CLAIMS.REEL_STATS,
+    label: 'Reel Stats',
+    description: 'Prove the plays, likes and comments of your reel',
+    providerId: null,
+    providerIdEnv: 'INSTAGRAM_REEL_STATS_PROVIDER_ID',
+    ownerProof: true,
+    inputPlaceholder: 'Paste Instagram reel URL',
+    parseInput: (input) => {
+      const parsed = parseInstagramUrl(input);
+      if (parsed.type !== 'reel') {
+        throw new InstagramUrlError(URL_ERROR_CODES.UNSUPPORTED_PATH, 'Reel stats need a reel link, e.g. instagram.com/reel/ABC123');
+      }
+      return parsed;
+    },
+    targetUrl: ({ embedUrl }) => embedUrl,
+    describeTarget: ({ mediaCode }) => `reel ${mediaCode}`,
+    buildParams: ({ mediaCode }) => ({ media_code: mediaCode }),
+    validatePublicData: singleSchema(REEL_STATS_FIELDS),
+    extract: (proofs) => extractFields(proofs, (data, proof) => ({
+      username: data.username ?? null,
+      mediaCode: readMediaCode(proof),
+      plays: toCount(data.playCount),
+      likes: toCount(data.likesCount),
+      comments: toCount(data.commentsCount)
+    })),
+    bind: bindPost
+  },
+  [CLAIMS.PROFILE]: {
+    id: CLAIMS.PROFILE,
+    label: 'Profile',
+    description: 'Prove you own an Instagram account',
+    providerId: null,
+    providerIdEnv: 'INSTAGRAM_PROFILE_PROVIDER_ID',
+    ownerProof: false,
+    inputPlaceholder: 'Instagram username or profile URL',
+    parseInput: parseInstagramProfile,
+    targetUrl: ({ profileUrl }) => profileUrl,
+    describeTarget: ({ username }) => `@${username}`,
+    buildParams: ({ username }) => ({ username }),
+    validatePublicData: singleSchema(PROFILE_FIELDS),
+    extract: (proofs) => extractFields(proofs, (data) => ({
+      username: data.username ?? null,
+      fullName: data.fullName ?? null,
+      profilePic: data.profilePicUrl ?? null,
+      biography: data.biography ?? null,
+      isVerified: data.isVerified ?? null,
+      isPrivate: data.isPrivate ?? null
+    })),
+    bind: bindProfile
+  },
+  [CLAIMS.FOLLOWERS]: {
+    id: CLAIMS.FOLLOWERS,
+    label: 'Followers',
+    description: 'Prove the follower count of your account',
+    providerId: null,
+    providerIdEnv: 'INSTAGRAM_FOLLOWERS_PROVIDER_ID',
+    ownerProof: false,
+    inputPlaceholder: 'Instagram username or profile URL',
+    parseInput: parseInstagramProfile,
+    targetUrl: ({ profileUrl }) => profileUrl,
+    describeTarget: ({ username }) => `@${username}`,
+    buildParams: ({ username }) => ({ username }),
+    validatePublicData: singleSchema(FOLLOWERS_FIELDS),
+    extract: (proofs) => extractFields(proofs, (data) => ({
+      username: data.username ?? null,
+      followers: toCount(data.followersCount),
+      following: toCount(data.followingCount),
+      posts: toCount(data.postsCount)
+    })),
+    bind: bindProfile
+  }
+};
+
+/**
+ * Looks up the registry entry of a claim
+ *
+ * @param {string} claim - CLAIMS value
+ * @returns {Object|null} Provider entry, or null for unknown claims
+ */
+const getProvider = (claim) =>
+  (Object.prototype.hasOwnProperty.call(PROVIDERS, claim) ? PROVIDERS[claim] : null);
+
+/** Every registered provider, in picker order */
+const listProviders = () => Object.values(PROVIDERS);
+
+module.exports = {
+  CLAIMS,
+  DEFAULT_CLAIM,
+  PROVIDERS,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CLAIMS, DEFAULT_CLAIM, getProvider, listProviders } = require('./providers');
+const { InstagramUrlError } = require('./instagramUrl');
+const { ProofBindingError } = require('./proofBinding');
+
+const proof = (publicData, mediaCode) => ({
+  publicData,
+  claimData: {
+    context: JSON.stringify({ extractedParameters: mediaCode ? { media_code: mediaCode } : {} })
+  }
+});
+
+test('registers every claim and defaults to post ownership', () => {
+  assert.deepEqual(listProviders().map(({ id }) => id), Object.values(CLAIMS));
+  assert.equal(getProvider(DEFAULT_CLAIM).providerId, 'd5de1224-00b3-410b-916e-a1177b17f130');
+  assert.equal(getProvider('toString'), null);
+  assert.equal(getProvider('stories'), null);
+});
+
+test('builds request params from the entered input', () => {
+  const post = getProvider(CLAIMS.POST);
+  const followers = getProvider(CLAIMS.FOLLOWERS);
+
+  assert.deepEqual(post.buildParams(post.parseInput('instagram.com/p/ABC123')), { media_code: 'ABC123' });
+  assert.deepEqual(followers.buildParams(followers.parseInput('@NatGeo')), { username: 'natgeo' });
+  assert.equal(followers.targetUrl(followers.parseInput('natgeo')), 'https://www.instagram.com/natgeo/');
+});
+
+test('reel stats only accept reel links', () => {
+  const reel = getProvider(CLAIMS.REEL_STATS);
+
+  assert.equal(reel.parseInput('https://www.instagram.com/reel/ABC123/').mediaCode, 'ABC123');
+  assert.throws(
+    () => reel.parseInput('https://www.instagram.com/p/ABC123/'),
+    (error) => error instanceof InstagramUrlError && error.code === 'UNSUPPORTED_PATH'
+  );
+});
+
+test('validates each claim against its own schema', () => {
+  const followers = getProvider(CLAIMS.FOLLOWERS);
+
+  assert.deepEqual(followers.validatePublicData({ username: 'natgeo', followersCount: '283000000' }).errors, []);
+  assert.deepEqual(followers.validatePublicData({ username: 'natgeo', followersCount: 'many' }).errors, [
+    { path: 'followersCount', problem: 'malformed', expected: 'a non-negative integer' }
+  ]);
+  assert.deepEqual(getProvider(CLAIMS.PROFILE).validatePublicData({}).errors, [
+    { path: 'username', problem: 'missing' }
+  ]);
+});
+
+test('extracts claim results and reports conflicts', () => {
+  const reel = getProvider(CLAIMS.REEL_STATS).extract([
+    proof({ username: 'natgeo', playCount: '1200', likesCount: 40 }, 'ABC123'),
+    proof({ username: 'NatGeo', playCount: 1300, commentsCount: 3 }, 'ABC123')
+  ]);
+
+  assert.equal(reel.username, 'natgeo');
+  assert.equal(reel.mediaCode, 'ABC123');
+  assert.equal(reel.likes, 40);
+  assert.equal(reel.comments, 3);
+  assert.deepEqual(reel.conflicts, [{ field: 'plays', values: [1200, 1300] }]);
+
+  const profile = getProvider(CLAIMS.PROFILE).extract([proof({ username: 'natgeo', isVerified: true })]);
+  assert.equal(profile.isVerified, true);
+  assert.equal(profile.fullName, null);
+  assert.equal(getProvider(CLAIMS.PROFILE).extract([]), null);
+});
+
+test('profile claims must be about the entered account', () => {
+  const profile = getProvider(CLAIMS.PROFILE);
+
+  assert.deepEqual(profile.bind({ inputUrl: '@NatGeo', proofs: [], result: { username: 'natgeo' } }), {
+    mediaCode: null,
+    username: 'natgeo'
+  });
+  assert.throws(
+    () => profile.bind({ inputUrl: 'natgeo', proofs: [], result: { username: 'nasa' } }),
+    (error) => error instanceof ProofBindingError && error.code === 'USERNAME_MISMATCH'
+  );
+});
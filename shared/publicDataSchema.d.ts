@@ -0,0 +1,69 @@
+import { MediaItem } from './postData';
+
+export const CURRENT_SCHEMA_VERSION: 3;
+
+/** `{type, required?}` for values, `{list: fields, required?}` for arrays of objects */
+export interface FieldSpec {
+  type?: string;
+  required?: boolean;
+  list?: Record<string, FieldSpec>;
+}
+
+export const SCHEMAS: Record<number, Record<string, FieldSpec>>;
+
+export type SchemaProblem = 'missing' | 'malformed' | 'unsupported';
+
+export interface SchemaError {
+  /** Field path, e.g. `media[1].url` */
+  path: string;
+  problem: SchemaProblem;
+  expected?: string;
+}
+
+/** Schema error tagged with the proof it was found in (0-based) */
+export interface ProofSchemaError extends SchemaError {
+  proof: number;
+  version: unknown;
+}
+
+export interface PublicDataValidation {
+  version: unknown;
+  valid: boolean;
+  errors: SchemaError[];
+}
+
+/** Post fields of one proof, mapped to the current model */
+export interface AdaptedPublicData {
+  username: string | null;
+  userProfilePic: string | null;
+  postId: string | null;
+  caption: string | null;
+  createdAt: string | number | null;
+  likes: number | null;
+  comments: number | null;
+  media: MediaItem[];
+}
+
+export class PublicDataError extends Error {
+  code: 'PUBLIC_DATA_INVALID';
+  errors: ProofSchemaError[];
+  constructor(errors: ProofSchemaError[]);
+}
+
+export function detectSchemaVersion(publicData: any): unknown;
+
+export function checkSchema(
+  publicData: any,
+  fields: Record<string, FieldSpec>
+): { valid: boolean; errors: SchemaError[] };
+
+export function validatePublicData(publicData: any): PublicDataValidation;
+
+export function adaptPublicData(publicData: any): AdaptedPublicData;
+
+export function formatSchemaErrors(errors: Array<SchemaError & { proof?: number }>): string;
+
+export function assertValidPublicData(
+  proofs: any[] | null | undefined,
+  validate?: (publicData: any) => PublicDataValidation
+): void;
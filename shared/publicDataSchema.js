@@ -0,0 +1,356 @@
+/*
+ * Versioned schemas for the Instagram provider's publicData
+ *
+ * The provider's output format has changed over time. Each format is
+ * described by a schema version, checked by `validatePublicData`, and
+ * mapped to the current post model by an adapter, so `extractPostData`
+ * never has to guess field names. When the provider changes its output
+ * again, add a schema and an adapter here instead of another fallback.
+ *
+ * Versions:
+ * - 1: `image`, `video`, `likes`, `comments`
+ * - 2: `imageUrl`, `videoUrl`, `likesCount`, `commentsCount`, optional `carouselMedia`
+ * - 3: `schemaVersion: 3`, an ordered `media` list, `likesCount`, `commentsCount`
+ *
+ * The frontend and backend both validate provider proofs with
+ * `assertValidPublicData` before accepting them. Claims other than post
+ * ownership check their own field specs with `checkSchema`.
+ */
+
+const CURRENT_SCHEMA_VERSION = 3;
+
+/** Value checks, with the wording used in error messages */
+const FIELD_TYPES = {
+  string: {
+    test: (value) => typeof value === 'string' && value.trim() !== '',
+    expected: 'a non-empty string'
+  },
+  text: {
+    test: (value) => typeof value === 'string',
+    expected: 'a string'
+  },
+  url: {
+    test: (value) => typeof value === 'string' && /^https?:\/\/\S+$/.test(value),
+    expected: 'an http(s) URL'
+  },
+  count: {
+    test: (value) => (Number.isInteger(value) && value >= 0) || (typeof value === 'string' && /^\d+$/.test(value)),
+    expected: 'a non-negative integer'
+  },
+  dimension: {
+    test: (value) => (Number.isInteger(value) && value > 0) || (typeof value === 'string' && /^[1-9]\d*$/.test(value)),
+    expected: 'a positive integer'
+  },
+  timestamp: {
+    test: (value) => (typeof value === 'number' && Number.isFinite(value))
+      || (typeof value === 'string' && !Number.isNaN(Date.parse(value))),
+    expected: 'a date string or unix timestamp'
+  },
+  mediaType: {
+    test: (value) => value === 'image' || value === 'video',
+    expected: '"image" or "video"'
+  },
+  boolean: {
+    test: (value) => typeof value === 'boolean',
+    expected: 'true or false'
+  }
+};
+
+/** Fields every version shares */
+const PROFILE_FIELDS = {
+  username: { type: 'string', required: true },
+  userProfilePic: { type: 'url' },
+  postId: { type: 'string' },
+  caption: { type: 'text' },
+  createdAt: { type: 'timestamp' }
+};
+
+/**
+ * Field specs per version
+ * `{type, required?}` for values, `{list: fields, required?}` for arrays of objects
+ */
+const SCHEMAS = {
+  1: {
+    ...PROFILE_FIELDS,
+    image: { type: 'url' },
+    video: { type: 'url' },
+    likes: { type: 'count' },
+    comments: { type: 'count' }
+  },
+  2: {
+    ...PROFILE_FIELDS,
+    imageUrl: { type: 'url' },
+    videoUrl: { type: 'url' },
+    likesCount: { type: 'count' },
+    commentsCount: { type: 'count' },
+    carouselMedia: {
+      list: {
+        index: { type: 'count' },
+        imageUrl: { type: 'url', required: true },
+        videoUrl: { type: 'url' },
+        isVideo: { type: 'boolean' },
+        width: { type: 'dimension' },
+        height: { type: 'dimension' }
+      }
+    }
+  },
+  3: {
+    ...PROFILE_FIELDS,
+    likesCount: { type: 'count' },
+    commentsCount: { type: 'count' },
+    media: {
+      required: true,
+      list: {
+        type: { type: 'mediaType', required: true },
+        url: { type: 'url', required: true },
+        posterUrl: { type: 'url' },
+        width: { type: 'dimension' },
+        height: { type: 'dimension' }
+      }
+    }
+  }
+};
+
+/** Fields that only appear in version 2 */
+const VERSION_2_FIELDS = ['imageUrl', 'videoUrl', 'likesCount', 'commentsCount', 'carouselMedia'];
+
+/**
+ * Error for provider proofs whose publicData does not match its schema
+ * `errors` holds `{proof, version, path, problem, expected}` per problem
+ */
+class PublicDataError extends Error {
+  constructor(errors) {
+    super(`The provider proof data is not in a known format: ${formatSchemaErrors(errors)}`);
+    this.name = 'PublicDataError';
+    this.code = 'PUBLIC_DATA_INVALID';
+    this.errors = errors;
+  }
+}
+
+const hasVersion = (table, version) => Object.prototype.hasOwnProperty.call(table, version);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Works out which schema a publicData object follows
+ * An explicit `schemaVersion` wins; older formats are recognized by their fields
+ *
+ * @param {Object} publicData
+ * @returns {number|*} Schema version, or the unsupported `schemaVersion` as given
+ */
+const detectSchemaVersion = (publicData) => {
+  if (!isObject(publicData)) return CURRENT_SCHEMA_VERSION;
+  if (publicData.schemaVersion !== undefined) return publicData.schemaVersion;
+  if (Array.isArray(publicData.media)) return 3;
+  if (VERSION_2_FIELDS.some((field) => publicData[field] !== undefined)) return 2;
+  return 1;
+};
+
+/** Checks an object against field specs, appending problems to `errors` */
+const checkFields = (value, fields, path, errors) => {
+  for (const [name, spec] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    const fieldValue = value[name];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (spec.required) errors.push({ path: fieldPath, problem: 'missing' });
+      continue;
+    }
+
+    if (spec.list) {
+      if (!Array.isArray(fieldValue) || (spec.required && fieldValue.length === 0)) {
+        errors.push({ path: fieldPath, problem: 'malformed', expected: 'a non-empty list' });
+        continue;
+      }
+      fieldValue.forEach((item, index) => {
+        if (isObject(item)) {
+          checkFields(item, spec.list, `${fieldPath}[${index}]`, errors);
+        } else {
+          errors.push({ path: `${fieldPath}[${index}]`, problem: 'malformed', expected: 'an object' });
+        }
+      });
+      continue;
+    }
+
+    const type = FIELD_TYPES[spec.type];
+    if (!type.test(fieldValue)) {
+      errors.push({ path: fieldPath, problem: 'malformed', expected: type.expected });
+    }
+  }
+};
+
+/**
+ * Checks publicData against one set of field specs
+ * Other claims (see shared/providers.js) describe their output with the
+ * same `{type, required?}` / `{list}` specs and validate it here
+ *
+ * @param {Object} publicData - `publicData` of a provider proof
+ * @param {Object} fields - Field specs, like the entries of SCHEMAS
+ * @returns {{valid: boolean, errors: Array}} One `{path, problem, expected?}` per problem
+ */
+const checkSchema = (publicData, fields) => {
+  if (!isObject(publicData)) {
+    return { valid: false, errors: [{ path: 'publicData', problem: 'missing' }] };
+  }
+
+  const errors = [];
+  checkFields(publicData, fields, '', errors);
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Validates post publicData against the schema of its version
+ *
+ * @param {Object} publicData - `publicData` of a provider proof
+ * @returns {{version: number|*, valid: boolean, errors: Array}} One
+ *   `{path, problem, expected?}` per missing, malformed or unsupported field
+ */
+const validatePublicData = (publicData) => {
+  const version = detectSchemaVersion(publicData);
+
+  if (isObject(publicData) && !hasVersion(SCHEMAS, version)) {
+    return {
+      version,
+      valid: false,
+      errors: [{ path: 'schemaVersion', problem: 'unsupported', expected: Object.keys(SCHEMAS).join(', ') }]
+    };
+  }
+
+  return { version, ...checkSchema(publicData, SCHEMAS[version]) };
+};
+
+/** Field value if it passes its type check, otherwise null */
+const pick = (value, type) => (value !== undefined && value !== null && FIELD_TYPES[type].test(value) ? value : null);
+
+const toNumber = (value) => (value === null ? null : Number(value));
+
+/** Builds a media item from checked values; null without a URL */
+const mediaItem = ({ type, url, posterUrl = null, width = null, height = null }) => (url
+  ? { type, url, posterUrl, width: toNumber(width), height: toNumber(height) }
+  : null);
+
+/** Single photo or video from separate image and video URLs */
+const singleMedia = (imageUrl, videoUrl) => [videoUrl
+  ? mediaItem({ type: 'video', url: videoUrl, posterUrl: imageUrl })
+  : mediaItem({ type: 'image', url: imageUrl })];
+
+/** Only objects in a list, in their original order */
+const objects = (list) => (Array.isArray(list) ? list.filter(isObject) : []);
+
+/**
+ * Adapters from each version to the current post model
+ * They only take values that pass the schema's type checks, so an invalid
+ * field becomes null instead of a wrong value
+ */
+const ADAPTERS = {
+  1: (data) => ({
+    media: singleMedia(pick(data.image, 'url'), pick(data.video, 'url')),
+    likes: toNumber(pick(data.likes, 'count')),
+    comments: toNumber(pick(data.comments, 'count'))
+  }),
+  2: (data) => {
+    const children = objects(data.carouselMedia)
+      .map((child, position) => ({ child, order: toNumber(pick(child.index, 'count')) ?? position }))
+      .sort((a, b) => a.order - b.order)
+      .map(({ child }) => {
+        const videoUrl = pick(child.videoUrl, 'url');
+        return mediaItem({
+          type: videoUrl ? 'video' : 'image',
+          url: videoUrl || pick(child.imageUrl, 'url'),
+          posterUrl: videoUrl ? pick(child.imageUrl, 'url') : null,
+          width: pick(child.width, 'dimension'),
+          height: pick(child.height, 'dimension')
+        });
+      });
+
+    return {
+      media: children.length > 0 ? children : singleMedia(pick(data.imageUrl, 'url'), pick(data.videoUrl, 'url')),
+      likes: toNumber(pick(data.likesCount, 'count')),
+      comments: toNumber(pick(data.commentsCount, 'count'))
+    };
+  },
+  3: (data) => ({
+    media: objects(data.media).map((item) => mediaItem({
+      type: pick(item.type, 'mediaType') || 'image',
+      url: pick(item.url, 'url'),
+      posterUrl: pick(item.posterUrl, 'url'),
+      width: pick(item.width, 'dimension'),
+      height: pick(item.height, 'dimension')
+    })),
+    likes: toNumber(pick(data.likesCount, 'count')),
+    comments: toNumber(pick(data.commentsCount, 'count'))
+  })
+};
+
+/**
+ * Maps publicData of any supported version to the current post model
+ *
+ * @param {Object} publicData - `publicData` of a provider proof
+ * @returns {Object} `{username, userProfilePic, postId, caption, createdAt,
+ *   media, likes, comments}`; missing or invalid fields are null (media: [])
+ */
+const adaptPublicData = (publicData) => {
+  const data = isObject(publicData) ? publicData : {};
+  const version = detectSchemaVersion(data);
+  const adapted = hasVersion(ADAPTERS, version)
+    ? ADAPTERS[version](data)
+    : { media: [], likes: null, comments: null };
+
+  return {
+    username: pick(data.username, 'string'),
+    userProfilePic: pick(data.userProfilePic, 'url'),
+    postId: pick(data.postId, 'string'),
+    caption: pick(data.caption, 'text'),
+    createdAt: pick(data.createdAt, 'timestamp'),
+    likes: adapted.likes,
+    comments: adapted.comments,
+    media: adapted.media
+      .filter(Boolean)
+      .map((item, index) => ({ index, ...item }))
+  };
+};
+
+/**
+ * Formats schema problems for an error message
+ * e.g. `proof 2: media[1].url is malformed (expected an http(s) URL)`
+ *
+ * @param {Array} errors - Problems from `validatePublicData`, optionally with `proof` (0-based)
+ * @returns {string}
+ */
+const formatSchemaErrors = (errors) => errors
+  .map(({ proof, path, problem, expected }) => {
+    const prefix = proof === undefined ? '' : `proof ${proof + 1}: `;
+    return `${prefix}${path} is ${problem}${expected ? ` (expected ${expected})` : ''}`;
+  })
+  .join('; ');
+
+/**
+ * Validates the publicData of every provider proof
+ *
+ * @param {Array} proofs - Proofs returned by the Reclaim JS SDK
+ * @param {Function} [validate=validatePublicData] - Validator of the claim's
+ *   provider, returning `{version, errors}` like `validatePublicData`
+ * @throws {PublicDataError} Listing every problem, tagged with its proof index and version
+ */
+const assertValidPublicData = (proofs, validate = validatePublicData) => {
+  const errors = (proofs || []).flatMap((proof, index) => {
+    const result = validate(proof?.publicData);
+    return result.errors.map((error) => ({ proof: index, version: result.version, ...error }));
+  });
+
+  if (errors.length > 0) {
+    throw new PublicDataError(errors);
+  }
+};
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  SCHEMAS,
+  PublicDataError,
+  detectSchemaVersion,
+  checkSchema,
+  validatePublicData,
+  adaptPublicData,
+  formatSchemaErrors,
+  assertValidPublicData
+};
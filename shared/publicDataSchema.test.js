@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  assertValidPublicData,
+  detectSchemaVersion,
+  PublicDataError,
+  validatePublicData
+} = require('./publicDataSchema');
+
+test('detects the schema version from the fields present', () => {
+  assert.equal(detectSchemaVersion({ username: 'natgeo', image: 'https://cdn/1.jpg' }), 1);
+  assert.equal(detectSchemaVersion({ username: 'natgeo', imageUrl: 'https://cdn/1.jpg' }), 2);
+  assert.equal(detectSchemaVersion({ username: 'natgeo', media: [] }), 3);
+  assert.equal(detectSchemaVersion({ schemaVersion: 2, media: [] }), 2);
+});
+
+test('accepts valid data of every version', () => {
+  assert.deepEqual(validatePublicData({ username: 'natgeo', image: 'https://cdn/1.jpg', likes: 3 }).errors, []);
+  assert.deepEqual(validatePublicData({
+    username: 'natgeo',
+    carouselMedia: [{ imageUrl: 'https://cdn/1.jpg', width: 1080, height: 1350 }],
+    likesCount: '12',
+    createdAt: '2024-06-01T10:00:00Z'
+  }).errors, []);
+  assert.deepEqual(validatePublicData({
+    schemaVersion: 3,
+    username: 'natgeo',
+    media: [{ type: 'image', url: 'https://cdn/1.jpg' }]
+  }).errors, []);
+});
+
+test('reports exactly which fields are missing or malformed', () => {
+  const result = validatePublicData({
+    schemaVersion: 3,
+    caption: 42,
+    likesCount: -1,
+    media: [{ type: 'gif', url: 'https://cdn/1.gif' }, { type: 'image', width: 0 }]
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    { path: 'username', problem: 'missing' },
+    { path: 'caption', problem: 'malformed', expected: 'a string' },
+    { path: 'likesCount', problem: 'malformed', expected: 'a non-negative integer' },
+    { path: 'media[0].type', problem: 'malformed', expected: '"image" or "video"' },
+    { path: 'media[1].url', problem: 'missing' },
+    { path: 'media[1].width', problem: 'malformed', expected: 'a positive integer' }
+  ]);
+});
+
+test('rejects unsupported versions and missing publicData', () => {
+  assert.deepEqual(validatePublicData({ schemaVersion: 9, username: 'natgeo' }).errors, [
+    { path: 'schemaVersion', problem: 'unsupported', expected: '1, 2, 3' }
+  ]);
+  assert.deepEqual(validatePublicData(undefined).errors, [{ path: 'publicData', problem: 'missing' }]);
+});
+
+test('assertValidPublicData names the proof of each problem', () => {
+  const proofs = [
+    { publicData: { username: 'natgeo' } },
+    { publicData: { username: 'natgeo', imageUrl: 'not a url' } }
+  ];
+
+  assert.throws(
+    () => assertValidPublicData(proofs),
+    (error) => error instanceof PublicDataError
+      && error.code === 'PUBLIC_DATA_INVALID'
+      && error.errors.length === 1
+      && error.errors[0].proof === 1
+      && error.message.endsWith('proof 2: imageUrl is malformed (expected an http(s) URL)')
+  );
+  assert.doesNotThrow(() => assertValidPublicData([proofs[0]]));
+});
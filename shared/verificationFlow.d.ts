@@ -0,0 +1,90 @@
+import { ClaimId } from './providers';
+
+export const FLOW_STATES: {
+  IDLE: 'idle';
+  SIGNING: 'signing';
+  PROVING: 'proving';
+  OWNER_FOUND: 'ownerFound';
+  AWAITING_USER: 'awaitingUser';
+  VERIFYING: 'verifying';
+  VERIFIED: 'verified';
+  FAILED: 'failed';
+};
+
+export type FlowStatus = (typeof FLOW_STATES)[keyof typeof FLOW_STATES];
+
+export const VERIFY_MODES: {
+  POPUP: 'popup';
+  QR: 'qr';
+  SAME_TAB: 'sameTab';
+};
+
+export type VerifyMode = (typeof VERIFY_MODES)[keyof typeof VERIFY_MODES];
+
+export const FLOW_ERROR_CODES: {
+  TIMEOUT: 'TIMEOUT';
+};
+
+export type FlowTimeouts = Record<'signing' | 'proving' | 'awaitingUser' | 'verifying', number>;
+
+export const DEFAULT_TIMEOUTS: FlowTimeouts;
+
+export interface FlowError {
+  message: string;
+  type?: string;
+  code?: string;
+}
+
+export interface Flow {
+  status: FlowStatus;
+  attempt: number;
+  enteredAt: number | null;
+  url: string;
+  claim: ClaimId;
+  ownerProof: any | null;
+  username: string | null;
+  requestConfig: string | null;
+  sessionId: string | null;
+  mode: VerifyMode | null;
+  verificationId: string | null;
+  proofs: any[] | null;
+  error: FlowError | null;
+  failedFrom: FlowStatus | null;
+}
+
+export interface FlowSnapshot {
+  version: number;
+  status: FlowStatus;
+  url: string;
+  [field: string]: unknown;
+}
+
+export type FlowEvent = { attempt?: number; at?: number } & (
+  | { type: 'start'; url: string; claim?: ClaimId }
+  | { type: 'signed' }
+  | { type: 'ownerFound'; ownerProof: any; username: string | null }
+  | { type: 'requestReady'; requestConfig: string; sessionId?: string | null }
+  | { type: 'open'; mode?: VerifyMode }
+  | { type: 'submitted' }
+  | { type: 'verified'; verificationId?: string | null; proofs: any[] }
+  | { type: 'fail'; error: FlowError }
+  | { type: 'timeout'; status?: FlowStatus }
+  | { type: 'cancel' }
+  | { type: 'retry' }
+  | { type: 'reset' }
+  | { type: 'resume'; snapshot: FlowSnapshot | null }
+);
+
+export const initialFlow: Readonly<Flow>;
+
+export function flowReducer(flow: Flow, event: FlowEvent): Flow;
+
+export function retryNeedsOwnerProof(flow: Flow): boolean;
+
+export function remainingTime(flow: Flow, timeouts?: FlowTimeouts, now?: number): number | null;
+
+export function parseTimeouts(spec?: string): FlowTimeouts;
+
+export function toSnapshot(flow: Flow): FlowSnapshot;
+
+export function restoreFlow(snapshot: FlowSnapshot | null, attempt?: number): Flow;
@@ -0,0 +1,367 @@
+/*
+ * Verification flow state machine
+ *
+ * The ownership flow runs through these states:
+ *
+ *   idle -> signing -> proving -> ownerFound -> awaitingUser -> verifying -> verified
+ *
+ * and any active state can fail or time out. Claims without an owner proof
+ * (see shared/providers.js) skip signing and proving and start at ownerFound. `flowReducer` is a pure
+ * reducer over that machine; the caller does the async work and reports
+ * back with events. Every run gets an `attempt` number, and events tagged
+ * with an older attempt are ignored, so a cancelled zkFetch or popup that
+ * finishes late cannot overwrite a newer run.
+ *
+ * Progress can be saved with `toSnapshot` and restored with `restoreFlow`,
+ * so a pending Reclaim session survives a page reload, or the round trip
+ * through Reclaim in the same tab.
+ */
+
+const { NONCE_ERROR_CODES } = require('./proofNonce');
+const { DEFAULT_CLAIM, getProvider } = require('./providers');
+
+const FLOW_STATES = {
+  IDLE: 'idle',
+  /** Getting a zkFetch token (or handing the URL to the backend) */
+  SIGNING: 'signing',
+  /** zkFetch is proving who owns the post */
+  PROVING: 'proving',
+  /** Owner proof verified (or not needed); the Reclaim request is being prepared or is ready */
+  OWNER_FOUND: 'ownerFound',
+  /** Reclaim verification is open; waiting for the user to finish it */
+  AWAITING_USER: 'awaitingUser',
+  /** Proofs were submitted; waiting for them to be verified and stored */
+  VERIFYING: 'verifying',
+  VERIFIED: 'verified',
+  FAILED: 'failed'
+};
+
+/** Where the Reclaim verification page is opened */
+const VERIFY_MODES = {
+  /** New window opened by the app */
+  POPUP: 'popup',
+  /** QR code scanned with a phone */
+  QR: 'qr',
+  /** This tab navigates to Reclaim and is redirected back */
+  SAME_TAB: 'sameTab'
+};
+
+/** States that have work in flight and can be cancelled or time out */
+const ACTIVE_STATES = [
+  FLOW_STATES.SIGNING,
+  FLOW_STATES.PROVING,
+  FLOW_STATES.AWAITING_USER,
+  FLOW_STATES.VERIFYING
+];
+
+/** Default time limit per active state, in milliseconds */
+const DEFAULT_TIMEOUTS = {
+  signing: 30_000,
+  proving: 180_000,
+  awaitingUser: 600_000,
+  verifying: 60_000
+};
+
+/** Error codes set by the machine itself */
+const FLOW_ERROR_CODES = {
+  TIMEOUT: 'TIMEOUT'
+};
+
+/** Bumped when the snapshot layout changes; older snapshots are dropped */
+const SNAPSHOT_VERSION = 1;
+
+const initialFlow = Object.freeze({
+  status: FLOW_STATES.IDLE,
+  /** Run counter; async events carrying another attempt are ignored */
+  attempt: 0,
+  /** When the current state was entered (ms since epoch), for timeouts */
+  enteredAt: null,
+  url: '',
+  /** CLAIMS value being verified (see shared/providers.js) */
+  claim: DEFAULT_CLAIM,
+  ownerProof: null,
+  username: null,
+  /** Serialized ReclaimProofRequest from POST /proof-request */
+  requestConfig: null,
+  /** Backend session the Reclaim callback reports to */
+  sessionId: null,
+  /** VERIFY_MODES value the Reclaim step was opened with */
+  mode: null,
+  verificationId: null,
+  proofs: null,
+  /** `{message, type?, code?}` while failed; `type` is a ZKFETCH_ERROR_TYPES value */
+  error: null,
+  /** State the flow failed in, used by retry */
+  failedFrom: null
+});
+
+/** User-facing text for timeouts, per state */
+const TIMEOUT_MESSAGES = {
+  signing: 'The backend did not answer in time.',
+  proving: 'Fetching the post owner took too long.',
+  awaitingUser: 'The verification was not completed in time.',
+  verifying: 'The proof was submitted, but the backend did not confirm it in time.'
+};
+
+/** Moves to a state and records when it was entered */
+const enter = (flow, status, at, changes = {}) => ({
+  ...flow,
+  ...changes,
+  status,
+  enteredAt: at
+});
+
+/** True if the claim starts with a zkFetch owner proof */
+const needsOwnerProof = (claim) => getProvider(claim)?.ownerProof ?? true;
+
+/** Drops the Reclaim request so a fresh one is built for the next try */
+const withoutRequest = { requestConfig: null, sessionId: null, mode: null, error: null, failedFrom: null };
+
+/**
+ * Pure reducer for the verification flow
+ * Events that do not apply to the current state are ignored
+ *
+ * @param {Object} flow - Current flow state
+ * @param {Object} event - `{type, attempt?, at?, ...}`
+ * @returns {Object} Next flow state
+ */
+const flowReducer = (flow, event) => {
+  const at = event.at ?? Date.now();
+
+  // Late results from a cancelled or replaced run
+  if (event.attempt !== undefined && event.attempt !== flow.attempt) {
+    return flow;
+  }
+
+  switch (event.type) {
+    case 'start': {
+      if (flow.status !== FLOW_STATES.IDLE && flow.status !== FLOW_STATES.FAILED) return flow;
+      const claim = getProvider(event.claim) ? event.claim : DEFAULT_CLAIM;
+      const next = needsOwnerProof(claim) ? FLOW_STATES.SIGNING : FLOW_STATES.OWNER_FOUND;
+      return enter({ ...initialFlow, attempt: flow.attempt + 1 }, next, at, { url: event.url, claim });
+    }
+
+    case 'signed':
+      if (flow.status !== FLOW_STATES.SIGNING) return flow;
+      return enter(flow, FLOW_STATES.PROVING, at);
+
+    case 'ownerFound':
+      if (flow.status !== FLOW_STATES.PROVING) return flow;
+      return enter(flow, FLOW_STATES.OWNER_FOUND, at, {
+        ownerProof: event.ownerProof,
+        username: event.username
+      });
+
+    case 'requestReady':
+      if (flow.status !== FLOW_STATES.OWNER_FOUND) return flow;
+      return { ...flow, requestConfig: event.requestConfig, sessionId: event.sessionId ?? null };
+
+    case 'open':
+      if (flow.status !== FLOW_STATES.OWNER_FOUND || !flow.requestConfig) return flow;
+      return enter(flow, FLOW_STATES.AWAITING_USER, at, {
+        attempt: flow.attempt + 1,
+        mode: event.mode ?? VERIFY_MODES.POPUP
+      });
+
+    case 'submitted':
+      if (flow.status !== FLOW_STATES.AWAITING_USER) return flow;
+      return enter(flow, FLOW_STATES.VERIFYING, at);
+
+    case 'verified':
+      if (flow.status !== FLOW_STATES.AWAITING_USER && flow.status !== FLOW_STATES.VERIFYING) return flow;
+      return enter(flow, FLOW_STATES.VERIFIED, at, {
+        verificationId: event.verificationId ?? null,
+        proofs: event.proofs
+      });
+
+    case 'fail':
+    case 'timeout': {
+      const canFail = ACTIVE_STATES.includes(flow.status) || flow.status === FLOW_STATES.OWNER_FOUND;
+      if (!canFail) return flow;
+      // A timer set for an earlier state of the same run
+      if (event.type === 'timeout' && event.status && event.status !== flow.status) return flow;
+
+      const error = event.type === 'timeout'
+        ? { message: TIMEOUT_MESSAGES[flow.status], code: FLOW_ERROR_CODES.TIMEOUT }
+        : event.error;
+      return enter(flow, FLOW_STATES.FAILED, at, { error, failedFrom: flow.status });
+    }
+
+    case 'cancel':
+      if (flow.status === FLOW_STATES.SIGNING || flow.status === FLOW_STATES.PROVING) {
+        return enter(flow, FLOW_STATES.IDLE, at, { attempt: flow.attempt + 1 });
+      }
+      if (flow.status === FLOW_STATES.AWAITING_USER || flow.status === FLOW_STATES.VERIFYING) {
+        return enter(flow, FLOW_STATES.OWNER_FOUND, at, { ...withoutRequest, attempt: flow.attempt + 1 });
+      }
+      return flow;
+
+    case 'retry': {
+      if (flow.status !== FLOW_STATES.FAILED) return flow;
+      const attempt = flow.attempt + 1;
+
+      // Keep the owner proof when only the Reclaim part failed, unless the
+      // backend rejected its nonce (expired or used), which a new proof fixes.
+      // Claims without an owner proof get a new nonce with the next request
+      const nonceRejected = Object.prototype.hasOwnProperty.call(NONCE_ERROR_CODES, flow.error?.code);
+      if (!needsOwnerProof(flow.claim) || (flow.ownerProof && !nonceRejected)) {
+        return enter(flow, FLOW_STATES.OWNER_FOUND, at, { ...withoutRequest, attempt });
+      }
+      return enter({ ...initialFlow, attempt }, FLOW_STATES.SIGNING, at, { url: flow.url, claim: flow.claim });
+    }
+
+    case 'reset':
+      return { ...initialFlow, attempt: flow.attempt + 1 };
+
+    case 'resume':
+      return restoreFlow(event.snapshot, flow.attempt + 1);
+
+    default:
+      return flow;
+  }
+};
+
+/**
+ * True if retrying a failed flow starts over from zkFetch
+ * Read from the reducer, so the caller proves the owner exactly when the
+ * retried flow waits for it, e.g. also after a rejected nonce dropped the
+ * owner proof
+ *
+ * @param {Object} flow - Current flow state
+ * @returns {boolean}
+ */
+const retryNeedsOwnerProof = (flow) =>
+  flow.status === FLOW_STATES.FAILED && flowReducer(flow, { type: 'retry' }).status === FLOW_STATES.SIGNING;
+
+/**
+ * Milliseconds left before the current state times out
+ *
+ * @param {Object} flow - Current flow state
+ * @param {Object} [timeouts=DEFAULT_TIMEOUTS] - Limits per state in ms
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Remaining time, or null if the state has no limit
+ */
+const remainingTime = (flow, timeouts = DEFAULT_TIMEOUTS, now = Date.now()) => {
+  const limit = timeouts[flow.status];
+  if (!limit || flow.enteredAt === null) return null;
+  return Math.max(0, flow.enteredAt + limit - now);
+};
+
+/**
+ * Parses timeouts configured as `state:seconds` pairs
+ * e.g. `proving:300,awaitingUser:900`; unknown states and bad values are ignored
+ *
+ * @param {string} [spec] - Comma separated pairs
+ * @returns {Object} DEFAULT_TIMEOUTS with the configured values applied, in ms
+ */
+const parseTimeouts = (spec) => {
+  const timeouts = { ...DEFAULT_TIMEOUTS };
+  for (const entry of (spec || '').split(',')) {
+    const [state, seconds] = entry.trim().split(':');
+    const value = Number(seconds);
+    if (Object.prototype.hasOwnProperty.call(DEFAULT_TIMEOUTS, state) && value > 0) {
+      timeouts[state] = value * 1000;
+    }
+  }
+  return timeouts;
+};
+
+/**
+ * Fields worth saving across a reload
+ * Runs that were still signing or proving cannot be picked up again, so
+ * only the entered URL is kept for them
+ *
+ * @param {Object} flow - Current flow state
+ * @returns {Object} JSON-serializable snapshot
+ */
+const toSnapshot = (flow) => {
+  const resumable = [
+    FLOW_STATES.OWNER_FOUND,
+    FLOW_STATES.AWAITING_USER,
+    FLOW_STATES.VERIFYING,
+    FLOW_STATES.VERIFIED
+  ].includes(flow.status);
+
+  if (!resumable) {
+    return { version: SNAPSHOT_VERSION, status: FLOW_STATES.IDLE, url: flow.url, claim: flow.claim };
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    status: flow.status,
+    enteredAt: flow.enteredAt,
+    url: flow.url,
+    claim: flow.claim,
+    ownerProof: flow.ownerProof,
+    username: flow.username,
+    requestConfig: flow.requestConfig,
+    sessionId: flow.sessionId,
+    mode: flow.mode,
+    verificationId: flow.verificationId,
+    proofs: flow.proofs
+  };
+};
+
+/**
+ * Rebuilds a flow from a saved snapshot
+ * Invalid or outdated snapshots give an idle flow
+ *
+ * @param {Object|null} snapshot - Output of `toSnapshot`
+ * @param {number} [attempt=0] - Attempt number for the restored run
+ * @returns {Object} Flow state
+ */
+const restoreFlow = (snapshot, attempt = 0) => {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+    return { ...initialFlow, attempt };
+  }
+
+  const idle = {
+    ...initialFlow,
+    attempt,
+    url: typeof snapshot.url === 'string' ? snapshot.url : '',
+    // Snapshots from before the provider registry are post claims
+    claim: getProvider(snapshot.claim) ? snapshot.claim : DEFAULT_CLAIM
+  };
+
+  switch (snapshot.status) {
+    case FLOW_STATES.OWNER_FOUND:
+    case FLOW_STATES.AWAITING_USER:
+    case FLOW_STATES.VERIFYING:
+      if (!snapshot.ownerProof && needsOwnerProof(idle.claim)) return idle;
+      // Without its request config a pending session cannot be followed again
+      if (snapshot.status !== FLOW_STATES.OWNER_FOUND && !snapshot.requestConfig) return idle;
+      break;
+    case FLOW_STATES.VERIFIED:
+      if (!Array.isArray(snapshot.proofs)) return idle;
+      break;
+    default:
+      return idle;
+  }
+
+  return {
+    ...idle,
+    status: snapshot.status,
+    enteredAt: snapshot.enteredAt ?? null,
+    ownerProof: snapshot.ownerProof ?? null,
+    username: snapshot.username ?? null,
+    requestConfig: snapshot.requestConfig ?? null,
+    sessionId: snapshot.sessionId ?? null,
+    mode: snapshot.mode ?? null,
+    verificationId: snapshot.verificationId ?? null,
+    proofs: snapshot.proofs ?? null
+  };
+};
+
+module.exports = {
+  FLOW_STATES,
+  VERIFY_MODES,
+  FLOW_ERROR_CODES,
+  DEFAULT_TIMEOUTS,
+  initialFlow,
+  flowReducer,
+  retryNeedsOwnerProof,
+  remainingTime,
+  parseTimeouts,
+  toSnapshot,
+  restoreFlow
+};
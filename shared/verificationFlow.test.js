@@ -0,0 +1,200 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TIMEOUTS,
+  FLOW_ERROR_CODES,
+  flowReducer,
+  initialFlow,
+  parseTimeouts,
+  remainingTime,
+  restoreFlow,
+  retryNeedsOwnerProof,
+  toSnapshot
+} = require('./verificationFlow');
+
+const URL = 'https://www.instagram.com/p/C8xYz12AbCd/';
+const OWNER_PROOF = { identifier: '0xowner', extractedParameterValues: { username: 'natgeo' } };
+const PROOFS = [{ identifier: '0xpost' }];
+
+/** Runs events through the reducer, 1 second apart */
+const run = (events, flow = initialFlow) =>
+  events.reduce((state, event, index) => flowReducer(state, { at: 1000 * (index + 1), ...event }), flow);
+
+const ownerFound = () => run([
+  { type: 'start', url: URL },
+  { type: 'signed' },
+  { type: 'ownerFound', ownerProof: OWNER_PROOF, username: 'natgeo' },
+  { type: 'requestReady', requestConfig: '{"id":"req"}', sessionId: 'session-1' }
+]);
+
+test('walks the happy path to verified', () => {
+  const flow = run([
+    { type: 'open' },
+    { type: 'submitted' },
+    { type: 'verified', verificationId: 'v1', proofs: PROOFS }
+  ], ownerFound());
+
+  assert.equal(flow.status, 'verified');
+  assert.equal(flow.username, 'natgeo');
+  assert.equal(flow.verificationId, 'v1');
+  assert.deepEqual(flow.proofs, PROOFS);
+});
+
+test('ignores events that do not apply to the current state', () => {
+  assert.equal(flowReducer(initialFlow, { type: 'verified', proofs: PROOFS }), initialFlow);
+  assert.equal(run([{ type: 'start', url: URL }, { type: 'open' }]).status, 'signing');
+});
+
+test('ignores late results from a cancelled run', () => {
+  const started = run([{ type: 'start', url: URL }, { type: 'signed' }]);
+  const staleAttempt = started.attempt;
+  const cancelled = flowReducer(started, { type: 'cancel' });
+  const restarted = flowReducer(cancelled, { type: 'start', url: URL });
+
+  const late = flowReducer(restarted, { type: 'signed', attempt: staleAttempt });
+  assert.equal(late.status, 'signing');
+  assert.equal(flowReducer(restarted, { type: 'signed', attempt: restarted.attempt }).status, 'proving');
+});
+
+test('cancelling the Reclaim step keeps the owner proof', () => {
+  const flow = run([{ type: 'open' }, { type: 'cancel' }], ownerFound());
+
+  assert.equal(flow.status, 'ownerFound');
+  assert.equal(flow.ownerProof, OWNER_PROOF);
+  assert.equal(flow.requestConfig, null);
+});
+
+test('times out with a TIMEOUT error and remembers where it failed', () => {
+  const flow = run([{ type: 'open' }, { type: 'timeout', status: 'awaitingUser' }], ownerFound());
+
+  assert.equal(flow.status, 'failed');
+  assert.equal(flow.failedFrom, 'awaitingUser');
+  assert.equal(flow.error.code, FLOW_ERROR_CODES.TIMEOUT);
+});
+
+test('ignores a timer set for an earlier state', () => {
+  const flow = run([{ type: 'start', url: URL }, { type: 'signed' }, { type: 'timeout', status: 'signing' }]);
+  assert.equal(flow.status, 'proving');
+});
+
+test('retry restarts zkFetch, or only the Reclaim step once the owner is known', () => {
+  const proving = run([
+    { type: 'start', url: URL },
+    { type: 'signed' },
+    { type: 'fail', error: { message: 'attestor down' } },
+    { type: 'retry' }
+  ]);
+  assert.equal(proving.status, 'signing');
+  assert.equal(proving.url, URL);
+  assert.equal(proving.error, null);
+
+  const reclaim = run([{ type: 'open' }, { type: 'fail', error: { message: 'nope' } }, { type: 'retry' }], ownerFound());
+  assert.equal(reclaim.status, 'ownerFound');
+  assert.equal(reclaim.ownerProof, OWNER_PROOF);
+  assert.equal(reclaim.requestConfig, null);
+});
+
+test('retryNeedsOwnerProof follows where retry goes', () => {
+  const failedProving = run([{ type: 'start', url: URL }, { type: 'signed' }, { type: 'fail', error: { message: 'attestor down' } }]);
+  assert.equal(retryNeedsOwnerProof(failedProving), true);
+
+  const failedReclaim = run([{ type: 'open' }, { type: 'fail', error: { message: 'nope' } }], ownerFound());
+  assert.equal(retryNeedsOwnerProof(failedReclaim), false);
+  assert.equal(retryNeedsOwnerProof(ownerFound()), false);
+});
+
+test('retry makes a new owner proof once the backend rejected its nonce', () => {
+  const flow = run([
+    { type: 'open' },
+    { type: 'fail', error: { message: 'This proof was already used', code: 'NONCE_USED' } },
+    { type: 'retry' }
+  ], ownerFound());
+
+  assert.equal(flow.status, 'signing');
+  assert.equal(flow.url, URL);
+  assert.equal(flow.ownerProof, null);
+});
+
+test('retry after an expired or used nonce proves the owner again, though the failed flow still holds the old proof', () => {
+  for (const code of ['NONCE_EXPIRED', 'NONCE_USED']) {
+    const failed = run([
+      { type: 'open' },
+      { type: 'fail', error: { message: 'The proof nonce was rejected', code } }
+    ], ownerFound());
+
+    assert.equal(failed.ownerProof, OWNER_PROOF);
+    assert.equal(retryNeedsOwnerProof(failed), true);
+  }
+});
+
+test('claims without an owner proof skip zkFetch, also on retry and restore', () => {
+  const started = run([{ type: 'start', url: '@natgeo', claim: 'followers' }]);
+  assert.equal(started.status, 'ownerFound');
+  assert.equal(started.claim, 'followers');
+
+  const retried = run([
+    { type: 'requestReady', requestConfig: '{"id":"req"}' },
+    { type: 'open' },
+    { type: 'fail', error: { message: 'This proof was already used', code: 'NONCE_USED' } },
+    { type: 'retry' }
+  ], started);
+  assert.equal(retried.status, 'ownerFound');
+  assert.equal(retried.requestConfig, null);
+
+  const restored = restoreFlow(toSnapshot(started));
+  assert.equal(restored.status, 'ownerFound');
+  assert.equal(restored.claim, 'followers');
+});
+
+test('unknown claims start a post verification', () => {
+  assert.equal(run([{ type: 'start', url: URL, claim: 'stories' }]).claim, 'post');
+  assert.equal(restoreFlow({ version: 1, status: 'idle', url: URL }).claim, 'post');
+});
+
+test('remainingTime counts down from when the state was entered', () => {
+  const flow = run([{ type: 'start', url: URL }]);
+
+  assert.equal(remainingTime(flow, DEFAULT_TIMEOUTS, flow.enteredAt + 10_000), DEFAULT_TIMEOUTS.signing - 10_000);
+  assert.equal(remainingTime(flow, DEFAULT_TIMEOUTS, flow.enteredAt + 10 * 60_000), 0);
+  assert.equal(remainingTime(initialFlow), null);
+});
+
+test('parseTimeouts reads state:seconds pairs', () => {
+  assert.deepEqual(parseTimeouts('proving:300, awaitingUser:900,bogus:1,verifying:x'), {
+    ...DEFAULT_TIMEOUTS,
+    proving: 300_000,
+    awaitingUser: 900_000
+  });
+  assert.deepEqual(parseTimeouts(undefined), DEFAULT_TIMEOUTS);
+});
+
+test('opens in popup mode unless another mode is given', () => {
+  assert.equal(run([{ type: 'open' }], ownerFound()).mode, 'popup');
+  assert.equal(run([{ type: 'open', mode: 'qr' }], ownerFound()).mode, 'qr');
+});
+
+test('a pending Reclaim session survives a snapshot round trip', () => {
+  const pending = run([{ type: 'open', mode: 'sameTab' }], ownerFound());
+  const restored = restoreFlow(JSON.parse(JSON.stringify(toSnapshot(pending))));
+
+  assert.equal(restored.status, 'awaitingUser');
+  assert.equal(restored.mode, 'sameTab');
+  assert.equal(restored.enteredAt, pending.enteredAt);
+  assert.equal(restored.sessionId, 'session-1');
+  assert.equal(restored.requestConfig, '{"id":"req"}');
+  assert.deepEqual(restored.ownerProof, OWNER_PROOF);
+});
+
+test('runs that were still proving restore as idle with the entered URL', () => {
+  const proving = run([{ type: 'start', url: URL }, { type: 'signed' }]);
+  const restored = restoreFlow(toSnapshot(proving));
+
+  assert.equal(restored.status, 'idle');
+  assert.equal(restored.url, URL);
+});
+
+test('drops invalid or outdated snapshots', () => {
+  assert.equal(restoreFlow(null).status, 'idle');
+  assert.equal(restoreFlow({ version: 0, status: 'verified', proofs: PROOFS }).status, 'idle');
+  assert.equal(restoreFlow({ version: 1, status: 'awaitingUser', url: URL }).status, 'idle');
+});
@@ -0,0 +1,41 @@
+export const ZKFETCH_ERROR_TYPES: {
+  LOGIN_WALL: 'LOGIN_WALL';
+  NOT_FOUND: 'NOT_FOUND';
+  RATE_LIMITED: 'RATE_LIMITED';
+  BACKEND_RATE_LIMITED: 'BACKEND_RATE_LIMITED';
+  ATTESTOR_UNREACHABLE: 'ATTESTOR_UNREACHABLE';
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED';
+  PROOF_INVALID: 'PROOF_INVALID';
+  UNKNOWN: 'UNKNOWN';
+};
+
+export type ZkFetchErrorType = keyof typeof ZKFETCH_ERROR_TYPES;
+
+export const ERROR_DETAILS: Record<ZkFetchErrorType, {
+  message: string;
+  transient: boolean;
+  status: number;
+}>;
+
+export class ZkFetchError extends Error {
+  type: ZkFetchErrorType;
+  transient: boolean;
+  status: number;
+  cause?: unknown;
+  constructor(type: ZkFetchErrorType, message?: string, cause?: unknown);
+  toJSON(): { error: string; type: ZkFetchErrorType; message: string };
+}
+
+export function classifyZkFetchError(error: unknown): ZkFetchError;
+
+export function withRetry<T>(
+  task: (attempt: number) => Promise<T>,
+  options?: {
+    retries?: number;
+    baseDelayMs?: number;
+    maxDelayMs?: number;
+    onRetry?: (error: ZkFetchError, delayMs: number, retry: number) => void;
+    isCancelled?: () => boolean;
+    sleep?: (ms: number) => Promise<void>;
+  }
+): Promise<T>;
@@ -0,0 +1,181 @@
+/*
+ * Error taxonomy for the post owner proof
+ *
+ * zkFetch, the attestor and Instagram fail in many ways, most of them
+ * surfacing as free-form messages. `classifyZkFetchError` maps them to a
+ * small set of types with a user-facing message each, and marks the
+ * transient ones so callers can retry them with `withRetry`.
+ *
+ * The backend returns the type in its error bodies (`type` field), and
+ * the classifier reads it back, so a type survives the HTTP hop.
+ */
+
+const ZKFETCH_ERROR_TYPES = {
+  /** Instagram served its login page instead of the embed */
+  LOGIN_WALL: 'LOGIN_WALL',
+  /** The post does not exist, is private, or the username was not in the page */
+  NOT_FOUND: 'NOT_FOUND',
+  /** Instagram is throttling requests */
+  RATE_LIMITED: 'RATE_LIMITED',
+  /** Our own backend's rate limit; retrying only uses up more of it */
+  BACKEND_RATE_LIMITED: 'BACKEND_RATE_LIMITED',
+  /** The attestor (or the network to it) did not answer */
+  ATTESTOR_UNREACHABLE: 'ATTESTOR_UNREACHABLE',
+  /** The zkFetch session token expired before proving finished */
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  /** A proof was produced but does not verify */
+  PROOF_INVALID: 'PROOF_INVALID',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/** User-facing message, retry policy and backend HTTP status per type */
+const ERROR_DETAILS = {
+  LOGIN_WALL: {
+    message: 'Instagram asked for a login instead of showing the post. Please try again later.',
+    transient: false,
+    status: 502
+  },
+  NOT_FOUND: {
+    message: 'The post was not found or is private. Check the link and make sure the post is public.',
+    transient: false,
+    status: 404
+  },
+  RATE_LIMITED: {
+    message: 'Instagram is limiting requests right now. Please wait a moment and try again.',
+    transient: true,
+    status: 503
+  },
+  BACKEND_RATE_LIMITED: {
+    message: 'Too many requests to the backend. Please wait a minute and try again.',
+    transient: false,
+    status: 429
+  },
+  ATTESTOR_UNREACHABLE: {
+    message: 'The Reclaim attestor could not be reached. Please try again.',
+    transient: true,
+    status: 502
+  },
+  TOKEN_EXPIRED: {
+    message: 'The signing token expired before the proof was made. Please try again.',
+    transient: true,
+    status: 502
+  },
+  PROOF_INVALID: {
+    message: 'The post owner proof did not verify.',
+    transient: false,
+    status: 422
+  },
+  UNKNOWN: {
+    message: 'Something went wrong while fetching the post owner.',
+    transient: false,
+    status: 500
+  }
+};
+
+/**
+ * Message patterns per type, checked in order
+ * Login and rate limit pages are checked before "not found", since a
+ * failed username match is also reported for them. Redirects only count as
+ * a login wall in the attestor's status errors ("Provider returned error
+ * 302", "Expected status 2xx, got 302 (Found)"), and token errors are the
+ * ones zkFetch throws for its session signature.
+ */
+const PATTERNS = [
+  [ZKFETCH_ERROR_TYPES.LOGIN_WALL, /accounts\/login|login_required|log in to instagram|(?:provider returned error|expected status 2xx, got) 30[12]\b/i],
+  [ZKFETCH_ERROR_TYPES.RATE_LIMITED, /\b429\b|too many requests|rate.?limit|please wait a few minutes/i],
+  [ZKFETCH_ERROR_TYPES.TOKEN_EXPIRED, /(?:signature|token) (?:has )?expired|signature verification failed|invalid (?:session )?signature|invalid token/i],
+  [ZKFETCH_ERROR_TYPES.NOT_FOUND, /\b404\b|not found|private|did ?n[o']t match|does not match|no match/i],
+  [ZKFETCH_ERROR_TYPES.ATTESTOR_UNREACHABLE, /attestor|websocket|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket hang up|network|failed to fetch|timed? ?out/i],
+  [ZKFETCH_ERROR_TYPES.PROOF_INVALID, /verification failed|invalid proof|proof is not valid/i]
+];
+
+/**
+ * Classified zkFetch failure
+ * `type` is one of ZKFETCH_ERROR_TYPES; `message` is safe to show to users
+ */
+class ZkFetchError extends Error {
+  constructor(type, message = ERROR_DETAILS[type].message, cause = undefined) {
+    super(message);
+    this.name = 'ZkFetchError';
+    this.type = type;
+    this.transient = ERROR_DETAILS[type].transient;
+    this.status = ERROR_DETAILS[type].status;
+    this.cause = cause;
+  }
+
+  /** JSON body for backend error responses */
+  toJSON() {
+    return { error: 'Failed to generate zkFetch proof', type: this.type, message: this.message };
+  }
+}
+
+/**
+ * Maps any error thrown while making the owner proof to a ZkFetchError
+ *
+ * @param {unknown} error - Error from zkFetch, the backend or verification
+ * @returns {ZkFetchError} The error itself if already classified
+ */
+const classifyZkFetchError = (error) => {
+  if (error instanceof ZkFetchError) return error;
+
+  // Errors from the backend carry the type it already determined
+  const knownType = error?.type;
+  if (Object.prototype.hasOwnProperty.call(ZKFETCH_ERROR_TYPES, knownType)) {
+    return new ZkFetchError(knownType, undefined, error);
+  }
+
+  const text = `${error?.message ?? error ?? ''}`;
+  const match = PATTERNS.find(([, pattern]) => pattern.test(text));
+  return new ZkFetchError(match ? match[0] : ZKFETCH_ERROR_TYPES.UNKNOWN, undefined, error);
+};
+
+/** Resolves after `ms` milliseconds */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs `task`, retrying transient zkFetch errors with exponential backoff
+ *
+ * @param {Function} task - Async function to run; gets the try number (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Retries after the first try
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry, doubled each time
+ * @param {number} [options.maxDelayMs=15000] - Upper bound for a single delay
+ * @param {Function} [options.onRetry] - Called with `(error, delayMs, retry)` before waiting
+ * @param {Function} [options.isCancelled] - Stops retrying once it returns true
+ * @param {Function} [options.sleep] - Replaces the timer, for tests
+ * @returns {Promise<*>} Result of `task`
+ * @throws {ZkFetchError} The last classified error
+ */
+const withRetry = async (task, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 15000,
+  onRetry = () => {},
+  isCancelled = () => false,
+  sleep = wait
+} = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      const classified = classifyZkFetchError(error);
+      if (!classified.transient || attempt >= retries || isCancelled()) {
+        throw classified;
+      }
+
+      const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      onRetry(classified, delayMs, attempt + 1);
+      await sleep(delayMs);
+
+      if (isCancelled()) throw classified;
+    }
+  }
+};
+
+module.exports = {
+  ZKFETCH_ERROR_TYPES,
+  ERROR_DETAILS,
+  ZkFetchError,
+  classifyZkFetchError,
+  withRetry
+};
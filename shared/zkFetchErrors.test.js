@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyZkFetchError, withRetry, ZkFetchError } = require('./zkFetchErrors');
+
+const typeOf = (message) => classifyZkFetchError(new Error(message)).type;
+
+test('classifies messages from zkFetch, the attestor and Instagram', () => {
+  assert.equal(typeOf('Provider returned error 302: redirect to /accounts/login/'), 'LOGIN_WALL');
+  assert.equal(typeOf('Provider returned error 429 Too Many Requests'), 'RATE_LIMITED');
+  assert.equal(typeOf('Expected status 2xx, got 301 (Moved Permanently)'), 'LOGIN_WALL');
+  assert.equal(typeOf('Session signature expired'), 'TOKEN_EXPIRED');
+  assert.equal(typeOf('Signature has expired'), 'TOKEN_EXPIRED');
+  assert.equal(typeOf('Signature verification failed'), 'TOKEN_EXPIRED');
+  assert.equal(typeOf('Invalid receipt. Regex "UsernameText" didn\'t match'), 'NOT_FOUND');
+  assert.equal(typeOf('Provider returned error 404'), 'NOT_FOUND');
+  assert.equal(typeOf('WebSocket connection to wss://attestor.reclaimprotocol.org failed'), 'ATTESTOR_UNREACHABLE');
+  assert.equal(typeOf('connect ECONNREFUSED 127.0.0.1:443'), 'ATTESTOR_UNREACHABLE');
+  assert.equal(typeOf('zkFetch proof verification failed'), 'PROOF_INVALID');
+  assert.equal(typeOf('something odd'), 'UNKNOWN');
+});
+
+test('does not read unrelated numbers or words as a login wall or an expired token', () => {
+  assert.equal(typeOf('Provider returned error 404 after 302 ms'), 'NOT_FOUND');
+  assert.equal(typeOf('Proof 301 of the batch was not found'), 'NOT_FOUND');
+  assert.equal(typeOf('Failed to parse the jwt-like header'), 'UNKNOWN');
+});
+
+test('does not retry our own backend rate limit', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls += 1;
+    throw Object.assign(new Error('Too many requests. Please try again in 30 seconds.'), { status: 429, type: 'BACKEND_RATE_LIMITED' });
+  }, { sleep: async () => {} }), { type: 'BACKEND_RATE_LIMITED', transient: false });
+  assert.equal(calls, 1);
+});
+
+test('keeps the type sent by the backend', () => {
+  const error = Object.assign(new Error('whatever'), { type: 'LOGIN_WALL' });
+  assert.equal(classifyZkFetchError(error).type, 'LOGIN_WALL');
+  assert.equal(classifyZkFetchError(Object.assign(new Error('404'), { type: 'toString' })).type, 'NOT_FOUND');
+});
+
+test('uses the user-facing message and keeps the original error', () => {
+  const original = new Error('connect ETIMEDOUT');
+  const classified = classifyZkFetchError(original);
+
+  assert.match(classified.message, /attestor could not be reached/);
+  assert.equal(classified.cause, original);
+  assert.equal(classified.transient, true);
+  assert.deepEqual(JSON.parse(JSON.stringify(classified)), {
+    error: 'Failed to generate zkFetch proof',
+    type: 'ATTESTOR_UNREACHABLE',
+    message: classified.message
+  });
+});
+
+test('retries transient errors with exponential backoff', async () => {
+  const delays = [];
+  let calls = 0;
+
+  const result = await withRetry(async () => {
+    calls += 1;
+    if (calls < 3) throw new Error('socket hang up');
+    return 'proof';
+  }, { baseDelayMs: 100, sleep: async (ms) => delays.push(ms) });
+
+  assert.equal(result, 'proof');
+  assert.deepEqual(delays, [100, 200]);
+});
+
+test('does not retry permanent errors', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls += 1;
+      throw new Error('Provider returned error 404');
+    }, { sleep: async () => {} }),
+    (error) => error instanceof ZkFetchError && error.type === 'NOT_FOUND'
+  );
+  assert.equal(calls, 1);
+});
+
+test('gives up after the configured retries or when cancelled', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls += 1;
+    throw new Error('429');
+  }, { retries: 2, sleep: async () => {} }), { type: 'RATE_LIMITED' });
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls += 1;
+    throw new Error('429');
+  }, { isCancelled: () => calls > 0, sleep: async () => {} }), { type: 'RATE_LIMITED' });
+  assert.equal(calls, 1);
+});
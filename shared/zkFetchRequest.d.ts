@@ -0,0 +1,21 @@
+export const CONTEXT_ADDRESS_PATTERN: RegExp;
+
+export const EMBED_FETCH_HEADERS: Record<string, string>;
+
+export const USERNAME_RESPONSE_MATCHES: { type: 'regex'; value: string }[];
+
+export interface OwnerFetchOptions {
+  publicOptions: {
+    method: 'GET';
+    headers: Record<string, string>;
+    context: { contextAddress: string; contextMessage: string };
+  };
+  privateOptions: {
+    responseMatches: { type: 'regex'; value: string }[];
+  };
+}
+
+export function buildOwnerFetchOptions(context?: {
+  contextAddress?: string;
+  nonce?: string;
+}): OwnerFetchOptions;
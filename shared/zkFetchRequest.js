@@ -0,0 +1,65 @@
+/*
+ * zkFetch request for the Instagram post owner
+ *
+ * The embed page fetch and the UsernameText regex match are the same
+ * whether the proof is generated in the browser or on the backend, so
+ * both build their zkFetch arguments from here.
+ */
+
+const { CONTEXT_MESSAGE_PREFIX, toContextMessage } = require('./proofNonce');
+
+/** Browser-like headers so Instagram serves the regular embed page */
+const EMBED_FETCH_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.9",
+  "Sec-Fetch-Dest": "document",
+  "Sec-Fetch-Mode": "navigate",
+  "Sec-Fetch-Site": "none",
+  "Upgrade-Insecure-Requests": "1"
+};
+
+/** Extracts the username from the embed page HTML */
+const USERNAME_RESPONSE_MATCHES = [
+  {
+    type: 'regex',
+    value: "span class=\\\"UsernameText\\\">(?<username>[^/]+?)</span>"
+  }
+];
+
+/** Wallet address a proof can be bound to */
+const CONTEXT_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Builds the public and private zkFetch options for the owner proof
+ *
+ * The wallet address is lowercased, which is how the on-chain verifier
+ * (frontend/contracts/InstagramVerifier.sol) compares it to the sender.
+ * The nonce from /sign goes into the context message, so the backend can
+ * tell the proof was made for this session and accept it only once.
+ *
+ * @param {Object} [context] - Proof context
+ * @param {string} [context.contextAddress='0x0'] - Wallet address the proof is bound to
+ * @param {string} [context.nonce] - Nonce issued by the backend (see shared/proofNonce.js)
+ * @returns {{publicOptions: Object, privateOptions: Object}} Arguments 2 and 3 of `zkFetch`
+ */
+const buildOwnerFetchOptions = ({ contextAddress = "0x0", nonce } = {}) => ({
+  publicOptions: {
+    method: 'GET',
+    headers: EMBED_FETCH_HEADERS,
+    context: {
+      contextAddress: contextAddress.toLowerCase(),
+      contextMessage: nonce ? toContextMessage(nonce) : CONTEXT_MESSAGE_PREFIX
+    },
+  },
+  privateOptions: {
+    responseMatches: USERNAME_RESPONSE_MATCHES,
+  },
+});
+
+module.exports = {
+  CONTEXT_ADDRESS_PATTERN,
+  EMBED_FETCH_HEADERS,
+  USERNAME_RESPONSE_MATCHES,
+  buildOwnerFetchOptions,
+};